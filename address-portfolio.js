@@ -0,0 +1,172 @@
+// Holdings of an address across bitmaps, parcels and BRC-420 deploys and mints (wallet integration)
+
+// Each asset type: its table, the inscription_locations type, the address stored when it was
+// indexed (used only for inscriptions that have no tracked location) and the columns returned
+const ASSET_TYPES = {
+    bitmaps: {
+        table: 'bitmaps',
+        inscriptionType: 'bitmap',
+        storedAddress: 'address',
+        columns: 'a.inscription_id, a.inscription_number, a.bitmap_number, a.block_height',
+        orderBy: 'a.bitmap_number ASC'
+    },
+    parcels: {
+        table: 'parcels',
+        inscriptionType: 'parcel',
+        storedAddress: 'address',
+        columns: 'a.inscription_id, a.parcel_number, a.bitmap_number, a.bitmap_inscription_id, a.content, a.is_valid, a.block_height',
+        orderBy: 'a.bitmap_number ASC, a.parcel_number ASC'
+    },
+    deploys: {
+        table: 'brc420_deploys',
+        inscriptionType: 'deploy',
+        storedAddress: 'deployer_address',
+        columns: 'a.inscription_id, a.inscription_number, a.source_id, a.name, a.max_supply, a.price, a.deployer_address, a.block_height',
+        orderBy: 'a.block_height ASC, a.inscription_number ASC'
+    },
+    mints: {
+        table: 'brc420_mints',
+        inscriptionType: 'mint',
+        storedAddress: 'mint_address',
+        columns: 'a.inscription_id, a.inscription_number, a.deploy_id, a.source_id, a.mint_number, a.is_valid, a.invalid_reason, a.block_height',
+        orderBy: 'a.block_height ASC, a.inscription_number ASC'
+    }
+};
+
+const MAX_PAGE_SIZE = 1000;
+
+class AddressPortfolio {
+    /**
+     * @param {Object} db - SQLite database
+     * @param {boolean} tracksTransfers - Whether the indexer records transfers (config.TRACK_TRANSFERS).
+     *   Without them inscription_locations only holds genesis locations, so holdings name the
+     *   address each inscription was inscribed to, not its current owner.
+     */
+    constructor(db, tracksTransfers = false) {
+        this.db = db;
+        this.tracksTransfers = tracksTransfers;
+    }
+
+    // ================================
+    // DATABASE HELPERS
+    // ================================
+
+    dbGet(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    dbAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // ================================
+    // HOLDINGS
+    // ================================
+
+    /**
+     * Inscription IDs of one asset type held by an address: the current tracked location wins,
+     * the stored address is only used for inscriptions indexed before ownership tracking
+     * @param {Object} asset - Entry of ASSET_TYPES
+     * @returns {string} - SQL selecting inscription_id (two address parameters)
+     */
+    getOwnedIdsQuery(asset) {
+        return `
+            SELECT l.inscription_id FROM inscription_locations l
+            WHERE l.address = ? AND l.inscription_type = '${asset.inscriptionType}'
+            UNION ALL
+            SELECT s.inscription_id FROM ${asset.table} s
+            WHERE s.${asset.storedAddress} = ?
+              AND NOT EXISTS (SELECT 1 FROM inscription_locations l WHERE l.inscription_id = s.inscription_id)
+        `;
+    }
+
+    /**
+     * Number of assets of each type held by an address
+     * @param {string} address - Bitcoin address
+     * @returns {Promise<Object>} - {bitmaps, parcels, deploys, mints, total}
+     */
+    async getCounts(address) {
+        const counts = {};
+        let total = 0;
+
+        for (const [name, asset] of Object.entries(ASSET_TYPES)) {
+            const row = await this.dbGet(`
+                SELECT COUNT(*) AS count
+                FROM (${this.getOwnedIdsQuery(asset)}) owned
+                JOIN ${asset.table} a ON a.inscription_id = owned.inscription_id
+            `, [address, address]);
+
+            counts[name] = row ? row.count : 0;
+            total += counts[name];
+        }
+
+        counts.total = total;
+        return counts;
+    }
+
+    /**
+     * One page of an asset type held by an address
+     * @param {string} type - Key of ASSET_TYPES
+     * @param {string} address - Bitcoin address
+     * @param {number} limit - Page size
+     * @param {number} offset - Rows to skip
+     * @returns {Promise<Array>}
+     */
+    async getHoldings(type, address, limit, offset) {
+        const asset = ASSET_TYPES[type];
+
+        return this.dbAll(`
+            SELECT ${asset.columns}
+            FROM (${this.getOwnedIdsQuery(asset)}) owned
+            JOIN ${asset.table} a ON a.inscription_id = owned.inscription_id
+            ORDER BY ${asset.orderBy}
+            LIMIT ? OFFSET ?
+        `, [address, address, limit, offset]);
+    }
+
+    /**
+     * Counts plus one page of every requested asset type held by an address
+     * @param {string} address - Bitcoin address
+     * @param {Object} options - {types (keys of ASSET_TYPES, default all), page, limit}
+     * @returns {Promise<Object>} - {address, ownership ('tracked' or 'genesis'), counts, page, limit, totalPages, <type>: [...]}
+     */
+    async getPortfolio(address, options = {}) {
+        const types = options.types && options.types.length > 0 ? options.types : Object.keys(ASSET_TYPES);
+        const page = Math.max(1, parseInt(options.page) || 1);
+        const limit = Math.min(Math.max(1, parseInt(options.limit) || 50), MAX_PAGE_SIZE);
+
+        const counts = await this.getCounts(address);
+        const largest = Math.max(...types.map(type => counts[type]));
+
+        const portfolio = {
+            address,
+            ownership: this.tracksTransfers ? 'tracked' : 'genesis',
+            counts,
+            page,
+            limit,
+            totalPages: Math.ceil(largest / limit)
+        };
+
+        for (const type of types) {
+            portfolio[type] = counts[type] > 0
+                ? await this.getHoldings(type, address, limit, (page - 1) * limit)
+                : [];
+        }
+
+        return portfolio;
+    }
+}
+
+AddressPortfolio.ASSET_TYPES = Object.keys(ASSET_TYPES);
+
+module.exports = AddressPortfolio;
@@ -0,0 +1,290 @@
+// Bitcoin Core JSON-RPC client for block and transaction data
+const axios = require('axios');
+const fs = require('fs');
+
+// getblock verbosity 3 (Core 25+) includes prevouts, so input values need no extra lookups
+const VERBOSITY_WITH_PREVOUT = 3;
+const VERBOSITY_WITH_TXS = 2;
+
+class BitcoinRpcError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'BitcoinRpcError';
+        this.code = code;
+    }
+}
+
+class BitcoinRpcClient {
+    /**
+     * @param {Object} options - {url, username, password, cookieFile, timeout, maxRetries, batchSize}
+     * @param {Object} logger - Logger (defaults to console)
+     */
+    constructor(options, logger = console) {
+        this.url = options.url;
+        this.username = options.username || null;
+        this.password = options.password || null;
+        this.cookieFile = options.cookieFile || null;
+        this.timeout = options.timeout || 30000;
+        this.maxRetries = options.maxRetries || 3;
+        this.batchSize = options.batchSize || 100;
+        this.logger = logger;
+        this.requestId = 0;
+        this.cookieAuth = null;
+        this.supportsPrevoutVerbosity = null;
+    }
+
+    // ================================
+    // TRANSPORT
+    // ================================
+
+    /**
+     * Resolves credentials; the cookie file is re-read after an auth failure because
+     * bitcoind rewrites it on every restart
+     * @param {boolean} refresh - Force re-reading the cookie file
+     * @returns {Object|undefined} - axios auth option
+     */
+    getAuth(refresh = false) {
+        if (this.username && this.password) {
+            return { username: this.username, password: this.password };
+        }
+
+        if (this.cookieFile) {
+            if (!this.cookieAuth || refresh) {
+                const [username, password] = fs.readFileSync(this.cookieFile, 'utf8').trim().split(':');
+                this.cookieAuth = { username, password };
+            }
+            return this.cookieAuth;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Posts a JSON-RPC payload (single request or batch) with retries
+     * @param {Object|Array} payload - JSON-RPC request(s)
+     * @returns {Promise<Object|Array>} - Raw JSON-RPC response(s)
+     */
+    async post(payload) {
+        let refreshAuth = false;
+
+        for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+            try {
+                const response = await axios.post(this.url, payload, {
+                    auth: this.getAuth(refreshAuth),
+                    timeout: this.timeout,
+                    headers: { 'Content-Type': 'application/json' },
+                    // JSON-RPC errors come back as HTTP 500 with a body; let them through
+                    validateStatus: status => status <= 500
+                });
+
+                if (response.status === 401 || response.status === 403) {
+                    refreshAuth = true;
+                    throw new BitcoinRpcError(`RPC authentication failed (HTTP ${response.status})`);
+                }
+
+                return response.data;
+
+            } catch (error) {
+                const isLastAttempt = attempt === this.maxRetries - 1;
+                if (isLastAttempt) {
+                    throw error instanceof BitcoinRpcError
+                        ? error
+                        : new BitcoinRpcError(`RPC request failed after ${this.maxRetries} attempts: ${error.message}`);
+                }
+
+                const delay = Math.min(1000 * Math.pow(2, attempt), 10000);
+                this.logger.warn(`RPC attempt ${attempt + 1} failed, retrying in ${delay}ms: ${error.message}`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Calls a single RPC method
+     * @param {string} method - RPC method name
+     * @param {Array} params - Positional parameters
+     * @returns {Promise<*>} - The result field
+     */
+    async call(method, params = []) {
+        const response = await this.post({ jsonrpc: '1.0', id: ++this.requestId, method, params });
+
+        if (response.error) {
+            throw new BitcoinRpcError(`${method}: ${response.error.message}`, response.error.code);
+        }
+
+        return response.result;
+    }
+
+    /**
+     * Calls several RPC methods in batched requests, preserving order
+     * @param {Array} requests - Array of {method, params}
+     * @returns {Promise<Array>} - Results in request order (throws on the first RPC error)
+     */
+    async batch(requests) {
+        const results = [];
+
+        for (let i = 0; i < requests.length; i += this.batchSize) {
+            const chunk = requests.slice(i, i + this.batchSize).map(request => ({
+                jsonrpc: '1.0',
+                id: ++this.requestId,
+                method: request.method,
+                params: request.params || []
+            }));
+
+            const responses = await this.post(chunk);
+            if (!Array.isArray(responses)) {
+                throw new BitcoinRpcError(`Batch request returned ${typeof responses} instead of an array`);
+            }
+
+            // Servers may answer a batch out of order
+            const byId = new Map(responses.map(response => [response.id, response]));
+            for (const request of chunk) {
+                const response = byId.get(request.id);
+                if (!response) {
+                    throw new BitcoinRpcError(`Batch response missing for ${request.method}`);
+                }
+                if (response.error) {
+                    throw new BitcoinRpcError(`${request.method}: ${response.error.message}`, response.error.code);
+                }
+                results.push(response.result);
+            }
+        }
+
+        return results;
+    }
+
+    // ================================
+    // CHAIN DATA
+    // ================================
+
+    async getBlockCount() {
+        return this.call('getblockcount');
+    }
+
+    async getBlockHash(height) {
+        return this.call('getblockhash', [height]);
+    }
+
+    /**
+     * Block header info in the shape used by the indexer
+     * @param {number} height - Block height
+     * @returns {Promise<Object>} - {height, hash, previous_hash, transaction_count, timestamp}
+     */
+    async getBlockInfo(height) {
+        const hash = await this.getBlockHash(height);
+        const header = await this.call('getblockheader', [hash, true]);
+
+        return {
+            height: header.height,
+            hash: header.hash,
+            previous_hash: header.previousblockhash || null,
+            transaction_count: header.nTx,
+            timestamp: header.time
+        };
+    }
+
+    /**
+     * All transactions of a block in order, normalized to {txid, inputs, outputs} with values in sats
+     * @param {string} blockHash - Block hash
+     * @returns {Promise<Array>} - Normalized transactions
+     */
+    async getBlockTransactions(blockHash) {
+        let block = null;
+
+        if (this.supportsPrevoutVerbosity !== false) {
+            try {
+                block = await this.call('getblock', [blockHash, VERBOSITY_WITH_PREVOUT]);
+                this.supportsPrevoutVerbosity = true;
+            } catch (error) {
+                if (!(error instanceof BitcoinRpcError) || error.code !== -8) {
+                    throw error;
+                }
+                // Older Core rejecting verbosity 3: use verbosity 2 from now on
+                this.supportsPrevoutVerbosity = false;
+            }
+        }
+
+        if (!block) {
+            block = await this.call('getblock', [blockHash, VERBOSITY_WITH_TXS]);
+        }
+
+        // Core 22 and older accept verbosity 3 without an error but return no prevouts, so input
+        // values are always checked; only the ones still missing are looked up
+        const transactions = block.tx.map(tx => this.normalizeTransaction(tx));
+        await this.fillInputValues(transactions);
+        return transactions;
+    }
+
+    /**
+     * Output addresses and values of a transaction (requires txindex for non-wallet txs)
+     * @param {string} txid - Transaction ID
+     * @returns {Promise<Array>} - [{address, value}]
+     */
+    async getTransactionOutputs(txid) {
+        const tx = await this.call('getrawtransaction', [txid, true]);
+        return this.normalizeTransaction(tx).outputs;
+    }
+
+    /**
+     * A transaction with input values and its confirmation height (requires txindex for non-wallet txs)
+     * @param {string} txid - Transaction ID
+     * @returns {Promise<Object>} - {txid, block_height, inputs, outputs}; block_height is null while unconfirmed
+     */
+    async getTransaction(txid) {
+        const tx = await this.call('getrawtransaction', [txid, true]);
+        const transaction = this.normalizeTransaction(tx);
+        await this.fillInputValues([transaction]);
+
+        const header = tx.blockhash ? await this.call('getblockheader', [tx.blockhash, true]) : null;
+        return { ...transaction, block_height: header ? header.height : null };
+    }
+
+    /**
+     * Looks up prevout values for inputs that lack them (blocks without prevouts), batched per block
+     * @param {Array} transactions - Normalized transactions, modified in place
+     */
+    async fillInputValues(transactions) {
+        const inputs = transactions.flatMap(tx => tx.inputs.filter(input => input.txid && input.value === null));
+        const txids = [...new Set(inputs.map(input => input.txid))];
+        if (txids.length === 0) {
+            return;
+        }
+
+        const rawTransactions = await this.batch(txids.map(txid => ({ method: 'getrawtransaction', params: [txid, true] })));
+        const outputsByTxid = new Map(rawTransactions.map((tx, i) => [txids[i], this.normalizeTransaction(tx).outputs]));
+
+        for (const input of inputs) {
+            const output = outputsByTxid.get(input.txid)[input.vout];
+            input.value = output ? output.value : 0;
+        }
+    }
+
+    /**
+     * Converts a decoded bitcoind transaction to the indexer's normalized form
+     * @param {Object} tx - Decoded transaction
+     * @returns {Object} - {txid, inputs: [{txid, vout, value}], outputs: [{address, value}]}
+     */
+    normalizeTransaction(tx) {
+        return {
+            txid: tx.txid,
+            inputs: tx.vin.map(input => ({
+                txid: input.coinbase ? null : input.txid,
+                vout: input.coinbase ? null : input.vout,
+                value: input.coinbase ? 0 : (input.prevout ? toSats(input.prevout.value) : null)
+            })),
+            outputs: tx.vout.map(output => ({
+                address: output.scriptPubKey && output.scriptPubKey.address ? output.scriptPubKey.address : null,
+                value: toSats(output.value)
+            }))
+        };
+    }
+}
+
+// RPC amounts are BTC with 8 decimals
+function toSats(btc) {
+    return Math.round(btc * 100000000);
+}
+
+BitcoinRpcClient.BitcoinRpcError = BitcoinRpcError;
+
+module.exports = BitcoinRpcClient;
@@ -1,50 +1,41 @@
-const axios = require('axios');
 const Joi = require('joi');
-
-// Robust API calling with exponential backoff (copied from index-runner.js)
-async function robustApiCall(url, options = {}, maxRetries = 5) {
-    const baseTimeout = 30000; // Start with 30 seconds
-    
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-        try {
-            const timeout = baseTimeout * Math.pow(1.5, attempt); // Exponential increase
-            
-            const response = await axios.get(url, {
-                ...options,
-                timeout: timeout,
-                headers: {
-                    'Accept': 'application/json',
-                    'User-Agent': 'BRC-420-Complete-Indexer/1.0',
-                    ...options.headers
-                }
-            });
-            
-            return response;
-            
-        } catch (error) {
-            const isLastAttempt = attempt === maxRetries - 1;
-            
-            if (isLastAttempt) {
-                throw new Error(`API call failed after ${maxRetries} attempts: ${error.message}`);
-            }
-            
-            // Exponential backoff delay
-            const delay = Math.min(1000 * Math.pow(2, attempt), 30000); // Max 30 second delay
-            console.warn(`API call attempt ${attempt + 1} failed, retrying in ${delay}ms: ${error.message}`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-    }
+const StatementCache = require('./statement-cache');
+
+// Mondrian square size for a transaction's total output value (same buckets as public/js/mondrian.js)
+function getSquareSize(value) {
+    if (value / 100000000 === 0) return 1; // Transactions with a value of 0
+    if (value / 100000000 <= 0.01) return 1;
+    if (value / 100000000 <= 0.1) return 2;
+    if (value / 100000000 <= 1) return 3;
+    if (value / 100000000 <= 10) return 4;
+    if (value / 100000000 <= 100) return 5;
+    if (value / 100000000 <= 1000) return 6;
+    if (value / 100000000 <= 10000) return 7;
+    if (value / 100000000 <= 100000) return 8;
+    if (value / 100000000 <= 1000000) return 9;
+    return 9; // For values above 1000000 BTC
 }
 
-// Bitmap validation schema
-const bitmapSchema = Joi.object({
-    inscription_id: Joi.string().required(),
-    address: Joi.string().required(),
-    bitmap_number: Joi.number().integer().min(0).required(),
-    block_height: Joi.number().integer().min(0).required(),
-    content: Joi.string().pattern(/^\d+\.bitmap$/).required(),
-    timestamp: Joi.number().required(),
-});
+// Anything shaped like "<digits>.bitmap" is treated as a claim so malformed ones are recorded;
+// only the exact lowercase form without leading zeros or surrounding whitespace is valid
+const BITMAP_CLAIM_PATTERN = /^(\d+)\.bitmap$/i;
+const VALID_BITMAP_PATTERN = /^(0|[1-9]\d*)\.bitmap$/;
+
+// Whitespace-padded claims can be arbitrarily long; only this much of the content is stored
+const MAX_STORED_CLAIM_LENGTH = 256;
+
+// Reason codes stored with rejected bitmap claims
+const BITMAP_REJECTION_REASONS = {
+    SURROUNDING_WHITESPACE: 'SURROUNDING_WHITESPACE',
+    INVALID_SUFFIX_CASE: 'INVALID_SUFFIX_CASE',
+    LEADING_ZERO: 'LEADING_ZERO',
+    // N.bitmap claims block N, which must exist when the claim is inscribed
+    NUMBER_ABOVE_BLOCK_HEIGHT: 'NUMBER_ABOVE_BLOCK_HEIGHT',
+    DUPLICATE_LATER_BLOCK: 'DUPLICATE_LATER_BLOCK',
+    DUPLICATE_HIGHER_INSCRIPTION_NUMBER: 'DUPLICATE_HIGHER_INSCRIPTION_NUMBER',
+    // Same block with an unknown inscription number; the tie is broken by inscription ID
+    DUPLICATE_SAME_BLOCK: 'DUPLICATE_SAME_BLOCK'
+};
 
 // Parcel validation schema
 const parcelSchema = Joi.object({
@@ -56,238 +47,302 @@ const parcelSchema = Joi.object({
     address: Joi.string().required(),
     block_height: Joi.number().integer().min(0).required(),
     timestamp: Joi.number().required(),
-    transaction_count: Joi.number().integer().min(0).allow(null),
+    transaction_count: Joi.number().integer().min(0).required(),
     is_valid: Joi.boolean().default(true)
 });
 
 class BitmapProcessor {
-    constructor(db, logger, processingLogger, API_URL, getInscriptionDetailsCached, getMintAddress) {
+    constructor(db, logger, processingLogger, getInscriptionChildren, getInscriptionDetailsCached, getGenesisAddress, getBlockOutputValues) {
         this.db = db;
         this.logger = logger;
         this.processingLogger = processingLogger;
-        this.API_URL = API_URL;
+        this.getInscriptionChildren = getInscriptionChildren;
         this.getInscriptionDetailsCached = getInscriptionDetailsCached;
-        this.getMintAddress = getMintAddress;
+        this.getGenesisAddress = getGenesisAddress;
+        this.getBlockOutputValues = getBlockOutputValues;
+        this.statements = StatementCache.forDatabase(db);
     }
 
     // ================================
-    // UNLIMITED TRANSACTION PATTERN GENERATION (MISSING METHOD)
+    // TRANSACTION PATTERN GENERATION
     // ================================
 
     /**
-     * Generate unlimited transaction patterns for a bitmap number
-     * This method was called by index-runner.js but was missing
-     * @param {number} bitmapNumber - The bitmap number
-     * @returns {Promise<Array>} - Array of transaction patterns
+     * Builds the Mondrian transaction pattern of a bitmap from block N (N.bitmap),
+     * one entry per transaction in block order sized by its total output value
+     * @param {number} bitmapNumber - The bitmap number (= block height)
+     * @returns {Promise<Array|null>} - Array of {index, value, size} or null if the block is unavailable
      */
     async generateTransactionPatterns(bitmapNumber) {
         try {
-            this.processingLogger.debug(`Generating unlimited transaction patterns for bitmap ${bitmapNumber}`);
-            
-            // Get transaction history for this bitmap
-            const txHistory = await this.getBitmapTransactionHistory(bitmapNumber);
-            
-            if (!txHistory || txHistory.length === 0) {
-                this.processingLogger.warn(`No transaction history found for bitmap ${bitmapNumber}, generating synthetic patterns`);
-                return this.generateSyntheticTransactionPatterns(bitmapNumber);
+            const outputValues = await this.getBlockOutputValues(bitmapNumber);
+
+            if (!outputValues || outputValues.length === 0) {
+                this.processingLogger.warn(`Transactions of block ${bitmapNumber} unavailable, pattern for bitmap ${bitmapNumber} left pending`);
+                return null;
             }
 
-            // Convert transaction data to patterns using getSquareSize logic
-            const patterns = txHistory.map((tx, index) => {
-                const value = tx.value || 0;
-                const btcValue = value / 100000000; // Convert satoshis to BTC
-                
-                // Use the exact getSquareSize logic from the original code
-                let size;
-                if (btcValue === 0) size = 1;
-                else if (btcValue <= 0.01) size = 1;
-                else if (btcValue <= 0.1) size = 2;
-                else if (btcValue <= 1) size = 3;
-                else if (btcValue <= 10) size = 4;
-                else if (btcValue <= 100) size = 5;
-                else if (btcValue <= 1000) size = 6;
-                else if (btcValue <= 10000) size = 7;
-                else if (btcValue <= 100000) size = 8;
-                else if (btcValue <= 1000000) size = 9;
-                else size = 9;
-
-                return {
-                    index: index,
-                    value: value,
-                    btcValue: btcValue,
-                    size: size,
-                    txid: tx.txid || `unknown_${index}`,
-                    blockHeight: tx.blockHeight || 0,
-                    timestamp: tx.timestamp || new Date().toISOString()
-                };
-            });
+            const patterns = outputValues.map((value, index) => ({
+                index: index,
+                value: value,
+                size: getSquareSize(value)
+            }));
 
             this.processingLogger.info(`Generated ${patterns.length} transaction patterns for bitmap ${bitmapNumber}`);
             return patterns;
 
         } catch (error) {
             this.processingLogger.error(`Error generating transaction patterns for bitmap ${bitmapNumber}:`, { message: error.message });
-            // Fallback to synthetic patterns
-            return this.generateSyntheticTransactionPatterns(bitmapNumber);
+            return null;
         }
     }
 
+    // ================================
+    // BITMAP VALIDATION FUNCTIONS
+    // ================================
+
     /**
-     * Generate synthetic transaction patterns when real data is unavailable
-     * @param {number} bitmapNumber - The bitmap number
-     * @returns {Array} - Array of synthetic transaction patterns
+     * Validates bitmap format: exactly "<number>.bitmap", nothing else
+     * @param {string} content - The inscription content
+     * @returns {boolean} - True if valid bitmap format
      */
-    generateSyntheticTransactionPatterns(bitmapNumber) {
-        // Generate more patterns based on bitmap number for unlimited processing
-        const numPatterns = Math.max(5, Math.min(100, Math.floor(bitmapNumber / 1000) + 10));
-        const patterns = [];
-        
-        // Create varied transaction values to test all size ranges 1-9
-        const sizeTargets = [
-            { size: 1, minSats: 0, maxSats: 1000000 },          // 0-0.01 BTC  
-            { size: 2, minSats: 1000000, maxSats: 10000000 },   // 0.01-0.1 BTC
-            { size: 3, minSats: 10000000, maxSats: 100000000 }, // 0.1-1 BTC
-            { size: 4, minSats: 100000000, maxSats: 1000000000 }, // 1-10 BTC  
-            { size: 5, minSats: 1000000000, maxSats: 10000000000 }, // 10-100 BTC
-            { size: 6, minSats: 10000000000, maxSats: 100000000000 }, // 100-1000 BTC
-            { size: 7, minSats: 100000000000, maxSats: 1000000000000 }, // 1000-10000 BTC
-            { size: 8, minSats: 1000000000000, maxSats: 10000000000000 }, // 10000-100000 BTC
-            { size: 9, minSats: 10000000000000, maxSats: 100000000000000 } // 100000+ BTC
-        ];
-        
-        for (let i = 0; i < numPatterns; i++) {
-            // Use bitmap number as seed for consistent patterns
-            const seed = (bitmapNumber + i * 7) % sizeTargets.length;
-            const target = sizeTargets[seed];
-            
-            // Generate value within the target range
-            const value = target.minSats + ((bitmapNumber * 1234 + i * 5678) % (target.maxSats - target.minSats));
-            const btcValue = value / 100000000;
-            
-            patterns.push({
-                index: i,
-                value: value,
-                btcValue: btcValue,
-                size: target.size,
-                txid: `synthetic_${bitmapNumber}_${i}`,
-                blockHeight: 830000 + Math.floor(bitmapNumber / 1000) + i,
-                timestamp: new Date(Date.now() - (numPatterns - i) * 86400000).toISOString(),
-                synthetic: true
-            });
+    isValidBitmapFormat(content) {
+        return VALID_BITMAP_PATTERN.test(content);
+    }
+
+    /**
+     * Whether content is a bitmap claim at all (valid or not); parcels (P.B.bitmap) are not
+     * @param {string} content - The inscription content
+     * @returns {boolean}
+     */
+    isBitmapClaim(content) {
+        return typeof content === 'string' && BITMAP_CLAIM_PATTERN.test(content.trim());
+    }
+
+    /**
+     * Applies the bitmap validity rules to a claim
+     * @param {string} content - The raw inscription content
+     * @param {number} blockHeight - Height of the block the claim was inscribed in
+     * @returns {Object|null} - {bitmapNumber, reason} with reason null for a valid claim and
+     *                          bitmapNumber null if the digits overflow; null if not a claim at all
+     */
+    validateBitmapClaim(content, blockHeight) {
+        const match = this.isBitmapClaim(content) ? content.trim().match(BITMAP_CLAIM_PATTERN) : null;
+        if (!match) {
+            return null;
         }
-        
-        this.processingLogger.info(`Generated ${patterns.length} synthetic transaction patterns for bitmap ${bitmapNumber}`);
-        return patterns;
+
+        const parsed = Number(match[1]);
+        const bitmapNumber = Number.isSafeInteger(parsed) ? parsed : null;
+
+        let reason = null;
+        if (content !== content.trim()) {
+            reason = BITMAP_REJECTION_REASONS.SURROUNDING_WHITESPACE;
+        } else if (!content.endsWith('.bitmap')) {
+            reason = BITMAP_REJECTION_REASONS.INVALID_SUFFIX_CASE;
+        } else if (!this.isValidBitmapFormat(content)) {
+            reason = BITMAP_REJECTION_REASONS.LEADING_ZERO;
+        } else if (bitmapNumber === null || bitmapNumber > blockHeight) {
+            reason = BITMAP_REJECTION_REASONS.NUMBER_ABOVE_BLOCK_HEIGHT;
+        }
+
+        return { bitmapNumber, reason };
     }
 
     // ================================
-    // BITMAP VALIDATION FUNCTIONS
+    // BITMAP CLAIMS
     // ================================
 
     /**
-     * Validates bitmap format using regex
-     * @param {string} content - The inscription content
-     * @returns {boolean} - True if valid bitmap format
+     * Decides whether a new claim should take precedence over the stored bitmap
+     * (earlier block wins, then lower inscription number within the same block)
+     * @param {Object} candidate - The new claim
+     * @param {Object} existing - The stored bitmap row
+     * @returns {boolean} - True if the candidate is the earlier claim
      */
-    isValidBitmapFormat(content) {
-        const bitmapRegex = /^\d+\.bitmap$/;
-        return bitmapRegex.test(content.trim());
+    isEarlierClaim(candidate, existing) {
+        if (candidate.block_height !== existing.block_height) {
+            return candidate.block_height < existing.block_height;
+        }
+
+        if (candidate.inscription_number !== null && existing.inscription_number !== null) {
+            return candidate.inscription_number < existing.inscription_number;
+        }
+
+        return candidate.inscription_id < existing.inscription_id;
     }
 
     /**
-     * Validates bitmap data using Joi schema
-     * @param {Object} bitmapData - The bitmap data object
-     * @returns {boolean} - True if valid
+     * Reason code for a claim that lost to the winning one
+     * @param {Object} loser - The losing claim
+     * @param {Object} winner - The winning claim
+     * @returns {string} - One of BITMAP_REJECTION_REASONS
      */
-    validateBitmapData(bitmapData) {
-        const { error } = bitmapSchema.validate(bitmapData);
-        if (error) {
-            this.logger.error(`Bitmap data validation error: ${error.details.map(d => d.message).join(', ')}`);
-            return false;
+    getDuplicateReason(loser, winner) {
+        if (loser.block_height !== winner.block_height) {
+            return BITMAP_REJECTION_REASONS.DUPLICATE_LATER_BLOCK;
         }
-        return true;
+
+        if (loser.inscription_number !== null && winner.inscription_number !== null) {
+            return BITMAP_REJECTION_REASONS.DUPLICATE_HIGHER_INSCRIPTION_NUMBER;
+        }
+
+        return BITMAP_REJECTION_REASONS.DUPLICATE_SAME_BLOCK;
+    }
+
+    async getBitmapByNumber(bitmapNumber) {
+        return new Promise((resolve, reject) => {
+            this.db.get("SELECT * FROM bitmaps WHERE bitmap_number = ?", [bitmapNumber], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
     }
 
     /**
-     * Saves bitmap data to database (updated to match index-runner.js schema)
-     * @param {Object} bitmapData - The bitmap data to save
-     * @returns {Promise<boolean>} - True if saved successfully
+     * Records a claim that did not become the canonical bitmap
+     * @param {Object} claim - {inscription_id, inscription_number, bitmap_number, block_height, content}
+     * @param {string} reason - One of BITMAP_REJECTION_REASONS
+     * @param {string|null} winningInscriptionId - The claim it lost to, if any
      */
-    async saveBitmap(bitmapData) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                // Check if bitmap already exists
-                const existingBitmap = await new Promise((resolveDb, rejectDb) => {
-                    this.db.get("SELECT bitmap_number FROM bitmaps WHERE bitmap_number = ?", [bitmapData.bitmap_number], (err, row) => {
-                        if (err) rejectDb(err);
-                        else resolveDb(row);
-                    });
-                });
+    async saveRejectedClaim(claim, reason, winningInscriptionId = null) {
+        await this.statements.run(`
+            INSERT OR REPLACE INTO bitmap_rejected_claims
+            (inscription_id, inscription_number, bitmap_number, block_height, content, reason,
+             winning_inscription_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        `, [
+            claim.inscription_id,
+            claim.inscription_number,
+            claim.bitmap_number,
+            claim.block_height,
+            claim.content !== undefined ? claim.content : `${claim.bitmap_number}.bitmap`,
+            reason,
+            winningInscriptionId
+        ]);
+    }
 
-                if (existingBitmap) {
-                    this.logger.info(`Bitmap ${bitmapData.bitmap_number} already exists. Skipping.`);
-                    resolve(false);
-                    return;
+    /**
+     * Demotes the stored bitmap to a rejected claim because an earlier claim for the same
+     * number turned up (same-block inscriptions are processed concurrently). Parcels
+     * validated against the demoted inscription are removed with it.
+     * @param {Object} existing - The stored bitmap row
+     * @param {Object} winner - The earlier claim replacing it
+     */
+    async demoteBitmap(existing, winner) {
+        await this.saveRejectedClaim(existing, this.getDuplicateReason(existing, winner), winner.inscription_id);
+
+        await this.statements.run("DELETE FROM parcels WHERE bitmap_inscription_id = ?", [existing.inscription_id]);
+        await this.statements.run("DELETE FROM bitmaps WHERE inscription_id = ?", [existing.inscription_id]);
+
+        // Earlier losers now point at the new winner
+        await this.statements.run(`
+            UPDATE bitmap_rejected_claims SET winning_inscription_id = ?
+            WHERE bitmap_number = ? AND winning_inscription_id = ?
+        `, [winner.inscription_id, winner.bitmap_number, existing.inscription_id]);
+    }
+
+    /**
+     * Resolves a claim against the stored bitmap for its number: the first inscription wins.
+     * Losing claims (including a stored bitmap that turns out to be later) go to bitmap_rejected_claims.
+     * @param {Object} claim - {inscription_id, inscription_number, bitmap_number, block_height, sat_number, address}
+     * @returns {Promise<boolean>} - True if the claim is the canonical bitmap
+     */
+    async claimBitmap(claim) {
+        // Retried once: a concurrent claim in the same block can insert between the lookup and the insert
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const existing = await this.getBitmapByNumber(claim.bitmap_number);
+            let carried = null;
+
+            if (existing) {
+                if (existing.inscription_id === claim.inscription_id) {
+                    return true;
                 }
 
-                // Fetch inscription details to get sat number
-                const inscriptionDetails = await this.getInscriptionDetailsCached(bitmapData.inscription_id);
-                const satNumber = inscriptionDetails ? inscriptionDetails.sat : null;
-                
-                // Generate transaction patterns for this bitmap
-                const transactionPatterns = await this.generateTransactionPatterns(bitmapData.bitmap_number);
-                
-                // Log sat number extraction for debugging
-                if (satNumber) {
-                    this.logger.info(`✅ Sat number for bitmap ${bitmapData.bitmap_number}: ${satNumber}`);
-                } else {
-                    this.logger.warn(`⚠️ No sat number found for bitmap ${bitmapData.bitmap_number} (inscription: ${bitmapData.inscription_id})`);
+                if (!this.isEarlierClaim(claim, existing)) {
+                    const reason = this.getDuplicateReason(claim, existing);
+                    await this.saveRejectedClaim(claim, reason, existing.inscription_id);
+                    this.logger.info(`Rejecting bitmap claim ${claim.inscription_id} for ${claim.bitmap_number}.bitmap: ${reason} (winner: ${existing.inscription_id})`);
+                    return false;
                 }
-                
-                // Use the schema expected by index-runner.js
-                const stmt = this.db.prepare(`
-                    INSERT OR REPLACE INTO bitmaps 
-                    (inscription_id, bitmap_number, block_height, sat_number, 
-                     transaction_patterns, pattern_metadata, created_at)
-                    VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
-                `);
-                
-                stmt.run([
-                    bitmapData.inscription_id, 
-                    bitmapData.bitmap_number, 
-                    bitmapData.block_height, 
-                    satNumber,
-                    JSON.stringify(transactionPatterns),
-                    JSON.stringify({
-                        pattern_count: transactionPatterns.length,
-                        generated_at: new Date().toISOString(),
-                        unlimited_generation: true,
-                        has_synthetic_data: transactionPatterns.some(p => p.synthetic)
-                    })
-                ], (err) => {
-                    if (err) {
-                        this.logger.error(`Error saving bitmap ${bitmapData.bitmap_number}:`, { message: err.message });
-                        reject(err);
-                    } else {
-                        this.logger.info(`✅ Bitmap ${bitmapData.bitmap_number} saved with ${transactionPatterns.length} transaction patterns`);
-                        
-                        // Also save to bitmap_patterns table for visualization
-                        this.saveBitmapPattern(bitmapData.bitmap_number, transactionPatterns)
-                            .then(() => {
-                                this.logger.info(`Pattern visualization data saved for bitmap ${bitmapData.bitmap_number}`);
-                            })
-                            .catch(patternError => {
-                                this.logger.warn(`Failed to save pattern visualization for bitmap ${bitmapData.bitmap_number}:`, { message: patternError.message });
-                            });
-                        
-                        resolve(true);
-                    }
-                });
-            } catch (error) {
-                this.logger.error(`Error in saveBitmap for ${bitmapData.bitmap_number}:`, { message: error.message });
-                reject(error);
+
+                this.logger.info(`Replacing bitmap ${claim.bitmap_number} claim ${existing.inscription_id} with earlier claim ${claim.inscription_id}`);
+                await this.demoteBitmap(existing, claim);
+                carried = existing;
+            }
+
+            // The pattern depends only on the number, so it carries over from a demoted claim
+            const inserted = await this.statements.run(`
+                INSERT OR IGNORE INTO bitmaps
+                (inscription_id, inscription_number, bitmap_number, block_height, sat_number, address,
+                 transaction_patterns, pattern_metadata, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+            `, [
+                claim.inscription_id,
+                claim.inscription_number,
+                claim.bitmap_number,
+                claim.block_height,
+                claim.sat_number,
+                claim.address || null,
+                carried ? carried.transaction_patterns : null,
+                carried ? carried.pattern_metadata : null
+            ]);
+
+            if (inserted > 0) {
+                await this.statements.run("DELETE FROM bitmap_rejected_claims WHERE inscription_id = ?", [claim.inscription_id]);
+                return true;
             }
+        }
+
+        throw new Error(`Could not resolve bitmap ${claim.bitmap_number} claim ${claim.inscription_id}`);
+    }
+
+    /**
+     * Drops ownership tracking recorded for claims rejected in a block. A claim demoted by a
+     * concurrently processed earlier one may already have had its genesis location recorded.
+     * @param {number} blockHeight - The block height
+     */
+    async pruneRejectedClaimTracking(blockHeight) {
+        const rejected = "SELECT inscription_id FROM bitmap_rejected_claims WHERE block_height = ?";
+        await this.statements.run(`DELETE FROM inscription_transfers WHERE inscription_id IN (${rejected})`, [blockHeight]);
+        await this.statements.run(`DELETE FROM inscription_locations WHERE inscription_id IN (${rejected})`, [blockHeight]);
+    }
+
+    /**
+     * Saves a bitmap claim if it is the first for its number, then its Mondrian pattern
+     * @param {Object} bitmapData - {inscription_id, bitmap_number, block_height}
+     * @returns {Promise<boolean>} - True if the claim is the canonical bitmap
+     */
+    async saveBitmap(bitmapData) {
+        const inscriptionDetails = await this.getInscriptionDetailsCached(bitmapData.inscription_id);
+        const satNumber = inscriptionDetails ? inscriptionDetails.sat || null : null;
+
+        if (!satNumber) {
+            this.logger.warn(`⚠️ No sat number found for bitmap ${bitmapData.bitmap_number} (inscription: ${bitmapData.inscription_id})`);
+        }
+
+        const accepted = await this.claimBitmap({
+            inscription_id: bitmapData.inscription_id,
+            inscription_number: inscriptionDetails && Number.isInteger(inscriptionDetails.number) ? inscriptionDetails.number : null,
+            bitmap_number: bitmapData.bitmap_number,
+            block_height: bitmapData.block_height,
+            sat_number: satNumber,
+            // The address that received the claim, not ord's current owner (matches the migration 8 backfill)
+            address: await this.getGenesisAddress(bitmapData.inscription_id)
         });
+
+        if (!accepted) {
+            return false;
+        }
+
+        this.logger.info(`✅ Bitmap ${bitmapData.bitmap_number} saved`);
+
+        // Awaited so the pattern is written inside the block's transaction; a missing
+        // pattern is left pending and retried by fillMissingPatterns
+        await this.ensureBitmapPattern(bitmapData.bitmap_number).catch(patternError => {
+            this.logger.warn(`Failed to save pattern visualization for bitmap ${bitmapData.bitmap_number}:`, { message: patternError.message });
+        });
+        return true;
     }
 
     /**
@@ -297,11 +352,15 @@ class BitmapProcessor {
      * @returns {Promise<void>}
      */
     async saveBitmapPattern(bitmapNumber, transactionPatterns) {
+        if (!Array.isArray(transactionPatterns) || transactionPatterns.length === 0) {
+            throw new Error(`Refusing to save an empty pattern for bitmap ${bitmapNumber}`);
+        }
+
         return new Promise((resolve, reject) => {
             // Convert patterns to simple string format for visualization
             const patternString = transactionPatterns.map(p => p.size).join('');
             
-            const stmt = this.db.prepare(`
+            const stmt = this.statements.prepare(`
                 INSERT OR REPLACE INTO bitmap_patterns 
                 (bitmap_number, pattern_string, created_at) 
                 VALUES (?, ?, datetime('now'))
@@ -373,13 +432,12 @@ class BitmapProcessor {
     /**
      * Validates parcel number against block transaction count
      * @param {number} parcelNumber - The parcel number
-     * @param {number} transactionCount - The block transaction count
+     * @param {number} transactionCount - The block transaction count (required)
      * @returns {boolean} - True if valid
      */
     validateParcelNumber(parcelNumber, transactionCount) {
-        if (transactionCount === null || transactionCount === undefined) {
-            // If we can't get transaction count, we allow the parcel but mark it for later validation
-            return true;
+        if (!Number.isInteger(transactionCount) || transactionCount < 0) {
+            throw new Error(`Invalid block transaction count: ${transactionCount}`);
         }
         
         return parcelNumber >= 0 && parcelNumber < transactionCount;
@@ -393,12 +451,8 @@ class BitmapProcessor {
      */
     async validateParcelProvenance(parcelInscriptionId, bitmapInscriptionId) {
         try {
-            const response = await robustApiCall(`${this.API_URL}/children/${bitmapInscriptionId}`, {
-                headers: { 'Accept': 'application/json' }
-            });
-
             // Check if the parcel inscription is in the children list
-            const children = response.data.ids || [];
+            const children = await this.getInscriptionChildren(bitmapInscriptionId);
             const isValidChild = children.includes(parcelInscriptionId);
             
             this.logger.info(`Parcel provenance validation for ${parcelInscriptionId}: ${isValidChild ? 'VALID' : 'INVALID'} (parent: ${bitmapInscriptionId})`);
@@ -490,7 +544,7 @@ class BitmapProcessor {
      * @param {Function} reject - Promise reject function
      */
     insertParcelData(parcelData, resolve, reject) {
-        const stmt = this.db.prepare("INSERT INTO parcels (inscription_id, parcel_number, bitmap_number, bitmap_inscription_id, content, address, block_height, timestamp, transaction_count, is_valid, wallet) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
+        const stmt = this.statements.prepare("INSERT INTO parcels (inscription_id, parcel_number, bitmap_number, bitmap_inscription_id, content, address, block_height, timestamp, transaction_count, is_valid, wallet) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
         stmt.run([
             parcelData.inscription_id, 
             parcelData.parcel_number, 
@@ -519,164 +573,90 @@ class BitmapProcessor {
     // ================================
 
     /**
-     * Generates bitmap pattern data for Mondrian visualization
+     * Gets the stored pattern string for a bitmap
      * @param {number} bitmapNumber - The bitmap number
-     * @param {string} inscriptionId - The inscription ID
-     * @returns {Promise<string|null>} - The pattern string or null
+     * @returns {Promise<string|null>} - The pattern string or null if not generated yet
      */
-    async generateBitmapPattern(bitmapNumber, inscriptionId) {
-        try {
-            // Get transaction history for this bitmap from Bitcoin Core or ord
-            const txHistory = await this.getBitmapTransactionHistory(bitmapNumber, inscriptionId);
-            
-            if (!txHistory || txHistory.length === 0) {
-                this.logger.warn(`No transaction history found for bitmap ${bitmapNumber}`);
-                return null;
-            }
-
-            // Convert transaction data using your exact getSquareSize function
-            const txListArray = txHistory.map(tx => {
-                // Use your exact getSquareSize logic
-                const value = tx.value;
-                if (value / 100000000 === 0) return 1; // Transactions with a value of 0
-                if (value / 100000000 <= 0.01) return 1;
-                if (value / 100000000 <= 0.1) return 2;
-                if (value / 100000000 <= 1) return 3;
-                if (value / 100000000 <= 10) return 4;
-                if (value / 100000000 <= 100) return 5;
-                if (value / 100000000 <= 1000) return 6;
-                if (value / 100000000 <= 10000) return 7;
-                if (value / 100000000 <= 100000) return 8;
-                if (value / 100000000 <= 1000000) return 9;
-                return 9; // For values above 1000000 BTC
-            });
-
-            // Store the pattern string 
-            const patternString = txListArray.join(''); // "554433221"
-
-            // Save pattern to database
-            return new Promise((resolve, reject) => {
-                const stmt = this.db.prepare(`
-                    INSERT OR REPLACE INTO bitmap_patterns 
-                    (bitmap_number, pattern_string) 
-                    VALUES (?, ?)
-                `);
-                stmt.run([
-                    bitmapNumber,
-                    patternString
-                ], (err) => {
-                    if (err) {
-                        this.logger.error(`Error saving pattern for bitmap ${bitmapNumber}:`, { message: err.message });
-                        reject(err);
-                    } else {
-                        this.logger.info(`Pattern saved for bitmap ${bitmapNumber}: ${patternString}`);
-                        resolve(patternString);
-                    }
-                });
+    async getBitmapPattern(bitmapNumber) {
+        return new Promise((resolve, reject) => {
+            this.db.get("SELECT pattern_string FROM bitmap_patterns WHERE bitmap_number = ?", [bitmapNumber], (err, row) => {
+                if (err) reject(err);
+                else resolve(row ? row.pattern_string : null);
             });
-
-        } catch (error) {
-            this.logger.error(`Error generating pattern for bitmap ${bitmapNumber}:`, { message: error.message });
-            return null;
-        }
+        });
     }
 
     /**
-     * Gets transaction history for a bitmap
+     * Generates and stores the Mondrian pattern of a bitmap unless it already exists
      * @param {number} bitmapNumber - The bitmap number
-     * @param {string} inscriptionId - The inscription ID
-     * @returns {Promise<Array>} - Transaction history array
+     * @returns {Promise<string|null>} - The pattern string or null if block data is unavailable
      */
-    async getBitmapTransactionHistory(bitmapNumber, inscriptionId) {
-        try {
-            // Try to get transaction history from ord API
-            const txHistory = await this.getInscriptionTransactionsCached(inscriptionId);
-            
-            if (txHistory && txHistory.length > 0) {
-                return txHistory;
-            }
-
-            // Fallback: Generate synthetic transaction data based on bitmap number
-            this.logger.info(`Generating synthetic transaction data for bitmap ${bitmapNumber}`);
-            return this.generateSyntheticTransactionData(bitmapNumber);
+    async ensureBitmapPattern(bitmapNumber) {
+        const existing = await this.getBitmapPattern(bitmapNumber);
+        if (existing) {
+            return existing;
+        }
 
-        } catch (error) {
-            this.logger.warn(`Error fetching transaction history for bitmap ${bitmapNumber}, using synthetic data:`, { message: error.message });
-            return this.generateSyntheticTransactionData(bitmapNumber);
+        const transactionPatterns = await this.generateTransactionPatterns(bitmapNumber);
+        if (!transactionPatterns) {
+            return null;
         }
+
+        await this.saveBitmapPattern(bitmapNumber, transactionPatterns);
+
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                UPDATE bitmaps SET transaction_patterns = ?, pattern_metadata = ?
+                WHERE bitmap_number = ?
+            `, [
+                JSON.stringify(transactionPatterns),
+                JSON.stringify({
+                    pattern_count: transactionPatterns.length,
+                    source_block: bitmapNumber,
+                    generated_at: new Date().toISOString()
+                }),
+                bitmapNumber
+            ], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        this.logger.info(`Pattern saved for bitmap ${bitmapNumber} (${transactionPatterns.length} transactions)`);
+        return transactionPatterns.map(p => p.size).join('');
     }
 
     /**
-     * Gets inscription transaction history (cached)
-     * @param {string} inscriptionId - The inscription ID
-     * @returns {Promise<Array|null>} - Transaction array or null
+     * Retries bitmaps whose pattern could not be generated when they were indexed
+     * @param {number} limit - Maximum number of bitmaps to attempt
+     * @returns {Promise<number>} - Number of patterns generated
      */
-    async getInscriptionTransactionsCached(inscriptionId) {
-        try {
-            // Try ord API endpoint
-            const response = await robustApiCall(`${this.API_URL}/inscription/${inscriptionId}/transactions`, {
-                headers: { 'Accept': 'application/json' }
+    async fillMissingPatterns(limit = 25) {
+        const pending = await new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT DISTINCT b.bitmap_number
+                FROM bitmaps b
+                LEFT JOIN bitmap_patterns bp ON bp.bitmap_number = b.bitmap_number
+                WHERE bp.bitmap_number IS NULL
+                ORDER BY b.bitmap_number ASC
+                LIMIT ?
+            `, [limit], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
             });
+        });
 
-            if (response.data && Array.isArray(response.data)) {
-                const transactions = response.data.map(tx => ({
-                    txid: tx.txid || tx.id,
-                    blockHeight: tx.block_height || tx.blockHeight || 0,
-                    value: tx.value || tx.output_value || Math.floor(Math.random() * 1000000),
-                    timestamp: tx.timestamp || new Date().toISOString()
-                }));
-
-                return transactions;
+        let generated = 0;
+        for (const { bitmap_number: bitmapNumber } of pending) {
+            if (await this.ensureBitmapPattern(bitmapNumber)) {
+                generated++;
             }
-
-            return null;
-
-        } catch (error) {
-            this.logger.debug(`Error fetching inscription transactions for ${inscriptionId}:`, { message: error.message });
-            return null;
         }
-    }
 
-    /**
-     * Generates synthetic transaction data for visualization
-     * @param {number} bitmapNumber - The bitmap number
-     * @returns {Array} - Synthetic transaction array
-     */
-    generateSyntheticTransactionData(bitmapNumber) {
-        // Remove the 20 transaction limit - generate based on bitmap number  
-        const numTransactions = Math.max(3, Math.floor(bitmapNumber / 10000) + 3);
-        const transactions = [];
-        
-        // Create much more varied transaction values to test all size ranges 1-9
-        const sizeTargets = [
-            { size: 1, minSats: 0, maxSats: 1000000 },          // 0-0.01 BTC  
-            { size: 2, minSats: 1000000, maxSats: 10000000 },   // 0.01-0.1 BTC
-            { size: 3, minSats: 10000000, maxSats: 100000000 }, // 0.1-1 BTC
-            { size: 4, minSats: 100000000, maxSats: 1000000000 }, // 1-10 BTC  
-            { size: 5, minSats: 1000000000, maxSats: 10000000000 }, // 10-100 BTC
-            { size: 6, minSats: 10000000000, maxSats: 100000000000 }, // 100-1000 BTC
-            { size: 7, minSats: 100000000000, maxSats: 1000000000000 }, // 1000-10000 BTC
-            { size: 8, minSats: 1000000000000, maxSats: 10000000000000 }, // 10000-100000 BTC
-            { size: 9, minSats: 10000000000000, maxSats: 100000000000000 } // 100000+ BTC
-        ];
-        
-        for (let i = 0; i < numTransactions; i++) {
-            // Use bitmap number as seed for consistent patterns
-            const seed = (bitmapNumber + i * 7) % sizeTargets.length;
-            const target = sizeTargets[seed];
-            
-            // Generate value within the target range
-            const value = target.minSats + ((bitmapNumber * 1234 + i * 5678) % (target.maxSats - target.minSats));
-            
-            transactions.push({
-                txid: `synthetic_${bitmapNumber}_${i}`,
-                blockHeight: 830000 + Math.floor(bitmapNumber / 1000) + i,
-                value: value,
-                timestamp: new Date(Date.now() - (numTransactions - i) * 86400000).toISOString()
-            });
+        if (pending.length > 0) {
+            this.logger.info(`Filled ${generated}/${pending.length} pending bitmap patterns`);
         }
-        
-        return transactions;
+        return generated;
     }
 
     // ================================
@@ -684,38 +664,40 @@ class BitmapProcessor {
     // ================================
 
     /**
-     * Processes bitmap inscription
-     * @param {string} content - The inscription content
+     * Processes a bitmap claim: invalid claims are recorded with a reason code, valid ones go
+     * through first-inscription-wins resolution
+     * @param {string} content - The raw inscription content
      * @param {string} inscriptionId - The inscription ID
      * @param {number} blockHeight - The block height
-     * @returns {Promise<Object|null>} - Processing result or null
+     * @returns {Promise<Object|null>} - Processing result or null if not a bitmap or rejected
      */
     async processBitmapInscription(content, inscriptionId, blockHeight) {
-        if (!this.isValidBitmapFormat(content)) {
+        const validation = this.validateBitmapClaim(content, blockHeight);
+        if (!validation) {
             return null;
         }
 
-        const bitmapMatch = content.match(/(\d+)\.bitmap/);
-        if (!bitmapMatch) {
+        if (validation.reason) {
+            const inscriptionDetails = await this.getInscriptionDetailsCached(inscriptionId);
+            await this.saveRejectedClaim({
+                inscription_id: inscriptionId,
+                inscription_number: inscriptionDetails && Number.isInteger(inscriptionDetails.number) ? inscriptionDetails.number : null,
+                bitmap_number: validation.bitmapNumber,
+                block_height: blockHeight,
+                content: content.substring(0, MAX_STORED_CLAIM_LENGTH)
+            }, validation.reason);
+            this.logger.info(`Rejecting bitmap claim ${inscriptionId} ${JSON.stringify(content.substring(0, 40))}: ${validation.reason}`);
             return null;
         }
 
-        const bitmapNumber = parseInt(bitmapMatch[1], 10);
-        const bitmapData = {
+        const saved = await this.saveBitmap({
             inscription_id: inscriptionId,
-            address: await this.getMintAddress(inscriptionId),
-            bitmap_number: bitmapNumber,
-            block_height: blockHeight,
-            content: `${bitmapNumber}.bitmap`,
-            timestamp: Date.now()
-        };
-
-        if (this.validateBitmapData(bitmapData)) {
-            const saved = await this.saveBitmap(bitmapData);
-            if (saved) {
-                this.logger.info(`Bitmap saved: ${inscriptionId}`);
-                return { type: 'bitmap', id: inscriptionId };
-            }
+            bitmap_number: validation.bitmapNumber,
+            block_height: blockHeight
+        });
+        if (saved) {
+            this.logger.info(`Bitmap saved: ${inscriptionId}`);
+            return { type: 'bitmap', id: inscriptionId, bitmap_number: validation.bitmapNumber };
         }
 
         return null;
@@ -726,7 +708,7 @@ class BitmapProcessor {
      * @param {string} content - The inscription content
      * @param {string} inscriptionId - The inscription ID
      * @param {number} blockHeight - The block height
-     * @param {Function} getBlockTransactionCount - Function to get transaction count
+     * @param {Function} getBlockTransactionCount - Function to get transaction count for a block height
      * @returns {Promise<Object|null>} - Processing result or null
      */
     async processParcelInscription(content, inscriptionId, blockHeight, getBlockTransactionCount) {
@@ -740,14 +722,23 @@ class BitmapProcessor {
         }
 
         const { parcelNumber, bitmapNumber } = parcelData;
+
+        // Like N.bitmap, a parcel of N cannot be inscribed before block N exists
+        if (bitmapNumber > blockHeight) {
+            this.logger.warn(`Rejecting parcel ${inscriptionId} (${content}): bitmap ${bitmapNumber} is above block height ${blockHeight}`);
+            return null;
+        }
+
         const bitmapInscriptionId = await this.getBitmapInscriptionId(bitmapNumber);
         
         if (!bitmapInscriptionId) {
-            this.logger.warn(`Referenced bitmap ${bitmapNumber} not found for parcel ${inscriptionId}`);
+            this.logger.warn(`Rejecting parcel ${inscriptionId} (${content}): bitmap ${bitmapNumber} has no indexed claim`);
             return null;
         }
 
-        const transactionCount = await getBlockTransactionCount(blockHeight);
+        // Parcel numbers index into the transactions of the bitmap's own block (block N for N.bitmap).
+        // A count that cannot be fetched fails the block so the parcel is judged again on retry.
+        const transactionCount = await getBlockTransactionCount(bitmapNumber);
         const isValidParcelNum = this.validateParcelNumber(parcelNumber, transactionCount);
         const isValidProvenance = await this.validateParcelProvenance(inscriptionId, bitmapInscriptionId);
         
@@ -758,7 +749,7 @@ class BitmapProcessor {
                 bitmap_number: bitmapNumber,
                 bitmap_inscription_id: bitmapInscriptionId,
                 content: content,
-                address: await this.getMintAddress(inscriptionId),
+                address: await this.getGenesisAddress(inscriptionId),
                 block_height: blockHeight,
                 timestamp: Date.now(),
                 transaction_count: transactionCount,
@@ -786,7 +777,7 @@ class BitmapProcessor {
      * @returns {Promise<Object|null>} - Processing result or null
      */
     async processBitmapOrParcel(content, inscriptionId, blockHeight, getBlockTransactionCount) {
-        if (!content || !content.includes('.bitmap')) {
+        if (!content || !/\.bitmap/i.test(content)) {
             return null;
         }
 
@@ -806,4 +797,6 @@ class BitmapProcessor {
     }
 }
 
+BitmapProcessor.BITMAP_REJECTION_REASONS = BITMAP_REJECTION_REASONS;
+
 module.exports = BitmapProcessor;
\ No newline at end of file
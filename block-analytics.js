@@ -0,0 +1,201 @@
+// Block analytics over processed_blocks and the entity tables (admin dashboard)
+
+// Metrics stored on processed_blocks itself
+const BLOCK_METRICS = {
+    total_inscriptions: '(pb.inscriptions_processed + pb.inscriptions_skipped + pb.inscriptions_errors)',
+    inscriptions_processed: 'pb.inscriptions_processed',
+    total_transactions: 'pb.transaction_count',
+    errors: 'pb.inscriptions_errors'
+};
+
+// Metrics counted from the entity tables, keyed by the block that produced each row
+const ENTITY_METRICS = {
+    brc420_deploys: 'SELECT COUNT(*) FROM brc420_deploys WHERE block_height = pb.block_height',
+    brc420_mints: 'SELECT COUNT(*) FROM brc420_mints WHERE block_height = pb.block_height AND is_valid = 1',
+    bitmaps: 'SELECT COUNT(*) FROM bitmaps WHERE block_height = pb.block_height',
+    parcels: 'SELECT COUNT(*) FROM parcels WHERE block_height = pb.block_height'
+};
+
+// Grouped form of ENTITY_METRICS used to rank blocks without scanning every processed block
+const ENTITY_GROUP_QUERIES = {
+    brc420_deploys: 'SELECT block_height, COUNT(*) AS value FROM brc420_deploys GROUP BY block_height',
+    brc420_mints: 'SELECT block_height, COUNT(*) AS value FROM brc420_mints WHERE is_valid = 1 GROUP BY block_height',
+    bitmaps: 'SELECT block_height, COUNT(*) AS value FROM bitmaps GROUP BY block_height',
+    parcels: 'SELECT block_height, COUNT(*) AS value FROM parcels GROUP BY block_height'
+};
+
+const METRICS = [...Object.keys(BLOCK_METRICS), ...Object.keys(ENTITY_METRICS)];
+
+const MAX_PAGE_SIZE = 1000;
+
+class BlockAnalytics {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // ================================
+    // DATABASE HELPERS
+    // ================================
+
+    dbGet(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    dbAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    /**
+     * Column list for per-block rows (aliased to the names the dashboard renders)
+     * @returns {string} - SELECT list over processed_blocks pb
+     */
+    blockColumns() {
+        const blockColumns = Object.entries(BLOCK_METRICS).map(([name, expr]) => `${expr} AS ${name}`);
+        const entityColumns = Object.entries(ENTITY_METRICS).map(([name, sql]) => `(${sql}) AS ${name}`);
+
+        return [
+            'pb.block_height',
+            'pb.block_hash',
+            'pb.block_timestamp',
+            'pb.processed_at',
+            ...blockColumns,
+            ...entityColumns
+        ].join(',\n                   ');
+    }
+
+    // ================================
+    // QUERIES
+    // ================================
+
+    /**
+     * Totals across all processed blocks
+     * @returns {Promise<Object>} - Summary counts and processed height range
+     */
+    async getSummary() {
+        const blocks = await this.dbGet(`
+            SELECT COUNT(*) AS total_blocks_processed,
+                   COALESCE(SUM(transaction_count), 0) AS total_transactions,
+                   COALESCE(SUM(inscriptions_processed + inscriptions_skipped + inscriptions_errors), 0) AS total_inscriptions,
+                   COALESCE(SUM(inscriptions_processed), 0) AS total_inscriptions_processed,
+                   COALESCE(SUM(inscriptions_errors), 0) AS total_errors,
+                   MIN(block_height) AS first_block,
+                   MAX(block_height) AS latest_block
+            FROM processed_blocks
+        `);
+
+        const entities = await this.dbGet(`
+            SELECT (SELECT COUNT(*) FROM brc420_deploys) AS total_brc420_deploys,
+                   (SELECT COUNT(*) FROM brc420_mints WHERE is_valid = 1) AS total_brc420_mints,
+                   (SELECT COUNT(*) FROM bitmaps) AS total_bitmaps,
+                   (SELECT COUNT(*) FROM parcels) AS total_parcels
+        `);
+
+        return { ...blocks, ...entities };
+    }
+
+    /**
+     * Paginated per-block statistics
+     * @param {Object} filters - {page, limit, sort, startHeight, endHeight, startTime, endTime}
+     *                           (sort is "<metric|block_height>_<asc|desc>", times are unix seconds)
+     * @returns {Promise<Object>} - {blocks, total, page, limit}
+     */
+    async getBlockStats(filters = {}) {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.min(Math.max(1, parseInt(filters.limit) || 50), MAX_PAGE_SIZE);
+
+        const conditions = [];
+        const params = [];
+
+        if (Number.isInteger(filters.startHeight)) {
+            conditions.push('pb.block_height >= ?');
+            params.push(filters.startHeight);
+        }
+        if (Number.isInteger(filters.endHeight)) {
+            conditions.push('pb.block_height <= ?');
+            params.push(filters.endHeight);
+        }
+        if (Number.isInteger(filters.startTime)) {
+            conditions.push('pb.block_timestamp >= ?');
+            params.push(filters.startTime);
+        }
+        if (Number.isInteger(filters.endTime)) {
+            conditions.push('pb.block_timestamp < ?');
+            params.push(filters.endTime);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const { column, direction } = this.parseSort(filters.sort);
+        const tiebreak = column === 'pb.block_height' ? '' : ', pb.block_height DESC';
+
+        const count = await this.dbGet(`SELECT COUNT(*) AS total FROM processed_blocks pb ${where}`, params);
+        const blocks = await this.dbAll(`
+            SELECT ${this.blockColumns()}
+            FROM processed_blocks pb
+            ${where}
+            ORDER BY ${column} ${direction}${tiebreak}
+            LIMIT ? OFFSET ?
+        `, [...params, limit, (page - 1) * limit]);
+
+        return { blocks, total: count.total, page, limit };
+    }
+
+    /**
+     * Top blocks by a metric
+     * @param {string} metric - One of BlockAnalytics.METRICS
+     * @param {number} limit - Number of blocks to return
+     * @returns {Promise<Array>} - Block rows, highest metric first
+     */
+    async getHighActivityBlocks(metric, limit = 10) {
+        const size = Math.min(Math.max(1, parseInt(limit) || 10), 100);
+
+        if (BLOCK_METRICS[metric]) {
+            return this.dbAll(`
+                SELECT ${this.blockColumns()}
+                FROM processed_blocks pb
+                ORDER BY ${BLOCK_METRICS[metric]} DESC, pb.block_height DESC
+                LIMIT ?
+            `, [size]);
+        }
+
+        // Rank from the grouped entity table first, then load full rows for the winners only
+        return this.dbAll(`
+            SELECT ${this.blockColumns()}
+            FROM (${ENTITY_GROUP_QUERIES[metric]} ORDER BY value DESC, block_height DESC LIMIT ?) top
+            JOIN processed_blocks pb ON pb.block_height = top.block_height
+            ORDER BY top.value DESC, pb.block_height DESC
+        `, [size]);
+    }
+
+    /**
+     * Resolves a sort key such as "total_inscriptions_desc" to a whitelisted ORDER BY expression
+     * @param {string} sort - Sort key
+     * @returns {Object} - {column, direction}
+     */
+    parseSort(sort = 'block_height_desc') {
+        const match = /^(.+)_(asc|desc)$/.exec(sort || '');
+        const direction = match && match[2] === 'asc' ? 'ASC' : 'DESC';
+        const key = match ? match[1] : 'block_height';
+
+        if (BLOCK_METRICS[key]) {
+            return { column: BLOCK_METRICS[key], direction };
+        }
+        if (ENTITY_METRICS[key]) {
+            return { column: `(${ENTITY_METRICS[key]})`, direction };
+        }
+        return { column: 'pb.block_height', direction };
+    }
+}
+
+BlockAnalytics.METRICS = METRICS;
+
+module.exports = BlockAnalytics;
@@ -0,0 +1,71 @@
+// Block pipeline: prefetches blocks ahead of the commit position while commits stay in height order
+
+class BlockPipeline {
+    /**
+     * @param {Function} prefetchBlock - Read-only fetch for one height, (height) => Promise<block>
+     * @param {number} lookahead - Blocks fetched ahead of the one being committed (0 = sequential)
+     * @param {Object} logger - Logger
+     */
+    constructor(prefetchBlock, lookahead, logger) {
+        this.prefetchBlock = prefetchBlock;
+        this.lookahead = Math.max(0, lookahead);
+        this.logger = logger;
+        this.pending = new Map();
+    }
+
+    /**
+     * Starts prefetching every height in [fromHeight, lastHeight] that is not already in flight
+     * @param {number} fromHeight - First height
+     * @param {number} lastHeight - Last height
+     */
+    fill(fromHeight, lastHeight) {
+        for (let height = fromHeight; height <= lastHeight; height++) {
+            if (!this.pending.has(height)) {
+                // Settle immediately so a failed prefetch never surfaces as an unhandled rejection
+                const settled = this.prefetchBlock(height).then(
+                    block => ({ block }),
+                    error => ({ error })
+                );
+                this.pending.set(height, settled);
+            }
+        }
+    }
+
+    /**
+     * Waits for the prefetched data of a height, topping up the lookahead window first
+     * @param {number} height - Height about to be committed
+     * @param {number} maxHeight - Highest height that may be fetched (the confirmed target)
+     * @returns {Promise<Object>} - The prefetched block (throws the prefetch error if it failed)
+     */
+    async take(height, maxHeight) {
+        // Anything below the commit position is stale (already committed or rolled back)
+        for (const pendingHeight of this.pending.keys()) {
+            if (pendingHeight < height) {
+                this.pending.delete(pendingHeight);
+            }
+        }
+
+        // The blocks after this one keep downloading while the caller commits it
+        this.fill(height, Math.min(height + this.lookahead, maxHeight));
+
+        const settled = await this.pending.get(height);
+        this.pending.delete(height);
+
+        if (settled.error) {
+            throw settled.error;
+        }
+        return settled.block;
+    }
+
+    /**
+     * Drops all prefetched blocks (after a reorg, or when a prefetched hash no longer matches the chain)
+     */
+    reset() {
+        if (this.pending.size > 0) {
+            this.logger.info(`🧹 Discarding ${this.pending.size} prefetched block(s)`);
+        }
+        this.pending.clear();
+    }
+}
+
+module.exports = BlockPipeline;
@@ -0,0 +1,573 @@
+const Joi = require('joi');
+const StatementCache = require('./statement-cache');
+
+const INSCRIPTION_ID_PATTERN = /^[0-9a-f]{64}i\d+$/;
+
+// BRC-420 deploy content: {"p":"brc-420","op":"deploy","id":"<source>","name":"...","max":"21","price":"0.0001"}
+const deployContentSchema = Joi.object({
+    p: Joi.string().valid('brc-420').required(),
+    op: Joi.string().valid('deploy').required(),
+    id: Joi.string().pattern(INSCRIPTION_ID_PATTERN).required(),
+    name: Joi.string().trim().min(1).max(256).required(),
+    max: Joi.alternatives().try(
+        Joi.number().integer().min(1),
+        Joi.string().pattern(/^[1-9]\d*$/)
+    ).required(),
+    price: Joi.alternatives().try(
+        Joi.number().min(0),
+        Joi.string().pattern(/^\d+(\.\d{1,8})?$/)
+    ).required()
+}).unknown(true);
+
+// BRC-420 mint content: a recursive reference to the deploy's source inscription
+const MINT_CONTENT_PATTERN = /^\/content\/([0-9a-f]{64}i\d+)$/;
+
+// Reason codes stored with invalid mints
+const MINT_INVALID_REASONS = {
+    MINTED_BEFORE_DEPLOY: 'MINTED_BEFORE_DEPLOY',
+    ROYALTY_NOT_PAID: 'ROYALTY_NOT_PAID',
+    SUPPLY_EXHAUSTED: 'SUPPLY_EXHAUSTED'
+};
+
+// Deploy row validation schema
+const deploySchema = Joi.object({
+    inscription_id: Joi.string().pattern(INSCRIPTION_ID_PATTERN).required(),
+    inscription_number: Joi.number().integer().allow(null),
+    source_id: Joi.string().pattern(INSCRIPTION_ID_PATTERN).required(),
+    name: Joi.string().required(),
+    max_supply: Joi.number().integer().min(1).required(),
+    price: Joi.number().min(0).required(),
+    price_sats: Joi.number().integer().min(0).required(),
+    deployer_address: Joi.string().required(),
+    block_height: Joi.number().integer().min(0).required(),
+    timestamp: Joi.number().integer().allow(null),
+    sat_number: Joi.number().integer().allow(null),
+    deploy_data: Joi.string().required()
+});
+
+class Brc420Processor {
+    /**
+     * @param {Object} db - SQLite database
+     * @param {Object} logger - Logger
+     * @param {Object} processingLogger - Debug logger
+     * @param {Function} getInscriptionDetailsCached - (inscriptionId) => ord inscription details
+     * @param {Function} getGenesisAddress - (inscriptionId) => address that received it in its reveal transaction
+     * @param {Function} getAddressAtHeight - (inscriptionId, blockHeight) => address holding it at the end of that block
+     * @param {Function} getTransactionOutputs - (txid) => [{address, value}] or null
+     */
+    constructor(db, logger, processingLogger, getInscriptionDetailsCached, getGenesisAddress, getAddressAtHeight, getTransactionOutputs) {
+        this.db = db;
+        this.logger = logger;
+        this.processingLogger = processingLogger;
+        this.getInscriptionDetailsCached = getInscriptionDetailsCached;
+        this.getGenesisAddress = getGenesisAddress;
+        this.getAddressAtHeight = getAddressAtHeight;
+        this.getTransactionOutputs = getTransactionOutputs;
+        this.statements = StatementCache.forDatabase(db);
+    }
+
+    // ================================
+    // DEPLOY PARSING
+    // ================================
+
+    /**
+     * Parses and validates BRC-420 deploy content
+     * @param {string} content - The inscription content
+     * @returns {Object|null} - {sourceId, name, max, price, priceSats, raw} or null if invalid
+     */
+    parseDeployContent(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            return null;
+        }
+
+        const { error, value } = deployContentSchema.validate(data);
+        if (error) {
+            this.processingLogger.debug(`Invalid BRC-420 deploy content: ${error.details.map(d => d.message).join(', ')}`);
+            return null;
+        }
+
+        const price = parseFloat(value.price);
+
+        return {
+            sourceId: value.id,
+            name: value.name,
+            max: parseInt(value.max, 10),
+            price: price,
+            priceSats: Math.round(price * 100000000),
+            raw: data
+        };
+    }
+
+    // ================================
+    // DEPLOY VALIDATION
+    // ================================
+
+    /**
+     * Gets the stored deploy for a source inscription
+     * @param {string} sourceId - The source inscription ID
+     * @returns {Promise<Object|null>} - The deploy row or null
+     */
+    async getDeployBySource(sourceId) {
+        return new Promise((resolve, reject) => {
+            this.db.get("SELECT * FROM brc420_deploys WHERE source_id = ?", [sourceId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Checks that the deployer held the referenced source inscription when the deploy was inscribed
+     * @param {string} deployerAddress - Address that received the deploy inscription
+     * @param {string} sourceId - The source inscription ID
+     * @param {number} blockHeight - The deploy's block height
+     * @returns {Promise<boolean>} - True if the source was held by the deployer at that height
+     */
+    async validateSourceOwnership(deployerAddress, sourceId, blockHeight) {
+        const sourceOwner = await this.getAddressAtHeight(sourceId, blockHeight);
+
+        if (!sourceOwner) {
+            this.logger.warn(`Source inscription ${sourceId} had no owner address at block ${blockHeight}`);
+            return false;
+        }
+
+        return sourceOwner === deployerAddress;
+    }
+
+    /**
+     * Decides whether a new deploy should take precedence over an existing one for the same source
+     * (earlier block wins, then lower inscription number within the same block)
+     * @param {Object} candidate - The new deploy
+     * @param {Object} existing - The stored deploy
+     * @returns {boolean} - True if the candidate is the earlier deploy
+     */
+    isEarlierDeploy(candidate, existing) {
+        if (candidate.block_height !== existing.block_height) {
+            return candidate.block_height < existing.block_height;
+        }
+
+        if (candidate.inscription_number !== null && existing.inscription_number !== null) {
+            return candidate.inscription_number < existing.inscription_number;
+        }
+
+        return candidate.inscription_id < existing.inscription_id;
+    }
+
+    // ================================
+    // MAIN PROCESSING FUNCTIONS
+    // ================================
+
+    /**
+     * Processes a BRC-420 deploy inscription
+     * @param {string} inscriptionId - The deploy inscription ID
+     * @param {string} content - The inscription content
+     * @param {Object} inscriptionDetails - Inscription details from the ord API
+     * @param {number} blockHeight - The block height
+     * @returns {Promise<Object|null>} - The saved deploy or null if rejected
+     */
+    async processDeploy(inscriptionId, content, inscriptionDetails, blockHeight) {
+        const parsed = this.parseDeployContent(content);
+        if (!parsed) {
+            return null;
+        }
+
+        // The deployer is whoever received the deploy inscription, not its current owner
+        const deployerAddress = await this.getGenesisAddress(inscriptionId);
+        if (!deployerAddress) {
+            this.logger.warn(`Rejecting deploy ${inscriptionId}: reveal output has no address`);
+            return null;
+        }
+
+        const ownsSource = await this.validateSourceOwnership(deployerAddress, parsed.sourceId, blockHeight);
+        if (!ownsSource) {
+            this.logger.info(`Rejecting deploy ${inscriptionId}: deployer ${deployerAddress} does not own source ${parsed.sourceId}`);
+            return null;
+        }
+
+        const deployData = {
+            inscription_id: inscriptionId,
+            inscription_number: Number.isInteger(inscriptionDetails.number) ? inscriptionDetails.number : null,
+            source_id: parsed.sourceId,
+            name: parsed.name,
+            max_supply: parsed.max,
+            price: parsed.price,
+            price_sats: parsed.priceSats,
+            deployer_address: deployerAddress,
+            block_height: blockHeight,
+            timestamp: Number.isInteger(inscriptionDetails.timestamp) ? inscriptionDetails.timestamp : null,
+            sat_number: inscriptionDetails.sat || null,
+            deploy_data: JSON.stringify(parsed.raw)
+        };
+
+        const { error } = deploySchema.validate(deployData);
+        if (error) {
+            this.logger.error(`Deploy data validation error: ${error.details.map(d => d.message).join(', ')}`);
+            return null;
+        }
+
+        // Only the first deploy of a source inscription is valid. Retried once: a concurrent deploy
+        // in the same block can insert between the lookup and the insert.
+        const replaced = [];
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const existing = await this.getDeployBySource(parsed.sourceId);
+            if (existing) {
+                if (existing.inscription_id === inscriptionId) {
+                    return existing;
+                }
+
+                if (!this.isEarlierDeploy(deployData, existing)) {
+                    this.logger.info(`Rejecting duplicate deploy ${inscriptionId} for source ${parsed.sourceId} (first deploy: ${existing.inscription_id})`);
+                    await this.reassignMints(replaced, existing);
+                    return null;
+                }
+
+                this.logger.info(`Replacing deploy ${existing.inscription_id} with earlier deploy ${inscriptionId} for source ${parsed.sourceId}`);
+                await this.deleteDeploy(existing.inscription_id);
+                replaced.push(existing);
+            }
+
+            if (await this.saveDeploy(deployData)) {
+                await this.reassignMints(replaced, deployData);
+                return deployData;
+            }
+        }
+
+        throw new Error(`Could not resolve the deploy of source ${parsed.sourceId} (${inscriptionId})`);
+    }
+
+    /**
+     * Moves the mints of replaced deploys to the deploy that replaced them and judges them again
+     * (validity depends on the deploy's height, price and deployer), then renumbers their blocks
+     * @param {Array<Object>} replacedDeploys - Deploy rows that lost to the winner
+     * @param {Object} winner - The deploy that now holds the source
+     */
+    async reassignMints(replacedDeploys, winner) {
+        const heights = new Set();
+
+        for (const replaced of replacedDeploys) {
+            const mints = await this.dbAll("SELECT * FROM brc420_mints WHERE deploy_id = ?", [replaced.inscription_id]);
+            for (const mint of mints) {
+                const verdict = await this.judgeMint(mint, winner);
+                await this.dbRun(`
+                    UPDATE brc420_mints
+                    SET deploy_id = ?, royalty_paid_sats = ?, is_valid = ?, invalid_reason = ?, mint_number = NULL
+                    WHERE inscription_id = ?
+                `, [winner.inscription_id, verdict.royalty_paid_sats, verdict.is_valid ? 1 : 0, verdict.invalid_reason, mint.inscription_id]);
+                heights.add(mint.block_height);
+            }
+
+            if (mints.length > 0) {
+                this.logger.info(`Moved ${mints.length} mint(s) of replaced deploy ${replaced.inscription_id} to ${winner.inscription_id}`);
+            }
+        }
+
+        // Supply is counted from lower blocks, so renumber in height order
+        for (const height of [...heights].sort((a, b) => a - b)) {
+            await this.rankBlockMints(height);
+        }
+    }
+
+    /**
+     * Transactions of the mints a deploy would judge again if it replaced the stored deploy of
+     * its source, so the royalty checks can be fetched before the block is committed
+     * @param {string} sourceId - The source inscription ID
+     * @param {Object} candidate - {inscription_id, inscription_number, block_height} of the deploy
+     * @returns {Promise<Array<string>>} - Mint transaction IDs
+     */
+    async getMintTransactionsToRejudge(sourceId, candidate) {
+        const existing = await this.getDeployBySource(sourceId);
+        if (!existing || existing.inscription_id === candidate.inscription_id || !this.isEarlierDeploy(candidate, existing)) {
+            return [];
+        }
+
+        const rows = await this.dbAll("SELECT DISTINCT transaction_id FROM brc420_mints WHERE deploy_id = ?", [existing.inscription_id]);
+        return rows.map(row => row.transaction_id);
+    }
+
+    // ================================
+    // MINT VALIDATION
+    // ================================
+
+    /**
+     * Extracts the referenced source inscription from mint content
+     * @param {string} content - The inscription content
+     * @returns {string|null} - The source inscription ID or null if not a mint
+     */
+    parseMintContent(content) {
+        if (!content) {
+            return null;
+        }
+
+        const match = content.trim().match(MINT_CONTENT_PATTERN);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Sums the outputs of the mint transaction paid to the deployer
+     * @param {string} txid - The mint (reveal) transaction ID
+     * @param {string} deployerAddress - The royalty recipient
+     * @returns {Promise<number>} - Satoshis paid to the deployer
+     */
+    async getRoyaltyPaid(txid, deployerAddress) {
+        const outputs = await this.getTransactionOutputs(txid);
+        if (!outputs) {
+            // Surface as an error so the block is retried rather than the mint stored as invalid
+            throw new Error(`Transaction outputs unavailable for ${txid}`);
+        }
+
+        return outputs
+            .filter(output => output.address === deployerAddress)
+            .reduce((sum, output) => sum + output.value, 0);
+    }
+
+    /**
+     * Checks whether a mint was inscribed before its deploy
+     * @param {Object} mint - Mint with block_height and inscription_number
+     * @param {Object} deploy - The deploy row
+     * @returns {boolean} - True if the mint precedes the deploy
+     */
+    isBeforeDeploy(mint, deploy) {
+        if (mint.block_height !== deploy.block_height) {
+            return mint.block_height < deploy.block_height;
+        }
+
+        return mint.inscription_number !== null && deploy.inscription_number !== null &&
+            mint.inscription_number < deploy.inscription_number;
+    }
+
+    /**
+     * Checks a mint against its deploy (supply is checked later by rankBlockMints)
+     * @param {Object} mint - Mint with inscription_number, transaction_id and block_height
+     * @param {Object} deploy - The deploy row
+     * @returns {Promise<Object>} - {royalty_paid_sats, is_valid, invalid_reason}
+     */
+    async judgeMint(mint, deploy) {
+        if (this.isBeforeDeploy(mint, deploy)) {
+            return { royalty_paid_sats: null, is_valid: false, invalid_reason: MINT_INVALID_REASONS.MINTED_BEFORE_DEPLOY };
+        }
+
+        const royaltyPaid = await this.getRoyaltyPaid(mint.transaction_id, deploy.deployer_address);
+        return royaltyPaid < deploy.price_sats
+            ? { royalty_paid_sats: royaltyPaid, is_valid: false, invalid_reason: MINT_INVALID_REASONS.ROYALTY_NOT_PAID }
+            : { royalty_paid_sats: royaltyPaid, is_valid: true, invalid_reason: null };
+    }
+
+    /**
+     * Processes a BRC-420 mint inscription; supply is assigned later by rankBlockMints
+     * @param {string} inscriptionId - The mint inscription ID
+     * @param {string} content - The inscription content
+     * @param {Object} inscriptionDetails - Inscription details from the ord API
+     * @param {number} blockHeight - The block height
+     * @returns {Promise<Object|null>} - The stored mint (valid or invalid) or null if not a mint
+     */
+    async processMint(inscriptionId, content, inscriptionDetails, blockHeight) {
+        const sourceId = this.parseMintContent(content);
+        if (!sourceId) {
+            return null;
+        }
+
+        // Recursive references to inscriptions that were never deployed are not mints
+        const deploy = await this.getDeployBySource(sourceId);
+        if (!deploy) {
+            this.processingLogger.debug(`Inscription ${inscriptionId} references ${sourceId}, which has no BRC-420 deploy`);
+            return null;
+        }
+
+        const txid = inscriptionId.substring(0, 64);
+        const mintData = {
+            inscription_id: inscriptionId,
+            inscription_number: Number.isInteger(inscriptionDetails.number) ? inscriptionDetails.number : null,
+            deploy_id: deploy.inscription_id,
+            source_id: sourceId,
+            mint_address: await this.getGenesisAddress(inscriptionId),
+            transaction_id: txid,
+            royalty_paid_sats: null,
+            is_valid: true,
+            invalid_reason: null,
+            block_height: blockHeight,
+            timestamp: Number.isInteger(inscriptionDetails.timestamp) ? inscriptionDetails.timestamp : null,
+            sat_number: inscriptionDetails.sat || null
+        };
+
+        Object.assign(mintData, await this.judgeMint(mintData, deploy));
+        await this.saveMint(mintData);
+
+        if (!mintData.is_valid) {
+            this.logger.info(`Invalid mint ${inscriptionId} for deploy ${deploy.inscription_id}: ${mintData.invalid_reason}`);
+        }
+
+        return mintData;
+    }
+
+    /**
+     * Assigns mint numbers for a block in inscription order and enforces max supply.
+     * Runs after the whole block is processed so concurrent processing cannot over-allocate.
+     * @param {number} blockHeight - The block height
+     * @returns {Promise<number>} - Number of mints that exceeded supply
+     */
+    async rankBlockMints(blockHeight) {
+        const deploys = await this.dbAll(`
+            SELECT DISTINCT m.deploy_id, d.max_supply
+            FROM brc420_mints m
+            JOIN brc420_deploys d ON d.inscription_id = m.deploy_id
+            WHERE m.block_height = ?
+        `, [blockHeight]);
+
+        let exhausted = 0;
+
+        for (const deploy of deploys) {
+            const before = await this.dbGet(`
+                SELECT COUNT(*) AS count FROM brc420_mints
+                WHERE deploy_id = ? AND block_height < ? AND is_valid = 1
+            `, [deploy.deploy_id, blockHeight]);
+
+            // Candidates are mints that passed every check except (possibly) supply
+            const candidates = await this.dbAll(`
+                SELECT inscription_id FROM brc420_mints
+                WHERE deploy_id = ? AND block_height = ?
+                  AND (is_valid = 1 OR invalid_reason = ?)
+                ORDER BY inscription_number ASC, inscription_id ASC
+            `, [deploy.deploy_id, blockHeight, MINT_INVALID_REASONS.SUPPLY_EXHAUSTED]);
+
+            let mintNumber = before.count;
+            for (const candidate of candidates) {
+                mintNumber++;
+                if (mintNumber <= deploy.max_supply) {
+                    await this.dbRun(`
+                        UPDATE brc420_mints SET mint_number = ?, is_valid = 1, invalid_reason = NULL
+                        WHERE inscription_id = ?
+                    `, [mintNumber, candidate.inscription_id]);
+                } else {
+                    exhausted++;
+                    await this.dbRun(`
+                        UPDATE brc420_mints SET mint_number = NULL, is_valid = 0, invalid_reason = ?
+                        WHERE inscription_id = ?
+                    `, [MINT_INVALID_REASONS.SUPPLY_EXHAUSTED, candidate.inscription_id]);
+                }
+            }
+        }
+
+        if (exhausted > 0) {
+            this.logger.info(`Block ${blockHeight}: ${exhausted} mint(s) exceeded max supply`);
+        }
+
+        return exhausted;
+    }
+
+    // ================================
+    // DATABASE OPERATIONS
+    // ================================
+
+    dbGet(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    dbAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    dbRun(sql, params = []) {
+        return this.statements.run(sql, params);
+    }
+
+    /**
+     * Saves a mint row (valid or invalid); re-processing replaces the previous verdict
+     * @param {Object} mintData - The mint row
+     * @returns {Promise<number>} - Number of changed rows
+     */
+    async saveMint(mintData) {
+        return new Promise((resolve, reject) => {
+            const stmt = this.statements.prepare(`
+                INSERT OR REPLACE INTO brc420_mints
+                (inscription_id, inscription_number, deploy_id, source_id, mint_address, transaction_id,
+                 royalty_paid_sats, mint_number, is_valid, invalid_reason, block_height, timestamp,
+                 sat_number, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, datetime('now'))
+            `);
+
+            stmt.run([
+                mintData.inscription_id,
+                mintData.inscription_number,
+                mintData.deploy_id,
+                mintData.source_id,
+                mintData.mint_address,
+                mintData.transaction_id,
+                mintData.royalty_paid_sats,
+                mintData.is_valid ? 1 : 0,
+                mintData.invalid_reason,
+                mintData.block_height,
+                mintData.timestamp,
+                mintData.sat_number
+            ], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    async deleteDeploy(inscriptionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run("DELETE FROM brc420_deploys WHERE inscription_id = ?", [inscriptionId], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    /**
+     * Saves a validated deploy; the UNIQUE(source_id) constraint guards against races
+     * @param {Object} deployData - The deploy row
+     * @returns {Promise<boolean>} - True if a row was inserted
+     */
+    async saveDeploy(deployData) {
+        return new Promise((resolve, reject) => {
+            const stmt = this.statements.prepare(`
+                INSERT OR IGNORE INTO brc420_deploys
+                (inscription_id, inscription_number, source_id, name, max_supply, price, price_sats,
+                 deployer_address, block_height, timestamp, sat_number, deploy_data, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+            `);
+
+            stmt.run([
+                deployData.inscription_id,
+                deployData.inscription_number,
+                deployData.source_id,
+                deployData.name,
+                deployData.max_supply,
+                deployData.price,
+                deployData.price_sats,
+                deployData.deployer_address,
+                deployData.block_height,
+                deployData.timestamp,
+                deployData.sat_number,
+                deployData.deploy_data
+            ], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+}
+
+Brc420Processor.MINT_INVALID_REASONS = MINT_INVALID_REASONS;
+
+module.exports = Brc420Processor;
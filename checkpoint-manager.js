@@ -0,0 +1,148 @@
+// Checkpoint subsystem: derives where indexing should resume from processed_blocks
+
+class CheckpointManager {
+    constructor(db, logger = console) {
+        this.db = db;
+        this.logger = logger;
+    }
+
+    // ================================
+    // DATABASE HELPERS
+    // ================================
+
+    dbGet(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    dbAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // ================================
+    // CHECKPOINT QUERIES
+    // ================================
+
+    /**
+     * Finds missing ranges in processed_blocks at or above the start block
+     * @param {number} startBlock - The lowest block the indexer is responsible for
+     * @returns {Promise<Array>} - Array of {start, end} inclusive ranges, ascending
+     */
+    async findGaps(startBlock) {
+        const bounds = await this.dbGet(`
+            SELECT MIN(block_height) AS lowest, MAX(block_height) AS highest
+            FROM processed_blocks
+            WHERE block_height >= ?
+        `, [startBlock]);
+
+        if (!bounds || bounds.highest === null) {
+            return [];
+        }
+
+        const gaps = [];
+
+        // Leading gap between the start block and the first processed block
+        if (bounds.lowest > startBlock) {
+            gaps.push({ start: startBlock, end: bounds.lowest - 1 });
+        }
+
+        // Interior gaps: processed blocks whose successor is missing (excluding the highest)
+        const rows = await this.dbAll(`
+            SELECT p.block_height + 1 AS gap_start,
+                   (SELECT MIN(n.block_height) FROM processed_blocks n
+                    WHERE n.block_height > p.block_height) - 1 AS gap_end
+            FROM processed_blocks p
+            WHERE p.block_height >= ?
+              AND p.block_height < ?
+              AND NOT EXISTS (
+                  SELECT 1 FROM processed_blocks q WHERE q.block_height = p.block_height + 1
+              )
+            ORDER BY p.block_height ASC
+        `, [startBlock, bounds.highest]);
+
+        for (const row of rows) {
+            gaps.push({ start: row.gap_start, end: row.gap_end });
+        }
+
+        return gaps;
+    }
+
+    /**
+     * Computes the resume decision for the indexer
+     * @param {number} startBlock - Configured start block (START_BLOCK or env override)
+     * @returns {Promise<Object>} - Resume decision with contiguous height, gaps and next block
+     */
+    async getResumeDecision(startBlock) {
+        const bounds = await this.dbGet(`
+            SELECT COUNT(*) AS processed, MAX(block_height) AS highest
+            FROM processed_blocks
+            WHERE block_height >= ?
+        `, [startBlock]);
+
+        const highestProcessed = bounds && bounds.highest !== null ? bounds.highest : null;
+
+        if (highestProcessed === null) {
+            return {
+                start_block: startBlock,
+                contiguous_height: null,
+                highest_processed: null,
+                resume_block: startBlock,
+                gaps: [],
+                missing_blocks: 0,
+                processed_blocks: 0,
+                reason: 'no_checkpoint'
+            };
+        }
+
+        const gaps = await this.findGaps(startBlock);
+        const missingBlocks = gaps.reduce((sum, gap) => sum + (gap.end - gap.start + 1), 0);
+
+        // Highest height H such that every block in [startBlock, H] is processed
+        const contiguousHeight = gaps.length > 0 ? gaps[0].start - 1 : highestProcessed;
+
+        // Blocks are indexed in height order (first-wins rules depend on it), so a gap cannot be
+        // filled after the blocks above it: indexing resumes at the lowest gap and redoes the rest
+        return {
+            start_block: startBlock,
+            contiguous_height: contiguousHeight >= startBlock ? contiguousHeight : null,
+            highest_processed: highestProcessed,
+            resume_block: contiguousHeight + 1,
+            gaps: gaps,
+            missing_blocks: missingBlocks,
+            processed_blocks: bounds.processed,
+            reason: gaps.length > 0 ? 'rewind_to_gap' : 'resume_contiguous'
+        };
+    }
+
+    /**
+     * Logs a resume decision in a human-readable form
+     * @param {Object} decision - Result of getResumeDecision
+     */
+    logResumeDecision(decision) {
+        if (decision.reason === 'no_checkpoint') {
+            this.logger.info(`📍 No checkpoint found at or above block ${decision.start_block}, starting fresh`);
+            return;
+        }
+
+        this.logger.info(`📍 Checkpoint: contiguous through block ${decision.contiguous_height ?? 'none'}, highest processed ${decision.highest_processed}`);
+
+        if (decision.gaps.length > 0) {
+            const preview = decision.gaps.slice(0, 5).map(gap => gap.start === gap.end ? `${gap.start}` : `${gap.start}-${gap.end}`).join(', ');
+            this.logger.warn(`🕳️ Found ${decision.gaps.length} gap(s) covering ${decision.missing_blocks} block(s): ${preview}${decision.gaps.length > 5 ? ', ...' : ''}`);
+            this.logger.warn(`⏪ Blocks ${decision.resume_block}-${decision.highest_processed} will be indexed again in order`);
+        }
+
+        this.logger.info(`▶️ Resuming at block ${decision.resume_block}`);
+    }
+}
+
+module.exports = CheckpointManager;
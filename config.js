@@ -1,6 +1,9 @@
 require('dotenv').config();
 const fs = require('fs');
 
+// Public mempool/Esplora APIs (not suitable for fetching every block's transactions)
+const PUBLIC_MEMPOOL_HOSTS = ['mempool.space', 'blockstream.info'];
+
 class ProductionConfig {
     constructor() {
         this.environment = process.env.NODE_ENV || 'development';
@@ -35,6 +38,58 @@ class ProductionConfig {
         return parseInt(process.env.START_BLOCK) || 792435;
     }
 
+    get RESUME_FROM_CHECKPOINT() {
+        // Resume from processed_blocks unless explicitly disabled
+        return process.env.RESUME_FROM_CHECKPOINT !== 'false';
+    }
+
+    get MAX_REORG_DEPTH() {
+        return parseInt(process.env.MAX_REORG_DEPTH) || 100;
+    }
+
+    get CONFIRMATION_DEPTH() {
+        // 1 = index the tip block as soon as it appears
+        return Math.max(1, parseInt(process.env.CONFIRMATION_DEPTH) || 1);
+    }
+
+    get TIP_POLL_INTERVAL() {
+        return parseInt(process.env.TIP_POLL_INTERVAL) || 30000;
+    }
+
+    get TRACK_TRANSFERS() {
+        // Follow ownership of indexed inscriptions through every block's transactions. Once anything
+        // is tracked every block's full transaction list is needed, so unless set explicitly this is
+        // only on when a node or a local mempool/Esplora can serve them (paging every block through
+        // the public mempool.space API would stall indexing).
+        if (process.env.TRACK_TRANSFERS !== undefined) {
+            return process.env.TRACK_TRANSFERS !== 'false';
+        }
+        return this.hasLocalBlockSource();
+    }
+
+    // Whether block transactions can come from Bitcoin Core RPC or a self-hosted mempool/Esplora
+    hasLocalBlockSource() {
+        if (this.getBitcoinRpcConfig()) {
+            return true;
+        }
+        
+        if (process.env.APP_MEMPOOL_NODE_IP || process.env.APP_MEMPOOL_API_IP) {
+            return true;
+        }
+        
+        try {
+            return !!this.API_WALLET_URL && !PUBLIC_MEMPOOL_HOSTS.includes(new URL(this.API_WALLET_URL).hostname);
+        } catch {
+            return false;
+        }
+    }
+
+    // Blocks fetched and pre-filtered ahead of the block being committed (0 = strictly sequential)
+    get PIPELINE_LOOKAHEAD() {
+        const value = parseInt(process.env.PIPELINE_LOOKAHEAD);
+        return Number.isInteger(value) && value >= 0 ? value : 3;
+    }
+
     get RETRY_BLOCK_DELAY() {
         return parseInt(process.env.RETRY_BLOCK_DELAY) || (this.isProduction ? 5 : 1);
     }
@@ -224,6 +279,61 @@ class ProductionConfig {
         }
     }
 
+    // Bitcoin Core JSON-RPC settings; null when no node is configured (HTTP APIs are used instead)
+    getBitcoinRpcConfig() {
+        const host = process.env.BITCOIN_RPC_HOST || process.env.APP_BITCOIN_NODE_IP;
+        const port = process.env.BITCOIN_RPC_PORT || process.env.APP_BITCOIN_RPC_PORT || 8332;
+        const url = process.env.BITCOIN_RPC_URL || (host ? `http://${host}:${port}` : null);
+        
+        if (!url) {
+            return null;
+        }
+        
+        try {
+            new URL(url);
+        } catch {
+            console.warn('[CONFIG] Invalid Bitcoin RPC URL, RPC disabled');
+            return null;
+        }
+        
+        return {
+            url,
+            username: process.env.BITCOIN_RPC_USER || process.env.APP_BITCOIN_RPC_USER || null,
+            password: process.env.BITCOIN_RPC_PASS || process.env.APP_BITCOIN_RPC_PASS || null,
+            // Cookie auth is used when no user/password is set
+            cookieFile: process.env.BITCOIN_RPC_COOKIE_FILE || null,
+            timeout: parseInt(process.env.BITCOIN_RPC_TIMEOUT) || this.API_TIMEOUT,
+            maxRetries: this.MAX_RETRIES,
+            batchSize: parseInt(process.env.BITCOIN_RPC_BATCH_SIZE) || 100
+        };
+    }
+
+    // Data-source providers tried for each capability, in order.
+    // Override per capability, e.g. DATA_SOURCES_BLOCK_TRANSACTIONS=esplora,bitcoind
+    getDataSourceOrder() {
+        const defaults = {
+            inscriptions_in_block: ['ord'],
+            inscription: ['ord'],
+            content: ['ord'],
+            children: ['ord'],
+            block_info: ['bitcoind', 'ord', 'esplora'],
+            block_transactions: ['bitcoind', 'esplora'],
+            transaction_outputs: ['bitcoind', 'esplora'],
+            transaction: ['bitcoind', 'esplora'],
+            // ord first so the indexer never runs ahead of ord's own index
+            tip_height: ['ord', 'esplora']
+        };
+        
+        const order = {};
+        for (const [capability, providers] of Object.entries(defaults)) {
+            const override = process.env[`DATA_SOURCES_${capability.toUpperCase()}`];
+            order[capability] = override
+                ? override.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+                : providers;
+        }
+        return order;
+    }
+
     // Get mempool API endpoints (production-optimized)
     getMempoolApiEndpoints() {
         const endpoints = [];
@@ -414,10 +524,15 @@ class ProductionConfig {
         console.log(`[CONFIG] API Port: ${this.PORT}`);
         console.log(`[CONFIG] Database: ${this.DB_PATH}`);
         console.log(`[CONFIG] Start Block: ${this.START_BLOCK}`);
+        console.log(`[CONFIG] Resume From Checkpoint: ${this.RESUME_FROM_CHECKPOINT}`);
+        console.log(`[CONFIG] Confirmation Depth: ${this.CONFIRMATION_DEPTH}`);
+        console.log(`[CONFIG] Track Transfers: ${this.TRACK_TRANSFERS}`);
+        console.log(`[CONFIG] Pipeline Lookahead: ${this.PIPELINE_LOOKAHEAD} blocks`);
         console.log(`[CONFIG] Run Indexer: ${this.RUN_INDEXER}`);
         console.log(`[CONFIG] Use Local APIs: ${this.useLocalApisOnly()}`);
         console.log(`[CONFIG] API URL: ${this.getApiUrl()}`);
         console.log(`[CONFIG] Local API: ${this.getLocalApiUrl() || 'Not configured'}`);
+        console.log(`[CONFIG] Bitcoin RPC: ${this.getBitcoinRpcConfig()?.url || 'Not configured'}`);
         console.log(`[CONFIG] Concurrency: ${this.CONCURRENCY_LIMIT}`);
         console.log(`[CONFIG] API Timeout: ${this.API_TIMEOUT}ms`);
         console.log('[CONFIG] =================================');
@@ -0,0 +1,35 @@
+// Bitcoin Core data source: block info, block transactions, transactions and tip height
+
+class BitcoindProvider {
+    /**
+     * @param {BitcoinRpcClient} client - JSON-RPC client (bitcoin-rpc.js)
+     */
+    constructor(client) {
+        this.name = 'bitcoind';
+        this.client = client;
+    }
+
+    async getBlockInfo(blockHeight) {
+        return this.client.getBlockInfo(blockHeight);
+    }
+
+    async getBlockTransactions(blockHash) {
+        return this.client.getBlockTransactions(blockHash);
+    }
+
+    // Needs txindex=1 for transactions outside the wallet
+    async getTransactionOutputs(txid) {
+        return this.client.getTransactionOutputs(txid);
+    }
+
+    // Needs txindex=1 as well
+    async getTransaction(txid) {
+        return this.client.getTransaction(txid);
+    }
+
+    async getTipHeight() {
+        return this.client.getBlockCount();
+    }
+}
+
+module.exports = BitcoindProvider;
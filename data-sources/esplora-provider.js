@@ -0,0 +1,45 @@
+// mempool.space / Esplora data source: block info, block transactions, transactions and tip height
+
+class EsploraProvider {
+    /**
+     * @param {MempoolClient} client - Client with endpoint failover (mempool-client.js)
+     */
+    constructor(client) {
+        this.name = 'esplora';
+        this.client = client;
+    }
+
+    async getBlockInfo(blockHeight) {
+        const blockInfo = await this.client.getBlockInfo(blockHeight);
+        if (!blockInfo.hash) {
+            throw new Error(`Esplora returned no block for height ${blockHeight}`);
+        }
+        return blockInfo;
+    }
+
+    async getBlockTransactions(blockHash) {
+        return this.client.getBlockTransactions(blockHash);
+    }
+
+    async getTransactionOutputs(txid) {
+        return this.client.getTransactionOutputs(txid);
+    }
+
+    async getTransaction(txid) {
+        const tx = await this.client.getTransaction(txid);
+        return {
+            ...this.client.normalizeTransaction(tx),
+            block_height: tx.status && tx.status.confirmed ? tx.status.block_height : null
+        };
+    }
+
+    async getTipHeight() {
+        const height = await this.client.getTipHeight();
+        if (!Number.isInteger(height)) {
+            throw new Error('Esplora returned an invalid tip height');
+        }
+        return height;
+    }
+}
+
+module.exports = EsploraProvider;
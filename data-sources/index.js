@@ -0,0 +1,97 @@
+// Data-source routing: each capability is served by an ordered list of providers (ord, esplora, bitcoind)
+const OrdProvider = require('./ord-provider');
+const EsploraProvider = require('./esplora-provider');
+const BitcoindProvider = require('./bitcoind-provider');
+
+// Capability name (as used in config) -> provider method
+const CAPABILITIES = {
+    inscriptions_in_block: 'getInscriptionsInBlock',
+    inscription: 'getInscription',
+    content: 'getContent',
+    children: 'getChildren',
+    block_info: 'getBlockInfo',
+    block_transactions: 'getBlockTransactions',
+    transaction_outputs: 'getTransactionOutputs',
+    transaction: 'getTransaction',
+    tip_height: 'getTipHeight'
+};
+
+class DataSourceError extends Error {
+    constructor(message, capability) {
+        super(message);
+        this.name = 'DataSourceError';
+        this.capability = capability;
+    }
+}
+
+class DataSourceRouter {
+    /**
+     * @param {Array<Object>} providers - Available providers (each has a name and capability methods)
+     * @param {Object} order - capability -> provider names in preference order (config.getDataSourceOrder())
+     * @param {Object} logger - Logger
+     */
+    constructor(providers, order, logger) {
+        this.providers = new Map(providers.map(provider => [provider.name, provider]));
+        this.logger = logger;
+        this.routes = {};
+
+        for (const [capability, method] of Object.entries(CAPABILITIES)) {
+            const names = order[capability] || [];
+            this.routes[capability] = names
+                .map(name => this.providers.get(name))
+                .filter(provider => provider && typeof provider[method] === 'function');
+
+            const unavailable = names.filter(name => !this.routes[capability].some(provider => provider.name === name));
+            if (unavailable.length > 0) {
+                this.logger.debug(`Data sources for ${capability}: skipping ${unavailable.join(', ')} (not configured or unsupported)`);
+            }
+        }
+    }
+
+    /**
+     * Provider names that serve a capability, in the order they are tried
+     * @param {string} capability - Capability name
+     * @returns {Array<string>}
+     */
+    describe(capability) {
+        return (this.routes[capability] || []).map(provider => provider.name);
+    }
+
+    /**
+     * Calls a capability on the first provider that succeeds
+     * @param {string} capability - One of DataSourceRouter.CAPABILITIES
+     * @param {...*} args - Arguments for the provider method
+     * @returns {Promise<*>} - The provider's result
+     */
+    async call(capability, ...args) {
+        const method = CAPABILITIES[capability];
+        if (!method) {
+            throw new DataSourceError(`Unknown data-source capability: ${capability}`, capability);
+        }
+
+        const providers = this.routes[capability];
+        if (providers.length === 0) {
+            throw new DataSourceError(`No data source configured for ${capability}`, capability);
+        }
+
+        let lastError = null;
+        for (const provider of providers) {
+            try {
+                return await provider[method](...args);
+            } catch (error) {
+                lastError = error;
+                this.logger.debug(`${provider.name} failed for ${capability}: ${error.message}`);
+            }
+        }
+
+        throw new DataSourceError(`All data sources failed for ${capability}: ${lastError.message}`, capability);
+    }
+}
+
+DataSourceRouter.CAPABILITIES = Object.keys(CAPABILITIES);
+DataSourceRouter.DataSourceError = DataSourceError;
+DataSourceRouter.OrdProvider = OrdProvider;
+DataSourceRouter.EsploraProvider = EsploraProvider;
+DataSourceRouter.BitcoindProvider = BitcoindProvider;
+
+module.exports = DataSourceRouter;
@@ -0,0 +1,333 @@
+// ord HTTP API data source: inscriptions, content, children and block info
+
+class OrdProvider {
+    /**
+     * @param {string} apiUrl - ord API base URL
+     * @param {Function} fetch - GET helper with retries, (url, axiosOptions, maxRetries) => response
+     * @param {Object} logger - Logger
+     * @param {Object} options - {useLocalApi} (local ord also serves the /inscriptions/:id and /inscription/:id/content aliases)
+     */
+    constructor(apiUrl, fetch, logger, options = {}) {
+        this.name = 'ord';
+        this.apiUrl = apiUrl;
+        this.fetch = fetch;
+        this.logger = logger;
+        this.useLocalApi = options.useLocalApi === true;
+    }
+
+    // ================================
+    // INSCRIPTIONS
+    // ================================
+
+    /**
+     * All inscription IDs revealed in a block, following ord's pagination
+     * @param {number} blockHeight - Block height
+     * @returns {Promise<Array<string>>} - Unique inscription IDs in ord order
+     */
+    async getInscriptionsInBlock(blockHeight) {
+        this.logger.debug(`Fetching all inscriptions for block ${blockHeight} with pagination`);
+
+        let allInscriptions = [];
+        let hasMore = true;
+        let pageNumber = 0; // Track which page we're on (0-based internally)
+        const maxPages = 10000; // Safety limit to prevent infinite loops
+        const seenInscriptions = new Set(); // Track unique inscriptions to detect duplicates
+
+        while (hasMore && pageNumber < maxPages) {
+            try {
+                // FIXED: Use path parameters instead of query parameters for pagination
+                const url = pageNumber === 0 
+                    ? `${this.apiUrl}/inscriptions/block/${blockHeight}`
+                    : `${this.apiUrl}/inscriptions/block/${blockHeight}/${pageNumber}`;
+
+                this.logger.debug(`Fetching page ${pageNumber} for block ${blockHeight}: ${url}`);
+
+                const response = await this.fetch(url);
+                const responseData = response.data;
+
+                // Log the actual response structure for debugging
+                this.logger.debug(`Block ${blockHeight}, Page ${pageNumber}: Raw response structure: ${JSON.stringify(Object.keys(responseData)).substring(0, 200)}`);
+
+                // Extract inscription IDs and pagination info from the response
+                let inscriptions = [];
+                let moreFlag = false;
+
+                if (Array.isArray(responseData)) {
+                    // Simple array response (old format)
+                    inscriptions = responseData;
+                    moreFlag = false; // No pagination info in array format
+                } else if (responseData.ids && Array.isArray(responseData.ids)) {
+                    // Object with ids array (new format)
+                    inscriptions = responseData.ids;
+                    moreFlag = responseData.more === true;
+                } else {
+                    // Unexpected format
+                    this.logger.warn(`Block ${blockHeight}, Page ${pageNumber}: Unexpected response format: ${JSON.stringify(responseData).substring(0, 200)}`);
+                    inscriptions = [];
+                    moreFlag = false;
+                }
+
+                hasMore = moreFlag;
+                const currentPageIndex = responseData.page_index !== undefined ? responseData.page_index : pageNumber;
+
+                this.logger.debug(`Block ${blockHeight}, Page ${pageNumber}: Found ${inscriptions.length} inscriptions (more=${hasMore}, page_index=${currentPageIndex})`);
+                this.logger.debug(`Block ${blockHeight}, Page ${pageNumber}: Response format - isArray: ${Array.isArray(responseData)}, has_ids: ${!!responseData.ids}, more_field: ${responseData.more}, has_more_property: ${responseData.hasOwnProperty('more')}`);
+
+                if (inscriptions.length === 0 && pageNumber === 0) {
+                    this.logger.info(`Block ${blockHeight}: No inscriptions found in this block`);
+                    break;
+                }
+
+                if (inscriptions.length === 0 && pageNumber > 0) {
+                    this.logger.info(`Block ${blockHeight}: No more inscriptions found on page ${pageNumber}, stopping pagination`);
+                    break;
+                }
+
+                // Check for duplicate inscriptions (API bug detection)
+                let newInscriptions = 0;
+                let duplicateInscriptions = 0;
+
+                for (const inscription of inscriptions) {
+                    if (!seenInscriptions.has(inscription)) {
+                        seenInscriptions.add(inscription);
+                        allInscriptions.push(inscription);
+                        newInscriptions++;
+                    } else {
+                        duplicateInscriptions++;
+                    }
+                }
+
+                if (duplicateInscriptions > 0) {
+                    this.logger.warn(`Block ${blockHeight}, Page ${pageNumber}: Found ${duplicateInscriptions} duplicate inscriptions (possible API pagination bug)`);
+                }
+
+                this.logger.debug(`Block ${blockHeight}, Page ${pageNumber}: Added ${newInscriptions} new inscriptions (${duplicateInscriptions} duplicates ignored)`);
+
+                // If more=false explicitly, we're done
+                if (responseData.hasOwnProperty('more') && !hasMore) {
+                    this.logger.info(`Block ${blockHeight}: API explicitly indicates no more pages (more=false)`);
+                    break;
+                }
+
+                // If we got no new inscriptions, check termination conditions
+                if (newInscriptions === 0) {
+                    if (pageNumber === 0) {
+                        // First page with no inscriptions means empty block
+                        this.logger.info(`Block ${blockHeight}: No inscriptions found in this block`);
+                        break;
+                    } else if (duplicateInscriptions > 0) {
+                        // Subsequent page with only duplicates
+                        if (responseData.hasOwnProperty('more') && hasMore) {
+                            // API says there are more pages, but we got only duplicates - continue cautiously
+                            this.logger.warn(`Block ${blockHeight}: Page ${pageNumber} returned only duplicates, but API indicates more pages. Continuing...`);
+                        } else {
+                            // No more flag or more=false, and only duplicates - stop
+                            this.logger.info(`Block ${blockHeight}: Page ${pageNumber} returned only duplicates and no more pages indicated. Pagination complete.`);
+                            break;
+                        }
+                    } else {
+                        // No new inscriptions and no duplicates - truly empty page
+                        this.logger.info(`Block ${blockHeight}: Page ${pageNumber} returned no inscriptions. Pagination complete.`);
+                        break;
+                    }
+                }
+
+                // If we have new inscriptions but API says no more, continue for one more page to be safe
+                if (newInscriptions > 0 && responseData.hasOwnProperty('more') && !hasMore) {
+                    this.logger.info(`Block ${blockHeight}: Got ${newInscriptions} new inscriptions but API indicates no more pages. This should be the last page.`);
+                }
+
+                // Move to next page
+                pageNumber++;
+
+                // Small delay between requests to avoid overwhelming the API
+                await new Promise(resolve => setTimeout(resolve, 100));
+
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    this.logger.info(`Block ${blockHeight} not found (404) - likely no inscriptions in this block`);
+                    break;
+                } else {
+                    this.logger.error(`Error fetching inscriptions for block ${blockHeight}, page ${pageNumber}: ${error.message}`);
+                    throw error;
+                }
+            }
+        }
+
+        if (pageNumber >= maxPages) {
+            this.logger.warn(`Block ${blockHeight}: Reached maximum page limit (${maxPages}), stopping pagination`);
+        }
+
+        this.logger.info(`Block ${blockHeight}: Retrieved ${allInscriptions.length} total unique inscriptions across ${pageNumber} pages`);
+        return allInscriptions;
+    }
+
+    /**
+     * Inscription details as returned by ord (/inscription/:id)
+     * @param {string} inscriptionId - Inscription ID
+     * @returns {Promise<Object>} - ord inscription JSON
+     */
+    async getInscription(inscriptionId) {
+        const endpoints = this.useLocalApi ? [
+            `${this.apiUrl}/inscription/${inscriptionId}`,
+            `${this.apiUrl}/inscriptions/${inscriptionId}`,
+        ] : [
+            `${this.apiUrl}/inscription/${inscriptionId}`,
+        ];
+
+        let lastError = null;
+        for (const endpoint of endpoints) {
+            try {
+                const response = await this.fetch(endpoint, {
+                    headers: { 'Accept': 'application/json' }
+                });
+                return response.data;
+            } catch (error) {
+                this.logger.debug(`Failed to get inscription details from ${endpoint}: ${error.message}`);
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Inscription content as text
+     * @param {string} inscriptionId - Inscription ID
+     * @param {Object} options - {previewLength}: fetch only the first bytes (Range request, full body as fallback)
+     * @returns {Promise<string>} - Content (truncated to previewLength when given)
+     */
+    async getContent(inscriptionId, options = {}) {
+        // External APIs may answer JSON endpoints with 406, so only the content route is used there
+        const endpoints = this.useLocalApi ? [
+            `${this.apiUrl}/content/${inscriptionId}`,
+            `${this.apiUrl}/inscription/${inscriptionId}/content`,
+        ] : [
+            `${this.apiUrl}/content/${inscriptionId}`,
+        ];
+        const previewLength = options.previewLength || null;
+
+        let lastError = null;
+        let answeredEmpty = false;
+        for (const endpoint of endpoints) {
+            try {
+                const content = previewLength
+                    ? await this.fetchPreview(endpoint, previewLength)
+                    : this.asText((await this.fetch(endpoint, { responseType: 'text' })).data);
+
+                if (content.length > 0) {
+                    return content;
+                }
+                answeredEmpty = true;
+            } catch (error) {
+                this.logger.debug(`Content endpoint ${endpoint} failed: ${error.message}`);
+                lastError = error;
+            }
+        }
+
+        // An empty body is content too; only an inscription no endpoint answered for is an error
+        if (answeredEmpty) {
+            return '';
+        }
+        throw lastError || new Error(`No content returned for inscription ${inscriptionId}`);
+    }
+
+    /**
+     * First bytes of a content endpoint
+     * @param {string} endpoint - Content URL
+     * @param {number} previewLength - Number of characters wanted
+     * @returns {Promise<string>} - Content truncated to previewLength
+     */
+    async fetchPreview(endpoint, previewLength) {
+        try {
+            const response = await this.fetch(endpoint, {
+                responseType: 'text',
+                headers: {
+                    'Range': `bytes=0-${previewLength + 10}` // Get a bit extra for safety
+                }
+            });
+            return this.asText(response.data).substring(0, previewLength);
+        } catch (error) {
+            // Range not satisfiable: fall back to the full body
+            if (error.response && error.response.status === 416) {
+                const response = await this.fetch(endpoint, { responseType: 'text' });
+                return this.asText(response.data).substring(0, previewLength);
+            }
+            throw error;
+        }
+    }
+
+    asText(data) {
+        if (data === null || data === undefined) {
+            return '';
+        }
+        return typeof data === 'string' ? data : String(data);
+    }
+
+    /**
+     * Child inscription IDs of a parent, following ord's pagination
+     * @param {string} inscriptionId - Parent inscription ID
+     * @returns {Promise<Array<string>>} - Child inscription IDs
+     */
+    async getChildren(inscriptionId) {
+        const children = [];
+
+        for (let page = 0; ; page++) {
+            const url = page === 0
+                ? `${this.apiUrl}/children/${inscriptionId}`
+                : `${this.apiUrl}/children/${inscriptionId}/${page}`;
+            const response = await this.fetch(url, {
+                headers: { 'Accept': 'application/json' }
+            });
+
+            const ids = response.data && Array.isArray(response.data.ids) ? response.data.ids : [];
+            children.push(...ids);
+
+            if (!response.data || response.data.more !== true || ids.length === 0) {
+                break;
+            }
+        }
+
+        return children;
+    }
+
+    // ================================
+    // BLOCKS
+    // ================================
+
+    /**
+     * Block header info from ord's recursive endpoint
+     * @param {number} blockHeight - Block height
+     * @returns {Promise<Object>} - {height, hash, previous_hash, transaction_count, timestamp}
+     */
+    async getBlockInfo(blockHeight) {
+        const response = await this.fetch(`${this.apiUrl}/r/blockinfo/${blockHeight}`, {}, 3);
+        const data = response.data;
+        if (!data || !data.hash) {
+            throw new Error(`ord returned no block info for block ${blockHeight}`);
+        }
+
+        return {
+            height: blockHeight,
+            hash: data.hash,
+            previous_hash: data.previous_blockhash || null,
+            transaction_count: Number.isInteger(data.transaction_count) ? data.transaction_count : null,
+            timestamp: data.timestamp || null
+        };
+    }
+
+    /**
+     * Height of the latest block ord has indexed
+     * @returns {Promise<number>}
+     */
+    async getTipHeight() {
+        const response = await this.fetch(`${this.apiUrl}/blockheight`, { responseType: 'text' }, 3);
+        const height = parseInt(String(response.data).trim(), 10);
+        if (!Number.isInteger(height)) {
+            throw new Error(`ord returned an invalid block height: ${response.data}`);
+        }
+        return height;
+    }
+}
+
+module.exports = OrdProvider;
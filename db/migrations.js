@@ -0,0 +1,727 @@
+// Versioned schema migrations shared by the web server, the indexer and `npm run setup-db`.
+// Migrations are append-only: never edit one that has shipped, add a new version instead.
+
+// ================================
+// SCHEMA DEFINITIONS
+// ================================
+
+// BRC-420 deploys: one row per valid deploy, keyed by the source inscription it references
+const BRC420_DEPLOYS_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS brc420_deploys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        inscription_id TEXT UNIQUE NOT NULL,
+        inscription_number INTEGER,
+        source_id TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        max_supply INTEGER NOT NULL,
+        price REAL NOT NULL,
+        price_sats INTEGER NOT NULL,
+        deployer_address TEXT NOT NULL,
+        block_height INTEGER,
+        timestamp INTEGER,
+        sat_number INTEGER,
+        deploy_data TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+// Valid and invalid mints are both stored; mint_number is the position within the deploy's supply
+const BRC420_MINTS_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS brc420_mints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        inscription_id TEXT UNIQUE NOT NULL,
+        inscription_number INTEGER,
+        deploy_id TEXT NOT NULL,
+        source_id TEXT NOT NULL,
+        mint_address TEXT,
+        transaction_id TEXT,
+        royalty_paid_sats INTEGER,
+        mint_number INTEGER,
+        is_valid INTEGER NOT NULL DEFAULT 1,
+        invalid_reason TEXT,
+        block_height INTEGER,
+        timestamp INTEGER,
+        sat_number INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+const BASELINE_TABLES_SQL = [
+    BRC420_DEPLOYS_TABLE_SQL,
+    BRC420_MINTS_TABLE_SQL,
+
+    // One row per bitmap number: the first claim wins
+    `CREATE TABLE IF NOT EXISTS bitmaps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        inscription_id TEXT UNIQUE NOT NULL,
+        bitmap_number INTEGER NOT NULL,
+        block_height INTEGER,
+        sat_number INTEGER,
+        transaction_patterns TEXT,
+        pattern_metadata TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(bitmap_number)
+    )`,
+
+    // Transaction size pattern of block N, rendered by the Mondrian visualizer
+    `CREATE TABLE IF NOT EXISTS bitmap_patterns (
+        bitmap_number INTEGER PRIMARY KEY,
+        pattern_string TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Parcels (<n>.<bitmap>.bitmap children of bitmaps)
+    `CREATE TABLE IF NOT EXISTS parcels (
+        inscription_id TEXT PRIMARY KEY,
+        parcel_number INTEGER NOT NULL,
+        bitmap_number INTEGER NOT NULL,
+        bitmap_inscription_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        address TEXT NOT NULL,
+        block_height INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        transaction_count INTEGER,
+        is_valid INTEGER DEFAULT 1,
+        wallet TEXT,
+        FOREIGN KEY (bitmap_inscription_id) REFERENCES bitmaps(inscription_id)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS processed_blocks (
+        block_height INTEGER PRIMARY KEY,
+        block_hash TEXT,
+        previous_hash TEXT,
+        transaction_count INTEGER,
+        block_timestamp INTEGER,
+        inscriptions_processed INTEGER DEFAULT 0,
+        inscriptions_skipped INTEGER DEFAULT 0,
+        inscriptions_errors INTEGER DEFAULT 0,
+        processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Sync status and other key/value state persisted by the indexer, read by the API
+    `CREATE TABLE IF NOT EXISTS indexer_state (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS failed_inscriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        inscription_id TEXT NOT NULL,
+        block_height INTEGER,
+        error_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Current location of every tracked inscription (outpoint is null once spent to fees)
+    `CREATE TABLE IF NOT EXISTS inscription_locations (
+        inscription_id TEXT PRIMARY KEY,
+        inscription_type TEXT NOT NULL,
+        outpoint TEXT,
+        sat_offset INTEGER,
+        address TEXT,
+        block_height INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Ownership history: genesis row (old_address null) followed by each transfer
+    `CREATE TABLE IF NOT EXISTS inscription_transfers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        inscription_id TEXT NOT NULL,
+        inscription_type TEXT NOT NULL,
+        block_height INTEGER NOT NULL,
+        transaction_id TEXT,
+        old_address TEXT,
+        new_address TEXT,
+        satpoint TEXT,
+        timestamp INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+];
+
+// Columns added to processed_blocks after its original schema (reorg tracking, block analytics)
+const PROCESSED_BLOCKS_COLUMNS = {
+    block_hash: 'TEXT',
+    previous_hash: 'TEXT',
+    transaction_count: 'INTEGER',
+    block_timestamp: 'INTEGER'
+};
+
+const BASELINE_INDEXES_SQL = [
+    // Name search and the home page listing (ordered by deploy position on chain)
+    'CREATE INDEX IF NOT EXISTS idx_brc420_deploys_name ON brc420_deploys(name)',
+    'CREATE INDEX IF NOT EXISTS idx_brc420_deploys_order ON brc420_deploys(block_height, inscription_number)',
+    'CREATE INDEX IF NOT EXISTS idx_brc420_mints_deploy ON brc420_mints(deploy_id, is_valid)',
+    'CREATE INDEX IF NOT EXISTS idx_brc420_mints_block_height ON brc420_mints(block_height)',
+    'CREATE INDEX IF NOT EXISTS idx_bitmaps_number ON bitmaps(bitmap_number)',
+    'CREATE INDEX IF NOT EXISTS idx_bitmaps_block_height ON bitmaps(block_height)',
+    'CREATE INDEX IF NOT EXISTS idx_failed_inscriptions_block_height ON failed_inscriptions(block_height)',
+    'CREATE INDEX IF NOT EXISTS idx_parcels_parcel_number ON parcels(parcel_number)',
+    'CREATE INDEX IF NOT EXISTS idx_parcels_bitmap_number ON parcels(bitmap_number)',
+    'CREATE INDEX IF NOT EXISTS idx_parcels_block_height ON parcels(block_height)',
+    'CREATE INDEX IF NOT EXISTS idx_inscription_locations_outpoint ON inscription_locations(outpoint)',
+    'CREATE INDEX IF NOT EXISTS idx_inscription_transfers_inscription ON inscription_transfers(inscription_id, block_height)',
+    'CREATE INDEX IF NOT EXISTS idx_inscription_transfers_block_height ON inscription_transfers(block_height)',
+    // block_height is the rowid already; older setups created these redundant copies
+    'DROP INDEX IF EXISTS idx_blocks_height',
+    'DROP INDEX IF EXISTS idx_processed_blocks_height'
+];
+
+// ================================
+// DATABASE HELPERS
+// ================================
+
+function dbRun(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+        });
+    });
+}
+
+function dbGet(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
+    });
+}
+
+function dbAll(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+async function getColumns(db, table) {
+    const columns = await dbAll(db, `PRAGMA table_info(${table})`);
+    return new Set(columns.map(column => column.name));
+}
+
+// Same cleanup as a reorg rollback, for every block at or above the given height.
+// Tables an earlier migration has not created yet (or not given a height) are skipped.
+async function rewindFromHeight(db, height) {
+    await dbRun(db, `
+        DELETE FROM bitmap_patterns
+        WHERE bitmap_number >= ?
+           OR bitmap_number IN (SELECT bitmap_number FROM bitmaps WHERE block_height >= ?)
+    `, [height, height]);
+
+    const tables = [
+        'brc420_deploys', 'brc420_mints', 'parcels', 'bitmaps', 'bitmap_rejected_claims',
+        'inscription_locations', 'inscription_transfers', 'failed_inscriptions', 'processed_blocks'
+    ];
+    for (const table of tables) {
+        const columns = await getColumns(db, table);
+        if (columns.has('block_height')) {
+            await dbRun(db, `DELETE FROM ${table} WHERE block_height >= ?`, [height]);
+        }
+    }
+}
+
+// ================================
+// MIGRATIONS
+// ================================
+
+// Each migration must be safe on databases created by any earlier setup script, which all
+// used CREATE TABLE IF NOT EXISTS without recording a version
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'baseline_tables',
+        async up(db) {
+            for (const sql of BASELINE_TABLES_SQL) {
+                await dbRun(db, sql);
+            }
+        }
+    },
+    {
+        version: 2,
+        name: 'processed_blocks_chain_columns',
+        async up(db, logger) {
+            const existing = await getColumns(db, 'processed_blocks');
+            const missing = Object.keys(PROCESSED_BLOCKS_COLUMNS).filter(name => !existing.has(name));
+
+            for (const name of missing) {
+                await dbRun(db, `ALTER TABLE processed_blocks ADD COLUMN ${name} ${PROCESSED_BLOCKS_COLUMNS[name]}`);
+            }
+            if (missing.length > 0) {
+                logger.info(`📊 Added ${missing.join(', ')} to processed_blocks`);
+            }
+        }
+    },
+    {
+        version: 3,
+        name: 'replace_legacy_brc420_tables',
+        async up(db, logger) {
+            // Deploys and mints used to be stored BRC-20 style (tick/lim/dec, tick/amount)
+            // with no link to a source inscription; those rows cannot be converted
+            const legacyTables = [
+                { table: 'brc420_deploys', requiredColumn: 'source_id', createSql: BRC420_DEPLOYS_TABLE_SQL },
+                { table: 'brc420_mints', requiredColumn: 'deploy_id', createSql: BRC420_MINTS_TABLE_SQL }
+            ];
+
+            // Lowest block holding a row that is set aside; null when nothing is lost
+            let rewindHeight = null;
+
+            for (const { table, requiredColumn, createSql } of legacyTables) {
+                const columns = await getColumns(db, table);
+                if (columns.has(requiredColumn)) {
+                    continue;
+                }
+
+                const legacyRows = await dbGet(db, columns.has('block_height')
+                    ? `SELECT COUNT(*) AS total, MIN(block_height) AS lowest FROM ${table}`
+                    : `SELECT COUNT(*) AS total, NULL AS lowest FROM ${table}`);
+                if (legacyRows.total > 0) {
+                    // Rows without a height could come from any block: re-index everything
+                    const lowest = legacyRows.lowest === null ? 0 : legacyRows.lowest;
+                    rewindHeight = rewindHeight === null ? lowest : Math.min(rewindHeight, lowest);
+                }
+
+                const legacyName = `${table}_legacy_${Date.now()}`;
+                await dbRun(db, `ALTER TABLE ${table} RENAME TO ${legacyName}`);
+                await dbRun(db, createSql);
+                logger.warn(`📊 Replaced legacy ${table} table (kept as ${legacyName})`);
+            }
+
+            // The blocks those rows came from are marked processed, so resume would never
+            // revisit them. Drop everything derived from them so they are indexed again.
+            if (rewindHeight !== null) {
+                await rewindFromHeight(db, rewindHeight);
+                logger.warn(`📊 Rewound the checkpoint to block ${rewindHeight} so BRC-420 deploys and mints are re-indexed`);
+            }
+        }
+    },
+    {
+        version: 4,
+        name: 'baseline_indexes',
+        async up(db) {
+            for (const sql of BASELINE_INDEXES_SQL) {
+                await dbRun(db, sql);
+            }
+        }
+    },
+    {
+        version: 5,
+        name: 'unique_bitmap_numbers',
+        async up(db, logger) {
+            // The indexer used to create bitmaps without UNIQUE(bitmap_number)
+            const indexes = await dbAll(db, 'PRAGMA index_list(bitmaps)');
+            for (const index of indexes.filter(candidate => candidate.unique)) {
+                const columns = await dbAll(db, `PRAGMA index_info(${index.name})`);
+                if (columns.length === 1 && columns[0].name === 'bitmap_number') {
+                    return;
+                }
+            }
+
+            // Keep the earliest claim for each number; later claims (and parcels built on
+            // them) are moved aside rather than deleted
+            const superseded = `
+                SELECT id FROM bitmaps b
+                WHERE EXISTS (
+                    SELECT 1 FROM bitmaps earlier
+                    WHERE earlier.bitmap_number = b.bitmap_number
+                      AND (COALESCE(earlier.block_height, 0) < COALESCE(b.block_height, 0)
+                           OR (COALESCE(earlier.block_height, 0) = COALESCE(b.block_height, 0) AND earlier.id < b.id))
+                )
+            `;
+            const duplicates = await dbGet(db, `SELECT COUNT(*) AS count FROM (${superseded})`);
+
+            if (duplicates.count > 0) {
+                await dbRun(db, `CREATE TABLE bitmaps_duplicates_legacy AS SELECT * FROM bitmaps WHERE id IN (${superseded})`);
+                await dbRun(db, `
+                    CREATE TABLE parcels_duplicates_legacy AS SELECT * FROM parcels
+                    WHERE bitmap_inscription_id IN (SELECT inscription_id FROM bitmaps_duplicates_legacy)
+                `);
+                await dbRun(db, 'DELETE FROM parcels WHERE bitmap_inscription_id IN (SELECT inscription_id FROM bitmaps_duplicates_legacy)');
+                await dbRun(db, 'DELETE FROM bitmaps WHERE id IN (SELECT id FROM bitmaps_duplicates_legacy)');
+                logger.warn(`📊 Moved ${duplicates.count} duplicate bitmap claim(s) to bitmaps_duplicates_legacy`);
+            }
+
+            await dbRun(db, 'CREATE UNIQUE INDEX idx_bitmaps_number_unique ON bitmaps(bitmap_number)');
+        }
+    },
+    {
+        version: 6,
+        name: 'bitmap_rejected_claims',
+        async up(db) {
+            // Inscription number breaks ties between claims in the same block
+            const columns = await getColumns(db, 'bitmaps');
+            if (!columns.has('inscription_number')) {
+                await dbRun(db, 'ALTER TABLE bitmaps ADD COLUMN inscription_number INTEGER');
+            }
+
+            // Claims that lost to the canonical bitmap row (or were otherwise rejected), with a reason code
+            await dbRun(db, `
+                CREATE TABLE IF NOT EXISTS bitmap_rejected_claims (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    inscription_id TEXT UNIQUE NOT NULL,
+                    inscription_number INTEGER,
+                    bitmap_number INTEGER NOT NULL,
+                    block_height INTEGER NOT NULL,
+                    reason TEXT NOT NULL,
+                    winning_inscription_id TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_bitmap_rejected_claims_number ON bitmap_rejected_claims(bitmap_number)');
+            await dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_bitmap_rejected_claims_block_height ON bitmap_rejected_claims(block_height)');
+
+            // Duplicates set aside by migration 5 lost to an earlier block or an earlier row
+            const legacy = await dbGet(db, "SELECT 1 AS found FROM sqlite_master WHERE type = 'table' AND name = 'bitmaps_duplicates_legacy'");
+            if (legacy) {
+                await dbRun(db, `
+                    INSERT OR IGNORE INTO bitmap_rejected_claims
+                    (inscription_id, bitmap_number, block_height, reason, winning_inscription_id)
+                    SELECT d.inscription_id, d.bitmap_number, COALESCE(d.block_height, 0),
+                           CASE WHEN COALESCE(d.block_height, 0) > COALESCE(b.block_height, 0)
+                                THEN 'DUPLICATE_LATER_BLOCK' ELSE 'DUPLICATE_SAME_BLOCK' END,
+                           b.inscription_id
+                    FROM bitmaps_duplicates_legacy d
+                    LEFT JOIN bitmaps b ON b.bitmap_number = d.bitmap_number
+                `);
+            }
+        }
+    },
+    {
+        version: 7,
+        name: 'bitmap_rejected_claim_content',
+        async up(db) {
+            // Invalid claims keep their raw content, and may have no usable number at all
+            await dbRun(db, `
+                CREATE TABLE bitmap_rejected_claims_new (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    inscription_id TEXT UNIQUE NOT NULL,
+                    inscription_number INTEGER,
+                    bitmap_number INTEGER,
+                    block_height INTEGER NOT NULL,
+                    content TEXT,
+                    reason TEXT NOT NULL,
+                    winning_inscription_id TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await dbRun(db, `
+                INSERT INTO bitmap_rejected_claims_new
+                (id, inscription_id, inscription_number, bitmap_number, block_height, content, reason,
+                 winning_inscription_id, created_at)
+                SELECT id, inscription_id, inscription_number, bitmap_number, block_height,
+                       bitmap_number || '.bitmap', reason, winning_inscription_id, created_at
+                FROM bitmap_rejected_claims
+            `);
+            await dbRun(db, 'DROP TABLE bitmap_rejected_claims');
+            await dbRun(db, 'ALTER TABLE bitmap_rejected_claims_new RENAME TO bitmap_rejected_claims');
+            await dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_bitmap_rejected_claims_number ON bitmap_rejected_claims(bitmap_number)');
+            await dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_bitmap_rejected_claims_block_height ON bitmap_rejected_claims(block_height)');
+            await dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_bitmap_rejected_claims_reason ON bitmap_rejected_claims(reason)');
+        }
+    },
+    {
+        version: 8,
+        name: 'address_holdings',
+        async up(db) {
+            // Address holding the bitmap when it was indexed, like parcels.address and brc420_mints.mint_address
+            const columns = await getColumns(db, 'bitmaps');
+            if (!columns.has('address')) {
+                await dbRun(db, 'ALTER TABLE bitmaps ADD COLUMN address TEXT');
+            }
+
+            // Existing bitmaps take the address from their genesis ownership row where one was recorded
+            await dbRun(db, `
+                UPDATE bitmaps SET address = (
+                    SELECT t.new_address FROM inscription_transfers t
+                    WHERE t.inscription_id = bitmaps.inscription_id
+                    ORDER BY t.block_height ASC, t.id ASC
+                    LIMIT 1
+                )
+                WHERE address IS NULL
+            `);
+
+            // Holdings by current owner, and by the stored address for inscriptions indexed before ownership tracking
+            await dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_inscription_locations_address ON inscription_locations(address, inscription_type)');
+            await dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_bitmaps_address ON bitmaps(address)');
+            await dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_parcels_address ON parcels(address)');
+            await dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_brc420_deploys_deployer ON brc420_deploys(deployer_address)');
+            await dbRun(db, 'CREATE INDEX IF NOT EXISTS idx_brc420_mints_address ON brc420_mints(mint_address)');
+        }
+    },
+    {
+        version: 9,
+        name: 'brc420_deploys_fts',
+        async up(db) {
+            // Full-text index over deploy names and inscription content, kept in sync by triggers
+            await dbRun(db, `
+                CREATE VIRTUAL TABLE IF NOT EXISTS brc420_deploys_fts USING fts5(
+                    name, deploy_data, content='brc420_deploys', content_rowid='id'
+                )
+            `);
+            await dbRun(db, `
+                CREATE TRIGGER IF NOT EXISTS brc420_deploys_fts_insert AFTER INSERT ON brc420_deploys BEGIN
+                    INSERT INTO brc420_deploys_fts(rowid, name, deploy_data) VALUES (new.id, new.name, new.deploy_data);
+                END
+            `);
+            await dbRun(db, `
+                CREATE TRIGGER IF NOT EXISTS brc420_deploys_fts_delete AFTER DELETE ON brc420_deploys BEGIN
+                    INSERT INTO brc420_deploys_fts(brc420_deploys_fts, rowid, name, deploy_data)
+                    VALUES ('delete', old.id, old.name, old.deploy_data);
+                END
+            `);
+            await dbRun(db, `
+                CREATE TRIGGER IF NOT EXISTS brc420_deploys_fts_update AFTER UPDATE ON brc420_deploys BEGIN
+                    INSERT INTO brc420_deploys_fts(brc420_deploys_fts, rowid, name, deploy_data)
+                    VALUES ('delete', old.id, old.name, old.deploy_data);
+                    INSERT INTO brc420_deploys_fts(rowid, name, deploy_data) VALUES (new.id, new.name, new.deploy_data);
+                END
+            `);
+            await dbRun(db, "INSERT INTO brc420_deploys_fts(brc420_deploys_fts) VALUES ('rebuild')");
+        }
+    },
+    {
+        version: 10,
+        name: 'entity_search_lookups',
+        async up(db) {
+            // Numeric search queries match sat and inscription numbers exactly on every entity table
+            for (const table of ['brc420_deploys', 'brc420_mints', 'bitmaps']) {
+                await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_${table}_sat_number ON ${table}(sat_number)`);
+                await dbRun(db, `CREATE INDEX IF NOT EXISTS idx_${table}_inscription_number ON ${table}(inscription_number)`);
+            }
+        }
+    },
+    {
+        version: 11,
+        name: 'drop_synthetic_bitmap_patterns',
+        async up(db, logger) {
+            // Patterns used to come from the inscription's own transfer history, padded with synthetic
+            // or Math.random() values. Only those built from block N's transactions record it as their
+            // source_block; the rest are dropped so fillMissingPatterns builds them again.
+            const builtFromBlock = `
+                CASE WHEN json_valid(b.pattern_metadata)
+                     THEN json_extract(b.pattern_metadata, '$.source_block') = b.bitmap_number
+                END
+            `;
+
+            const patterns = await dbRun(db, `
+                DELETE FROM bitmap_patterns
+                WHERE bitmap_number NOT IN (SELECT b.bitmap_number FROM bitmaps b WHERE ${builtFromBlock})
+            `);
+            await dbRun(db, `
+                UPDATE bitmaps AS b SET transaction_patterns = NULL, pattern_metadata = NULL
+                WHERE (b.transaction_patterns IS NOT NULL OR b.pattern_metadata IS NOT NULL)
+                  AND NOT COALESCE(${builtFromBlock}, 0)
+            `);
+
+            if (patterns > 0) {
+                logger.warn(`📊 Dropped ${patterns} bitmap pattern(s) not built from their block's transactions; they will be regenerated`);
+            }
+        }
+    },
+    {
+        version: 12,
+        name: 'reject_invalid_bitmaps',
+        async up(db, logger) {
+            // N.bitmap claims block N, which must exist when the claim is inscribed. Bitmaps above
+            // their own block move to the rejected claims, with their parcels and ownership rows.
+            await dbRun(db, `
+                CREATE TEMP TABLE bitmaps_above_height AS
+                SELECT * FROM bitmaps WHERE block_height IS NOT NULL AND bitmap_number > block_height
+            `);
+            const invalid = "SELECT inscription_id FROM bitmaps_above_height";
+
+            const moved = await dbRun(db, `
+                INSERT OR IGNORE INTO bitmap_rejected_claims
+                (inscription_id, inscription_number, bitmap_number, block_height, content, reason)
+                SELECT inscription_id, inscription_number, bitmap_number, block_height,
+                       bitmap_number || '.bitmap', 'NUMBER_ABOVE_BLOCK_HEIGHT'
+                FROM bitmaps_above_height
+            `);
+            await dbRun(db, `DELETE FROM parcels WHERE bitmap_inscription_id IN (${invalid})`);
+            await dbRun(db, 'DELETE FROM bitmap_patterns WHERE bitmap_number IN (SELECT bitmap_number FROM bitmaps_above_height)');
+            await dbRun(db, `DELETE FROM inscription_transfers WHERE inscription_id IN (${invalid})`);
+            await dbRun(db, `DELETE FROM inscription_locations WHERE inscription_id IN (${invalid})`);
+            await dbRun(db, `DELETE FROM bitmaps WHERE inscription_id IN (${invalid})`);
+
+            if (moved > 0) {
+                logger.warn(`📊 Moved ${moved} bitmap(s) numbered above their block height to bitmap_rejected_claims`);
+            }
+
+            // Claims that lost to a moved bitmap may now be the first valid claim for the number.
+            // The original indexer also matched N.bitmap anywhere in the content and parsed it with
+            // parseInt, so "007.bitmap" or "7.bitmap.txt" were stored as 7. Only the number was
+            // kept, so those rows (the ones without an inscription number, which the indexer has
+            // recorded since migration 6) can only be checked against the strict format by
+            // fetching their content again. Both are settled by indexing their blocks again.
+            const recheck = await dbGet(db, `
+                SELECT MIN(height) AS lowest, COUNT(*) AS total FROM (
+                    SELECT COALESCE(block_height, 0) AS height FROM bitmaps WHERE inscription_number IS NULL
+                    UNION ALL
+                    SELECT block_height FROM bitmap_rejected_claims
+                    WHERE winning_inscription_id IN (${invalid})
+                )
+            `);
+            await dbRun(db, 'DROP TABLE bitmaps_above_height');
+
+            if (recheck.total > 0) {
+                await rewindFromHeight(db, recheck.lowest);
+                logger.warn(`📊 Rewound the checkpoint to block ${recheck.lowest} so bitmap claims are checked again`);
+            }
+        }
+    }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ================================
+// RUNNER
+// ================================
+
+class MigrationError extends Error {
+    constructor(message, version = null) {
+        super(message);
+        this.name = 'MigrationError';
+        this.version = version;
+    }
+}
+
+async function ensureVersionTable(db) {
+    await dbRun(db, `
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+/**
+ * Current schema version and the migrations not yet applied
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<Object>} - {current, latest, pending: [{version, name}], ahead}
+ */
+async function getSchemaStatus(db) {
+    // Read-only: databases from before versioning have no schema_version table yet
+    const table = await dbGet(db, "SELECT 1 AS found FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+    const row = table ? await dbGet(db, 'SELECT MAX(version) AS version FROM schema_version') : null;
+    const current = row && row.version !== null ? row.version : 0;
+    const pending = MIGRATIONS
+        .filter(migration => migration.version > current)
+        .map(({ version, name }) => ({ version, name }));
+
+    return { current, latest: LATEST_VERSION, pending, ahead: current > LATEST_VERSION };
+}
+
+/**
+ * Applies pending migrations in order, each in its own transaction together with its
+ * schema_version row. Safe to run from several processes at once: the version is
+ * re-checked after the write lock is taken.
+ * @param {Object} db - SQLite database connection
+ * @param {Object} logger - Logger (defaults to console)
+ * @returns {Promise<Object>} - {from, to, applied: [version]}
+ */
+async function migrate(db, logger = console) {
+    await ensureVersionTable(db);
+    const status = await getSchemaStatus(db);
+    if (status.ahead) {
+        throw new MigrationError(`Database schema version ${status.current} is newer than this code (${LATEST_VERSION})`, status.current);
+    }
+
+    const applied = [];
+
+    for (const migration of MIGRATIONS.filter(candidate => candidate.version > status.current)) {
+        await dbRun(db, 'BEGIN IMMEDIATE');
+        try {
+            const done = await dbGet(db, 'SELECT 1 AS found FROM schema_version WHERE version = ?', [migration.version]);
+            if (!done) {
+                await migration.up(db, logger);
+                await dbRun(db, 'INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+                applied.push(migration.version);
+            }
+            await dbRun(db, 'COMMIT');
+        } catch (error) {
+            await dbRun(db, 'ROLLBACK').catch(() => {});
+            throw new MigrationError(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`, migration.version);
+        }
+    }
+
+    if (applied.length > 0) {
+        logger.info(`📊 Database schema migrated from version ${status.current} to ${LATEST_VERSION}`);
+    }
+
+    return { from: status.current, to: LATEST_VERSION, applied };
+}
+
+// ================================
+// CLI
+// ================================
+
+// node db/migrations.js [migrate|check]
+//   migrate  apply pending migrations (default)
+//   check    report the schema version; exits 1 if migrations are pending
+async function main() {
+    const sqlite3 = require('sqlite3').verbose();
+    const path = require('path');
+    const fs = require('fs');
+    require('dotenv').config();
+
+    const command = process.argv[2] || 'migrate';
+    if (!['migrate', 'check'].includes(command)) {
+        console.error(`Unknown command "${command}" (expected migrate or check)`);
+        process.exit(2);
+    }
+
+    const dbPath = process.env.DB_PATH || './db/brc420.db';
+    if (command === 'migrate') {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    } else if (!fs.existsSync(dbPath)) {
+        console.error(`Database ${dbPath} does not exist`);
+        process.exit(1);
+    }
+
+    const mode = command === 'migrate'
+        ? sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE
+        : sqlite3.OPEN_READWRITE;
+    const db = new sqlite3.Database(dbPath, mode);
+    db.configure('busyTimeout', 30000);
+
+    let exitCode = 0;
+    try {
+        if (command === 'migrate') {
+            const result = await migrate(db);
+            console.log(result.applied.length > 0
+                ? `Applied migration(s) ${result.applied.join(', ')}; ${dbPath} is at schema version ${result.to}`
+                : `${dbPath} is up to date (schema version ${result.to})`);
+        } else {
+            const status = await getSchemaStatus(db);
+            console.log(`${dbPath}: schema version ${status.current}, latest ${status.latest}`);
+            for (const migration of status.pending) {
+                console.log(`  pending: ${migration.version} ${migration.name}`);
+            }
+            if (status.ahead) {
+                console.log('  database is newer than this code');
+            }
+            exitCode = status.pending.length > 0 || status.ahead ? 1 : 0;
+        }
+    } catch (error) {
+        console.error(error.message);
+        exitCode = 1;
+    }
+
+    db.close(() => process.exit(exitCode));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    migrate,
+    getSchemaStatus,
+    MigrationError,
+    MIGRATIONS,
+    LATEST_VERSION
+};
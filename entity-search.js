@@ -0,0 +1,312 @@
+// Search across deploys, mints, bitmaps and parcels: detects what the query is (inscription ID,
+// txid, parcel or bitmap notation, number, address, text) and ranks matches by relevance
+
+const AddressPortfolio = require('./address-portfolio');
+
+const INSCRIPTION_ID_PATTERN = /^[0-9a-f]{64}i\d+$/i;
+const TXID_PATTERN = /^[0-9a-f]{64}$/i;
+const HEX_PREFIX_PATTERN = /^[0-9a-f]{8,63}$/i;
+const PARCEL_PATTERN = /^(\d+)\.(\d+)(?:\.bitmap)?$/i;
+const BITMAP_PATTERN = /^(\d+)\.bitmap$/i;
+const NUMBER_PATTERN = /^-?\d+$/;
+const BECH32_ADDRESS_PATTERN = /^(bc1|tb1|bcrt1)[02-9ac-hj-np-z]{6,87}$/i;
+const BASE58_ADDRESS_PATTERN = /^[123mn][1-9A-HJ-NP-Za-km-z]{25,34}$/;
+
+// Relevance of each kind of match; full-text matches score up to FULL_TEXT, scaled by bm25 rank
+const MATCH_SCORES = {
+    inscription_id: 100,
+    parcel: 95,
+    address: 95,
+    bitmap_number: 90,
+    source_id: 90,
+    transaction: 85,
+    sat: 80,
+    inscription_number: 75,
+    name: 70,
+    parent_bitmap: 60,
+    inscription_id_prefix: 55,
+    full_text: 50
+};
+
+// Name matches count ten times as much as matches in the deploy's inscription content
+const FTS_WEIGHTS = { name: 10.0, deploy_data: 1.0 };
+
+const MAX_FTS_TERMS = 8;
+
+// Result rows per entity: type, inscription_id, a display identifier and block height.
+// satColumn/numberColumn are null where the table does not store them.
+const ENTITIES = {
+    brc420_deploy: {
+        select: "SELECT 'brc420_deploy' AS type, e.inscription_id, e.name AS identifier, e.block_height FROM brc420_deploys e",
+        satColumn: 'e.sat_number',
+        numberColumn: 'e.inscription_number'
+    },
+    brc420_mint: {
+        select: `SELECT 'brc420_mint' AS type, e.inscription_id,
+                        COALESCE(d.name || ' #' || e.mint_number, e.inscription_id) AS identifier, e.block_height
+                 FROM brc420_mints e LEFT JOIN brc420_deploys d ON d.inscription_id = e.deploy_id`,
+        satColumn: 'e.sat_number',
+        numberColumn: 'e.inscription_number'
+    },
+    bitmap: {
+        select: "SELECT 'bitmap' AS type, e.inscription_id, CAST(e.bitmap_number AS TEXT) AS identifier, e.block_height FROM bitmaps e",
+        satColumn: 'e.sat_number',
+        numberColumn: 'e.inscription_number'
+    },
+    parcel: {
+        select: "SELECT 'parcel' AS type, e.inscription_id, e.content AS identifier, e.block_height FROM parcels e",
+        satColumn: null,
+        numberColumn: null
+    }
+};
+
+class EntitySearch {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // ================================
+    // DATABASE HELPERS
+    // ================================
+
+    dbAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // ================================
+    // QUERY TYPE DETECTION
+    // ================================
+
+    /**
+     * What a search query could be, most specific first
+     * @param {string} query - Trimmed search query
+     * @returns {Array<string>} - inscription_id, transaction, parcel, bitmap, sat, inscription_number,
+     *                            address, inscription_id_prefix and/or text
+     */
+    static detectQueryTypes(query) {
+        if (INSCRIPTION_ID_PATTERN.test(query)) return ['inscription_id'];
+        if (TXID_PATTERN.test(query)) return ['transaction'];
+        if (PARCEL_PATTERN.test(query)) return ['parcel'];
+        if (BITMAP_PATTERN.test(query)) return ['bitmap'];
+
+        if (NUMBER_PATTERN.test(query)) {
+            // Cursed inscriptions have negative numbers; bitmaps and sats never do
+            return query.startsWith('-')
+                ? ['inscription_number']
+                : ['bitmap', 'sat', 'inscription_number', 'text'];
+        }
+
+        if (BECH32_ADDRESS_PATTERN.test(query) || BASE58_ADDRESS_PATTERN.test(query)) return ['address'];
+        if (HEX_PREFIX_PATTERN.test(query)) return ['inscription_id_prefix', 'text'];
+
+        return ['text'];
+    }
+
+    /**
+     * FTS5 query matching every word, the last one as a prefix (search-as-you-type)
+     * @param {string} text - User input
+     * @returns {string|null} - MATCH expression, or null if the input has no searchable words
+     */
+    static buildFtsQuery(text) {
+        const terms = (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).slice(0, MAX_FTS_TERMS);
+        if (terms.length === 0) {
+            return null;
+        }
+
+        return terms.map((term, i) => `"${term}"${i === terms.length - 1 ? '*' : ''}`).join(' ');
+    }
+
+    // ================================
+    // MATCHERS
+    // ================================
+
+    /**
+     * Runs one lookup against every entity that has the needed column
+     * @param {string} columnKey - 'satColumn', 'numberColumn', or null to use `where` on every entity
+     * @param {string} where - Condition, with {column} replaced by the entity's column
+     * @param {Array} params - Bound parameters
+     * @param {string} match - Key of MATCH_SCORES
+     * @returns {Promise<Array>}
+     */
+    async matchEntities(columnKey, where, params, match) {
+        const results = [];
+
+        for (const entity of Object.values(ENTITIES)) {
+            const column = columnKey ? entity[columnKey] : null;
+            if (columnKey && !column) {
+                continue;
+            }
+
+            const rows = await this.dbAll(`${entity.select} WHERE ${where.replace(/\{column\}/g, column)}`, params);
+            results.push(...rows.map(row => ({ ...row, match, score: MATCH_SCORES[match] })));
+        }
+
+        return results;
+    }
+
+    async matchInscriptionId(inscriptionId, limit) {
+        const results = await this.matchEntities(null, 'e.inscription_id = ?', [inscriptionId], 'inscription_id');
+        const sources = await this.dbAll(`${ENTITIES.brc420_deploy.select} WHERE e.source_id = ? LIMIT ?`, [inscriptionId, limit]);
+
+        return results.concat(sources.map(row => ({ ...row, match: 'source_id', score: MATCH_SCORES.source_id })));
+    }
+
+    // Inscription IDs are <txid>i<index>, so a range over the ID finds every inscription revealed in a transaction
+    async matchInscriptionIdRange(prefix, limit, match) {
+        const lower = prefix.toLowerCase();
+        const upper = lower.slice(0, -1) + String.fromCharCode(lower.charCodeAt(lower.length - 1) + 1);
+
+        return this.matchEntities(null, `e.inscription_id >= ? AND e.inscription_id < ? LIMIT ${limit}`, [lower, upper], match);
+    }
+
+    async matchTransaction(txid, limit) {
+        const revealed = await this.matchInscriptionIdRange(`${txid}i`, limit, 'transaction');
+        const mints = await this.dbAll(`${ENTITIES.brc420_mint.select} WHERE e.transaction_id = ? LIMIT ?`, [txid.toLowerCase(), limit]);
+
+        return revealed.concat(mints.map(row => ({ ...row, match: 'transaction', score: MATCH_SCORES.transaction })));
+    }
+
+    async matchParcel(parcelNumber, bitmapNumber) {
+        const parcels = await this.dbAll(`${ENTITIES.parcel.select} WHERE e.parcel_number = ? AND e.bitmap_number = ?`,
+            [parcelNumber, bitmapNumber]);
+        const bitmaps = await this.dbAll(`${ENTITIES.bitmap.select} WHERE e.bitmap_number = ?`, [bitmapNumber]);
+
+        return [
+            ...parcels.map(row => ({ ...row, match: 'parcel', score: MATCH_SCORES.parcel })),
+            ...bitmaps.map(row => ({ ...row, match: 'parent_bitmap', score: MATCH_SCORES.parent_bitmap }))
+        ];
+    }
+
+    async matchBitmapNumber(bitmapNumber) {
+        const rows = await this.dbAll(`${ENTITIES.bitmap.select} WHERE e.bitmap_number = ?`, [bitmapNumber]);
+        return rows.map(row => ({ ...row, match: 'bitmap_number', score: MATCH_SCORES.bitmap_number }));
+    }
+
+    async matchAddress(address) {
+        const counts = await new AddressPortfolio(this.db).getCounts(address);
+        if (counts.total === 0) {
+            return [];
+        }
+
+        return [{
+            type: 'address',
+            inscription_id: null,
+            identifier: address,
+            block_height: null,
+            counts,
+            match: 'address',
+            score: MATCH_SCORES.address
+        }];
+    }
+
+    /**
+     * Deploys matching the words of the query in their name or inscription content, best first
+     * @param {string} text - User input
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array>}
+     */
+    async matchText(text, limit) {
+        const ftsQuery = EntitySearch.buildFtsQuery(text);
+        if (!ftsQuery) {
+            return [];
+        }
+
+        const rows = await this.dbAll(`
+            SELECT 'brc420_deploy' AS type, e.inscription_id, e.name AS identifier, e.block_height,
+                   bm25(brc420_deploys_fts, ${FTS_WEIGHTS.name}, ${FTS_WEIGHTS.deploy_data}) AS rank
+            FROM brc420_deploys_fts
+            JOIN brc420_deploys e ON e.id = brc420_deploys_fts.rowid
+            WHERE brc420_deploys_fts MATCH ?
+            ORDER BY rank
+            LIMIT ?
+        `, [ftsQuery, limit]);
+
+        // bm25 is negative, lower is better; scale relative to the best match
+        const best = rows.length > 0 ? rows[0].rank : 0;
+        const normalized = text.trim().toLowerCase();
+
+        return rows.map(({ rank, ...row }) => {
+            if (String(row.identifier).toLowerCase() === normalized) {
+                return { ...row, match: 'name', score: MATCH_SCORES.name };
+            }
+            const relative = best < 0 ? rank / best : 1;
+            return { ...row, match: 'full_text', score: Math.round(MATCH_SCORES.full_text * relative * 100) / 100 };
+        });
+    }
+
+    // ================================
+    // SEARCH
+    // ================================
+
+    /**
+     * Searches every entity for a query, ranked by relevance (then newest block)
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Object>} - {query, query_types, results, total_found}
+     */
+    async search(query, limit = 20) {
+        const trimmed = query.trim();
+        const queryTypes = EntitySearch.detectQueryTypes(trimmed);
+        const matches = [];
+
+        for (const queryType of queryTypes) {
+            switch (queryType) {
+                case 'inscription_id':
+                    matches.push(...await this.matchInscriptionId(trimmed.toLowerCase(), limit));
+                    break;
+                case 'transaction':
+                    matches.push(...await this.matchTransaction(trimmed.toLowerCase(), limit));
+                    break;
+                case 'parcel': {
+                    const [, parcelNumber, bitmapNumber] = trimmed.match(PARCEL_PATTERN);
+                    matches.push(...await this.matchParcel(Number(parcelNumber), Number(bitmapNumber)));
+                    break;
+                }
+                case 'bitmap':
+                    matches.push(...await this.matchBitmapNumber(Number(trimmed.match(/^\d+/)[0])));
+                    break;
+                case 'sat':
+                    matches.push(...await this.matchEntities('satColumn', '{column} = ?', [Number(trimmed)], 'sat'));
+                    break;
+                case 'inscription_number':
+                    matches.push(...await this.matchEntities('numberColumn', '{column} = ?', [Number(trimmed)], 'inscription_number'));
+                    break;
+                case 'address':
+                    matches.push(...await this.matchAddress(trimmed));
+                    break;
+                case 'inscription_id_prefix':
+                    matches.push(...await this.matchInscriptionIdRange(trimmed, limit, 'inscription_id_prefix'));
+                    break;
+                case 'text':
+                    matches.push(...await this.matchText(trimmed, limit));
+                    break;
+            }
+        }
+
+        // An entity found several ways keeps its most relevant match
+        const best = new Map();
+        for (const result of matches) {
+            const key = `${result.type}:${result.inscription_id || result.identifier}`;
+            if (!best.has(key) || best.get(key).score < result.score) {
+                best.set(key, result);
+            }
+        }
+
+        const results = [...best.values()].sort((a, b) =>
+            (b.score - a.score) || ((b.block_height || 0) - (a.block_height || 0)));
+
+        return {
+            query: trimmed,
+            query_types: queryTypes,
+            results: results.slice(0, limit),
+            total_found: results.length
+        };
+    }
+}
+
+module.exports = EntitySearch;
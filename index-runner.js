@@ -3,8 +3,20 @@ const sqlite3 = require('sqlite3').verbose();
 const winston = require('winston');
 const Joi = require('joi');
 const pLimit = require('p-limit');
+const { AsyncLocalStorage } = require('async_hooks');
 const config = require('./config');
 const BitmapProcessor = require('./bitmap-processor');
+const Brc420Processor = require('./brc420-processor');
+const CheckpointManager = require('./checkpoint-manager');
+const ReorgManager = require('./reorg-manager');
+const SyncStatus = require('./sync-status');
+const TransferTracker = require('./transfer-tracker');
+const BitcoinRpcClient = require('./bitcoin-rpc');
+const MempoolClient = require('./mempool-client');
+const DataSourceRouter = require('./data-sources');
+const BlockPipeline = require('./block-pipeline');
+const StatementCache = require('./statement-cache');
+const migrations = require('./db/migrations');
 
 // Initialize Winston logger
 const logger = winston.createLogger({
@@ -41,6 +53,12 @@ let db;
 let useLocalAPI = false;
 let localApiHasSatIndex = null; // null = not tested, true = supports, false = doesn't support
 let bitmapProcessor; // BitmapProcessor instance
+let brc420Processor; // Brc420Processor instance
+let checkpointManager; // CheckpointManager instance
+let reorgManager; // ReorgManager instance
+let syncStatus; // SyncStatus instance (syncing vs live)
+let transferTracker; // TransferTracker instance (ownership history)
+let dataSources = null; // DataSourceRouter (ord, esplora, bitcoind), created on first use
 
 // ================================
 // UNLIMITED PROCESSING CLASSES
@@ -137,6 +155,11 @@ class AdaptiveMemorySafeCache {
         }
     }
     
+    // Drop every cached entry (used after a chain reorganization invalidates block data)
+    clear() {
+        this.cache.clear();
+    }
+    
     destroy() {
         if (this.cleanupInterval) {
             clearInterval(this.cleanupInterval);
@@ -295,220 +318,78 @@ async function robustApiCall(url, options = {}, maxRetries = 5) {
 }
 
 // ================================
-// UNLIMITED INSCRIPTION FETCHING
+// DATA SOURCES
 // ================================
 
-// Get ALL inscriptions for a block using the block-specific endpoint with proper pagination
-async function getInscriptionsForBlock(blockHeight) {
-    processingLogger.debug(`Fetching all inscriptions for block ${blockHeight} with pagination`);
+// Builds the provider router on first use, after API_URL has been resolved
+function getDataSources() {
+    if (dataSources) {
+        return dataSources;
+    }
     
-    let allInscriptions = [];
-    let hasMore = true;
-    let pageNumber = 0; // Track which page we're on (0-based internally)
-    const maxPages = 10000; // Safety limit to prevent infinite loops
-    const seenInscriptions = new Set(); // Track unique inscriptions to detect duplicates
+    const providers = [
+        new DataSourceRouter.OrdProvider(API_URL, robustApiCall, processingLogger, { useLocalApi: useLocalAPI }),
+        new DataSourceRouter.EsploraProvider(new MempoolClient(config.getMempoolApiEndpoints(), processingLogger, {
+            timeout: config.API_TIMEOUT
+        }))
+    ];
     
-    while (hasMore && pageNumber < maxPages) {
-        try {
-            // FIXED: Use path parameters instead of query parameters for pagination
-            const url = pageNumber === 0 
-                ? `${API_URL}/inscriptions/block/${blockHeight}`
-                : `${API_URL}/inscriptions/block/${blockHeight}/${pageNumber}`;
-                
-            processingLogger.debug(`Fetching page ${pageNumber} for block ${blockHeight}: ${url}`);
-            
-            const response = await robustApiCall(url);
-            const responseData = response.data;
-            
-            // Log the actual response structure for debugging
-            processingLogger.debug(`Block ${blockHeight}, Page ${pageNumber}: Raw response structure: ${JSON.stringify(Object.keys(responseData)).substring(0, 200)}`);
-            
-            // Extract inscription IDs and pagination info from the response
-            let inscriptions = [];
-            let moreFlag = false;
-            
-            if (Array.isArray(responseData)) {
-                // Simple array response (old format)
-                inscriptions = responseData;
-                moreFlag = false; // No pagination info in array format
-            } else if (responseData.ids && Array.isArray(responseData.ids)) {
-                // Object with ids array (new format)
-                inscriptions = responseData.ids;
-                moreFlag = responseData.more === true;
-            } else {
-                // Unexpected format
-                processingLogger.warn(`Block ${blockHeight}, Page ${pageNumber}: Unexpected response format: ${JSON.stringify(responseData).substring(0, 200)}`);
-                inscriptions = [];
-                moreFlag = false;
-            }
-            
-            hasMore = moreFlag;
-            const currentPageIndex = responseData.page_index !== undefined ? responseData.page_index : pageNumber;
-            
-            processingLogger.debug(`Block ${blockHeight}, Page ${pageNumber}: Found ${inscriptions.length} inscriptions (more=${hasMore}, page_index=${currentPageIndex})`);
-            processingLogger.debug(`Block ${blockHeight}, Page ${pageNumber}: Response format - isArray: ${Array.isArray(responseData)}, has_ids: ${!!responseData.ids}, more_field: ${responseData.more}, has_more_property: ${responseData.hasOwnProperty('more')}`);
-            
-            if (inscriptions.length === 0 && pageNumber === 0) {
-                processingLogger.info(`Block ${blockHeight}: No inscriptions found in this block`);
-                break;
-            }
-            
-            if (inscriptions.length === 0 && pageNumber > 0) {
-                processingLogger.info(`Block ${blockHeight}: No more inscriptions found on page ${pageNumber}, stopping pagination`);
-                break;
-            }
-            
-            // Check for duplicate inscriptions (API bug detection)
-            let newInscriptions = 0;
-            let duplicateInscriptions = 0;
-            
-            for (const inscription of inscriptions) {
-                if (!seenInscriptions.has(inscription)) {
-                    seenInscriptions.add(inscription);
-                    allInscriptions.push(inscription);
-                    newInscriptions++;
-                } else {
-                    duplicateInscriptions++;
-                }
-            }
-            
-            if (duplicateInscriptions > 0) {
-                processingLogger.warn(`Block ${blockHeight}, Page ${pageNumber}: Found ${duplicateInscriptions} duplicate inscriptions (possible API pagination bug)`);
-            }
-            
-            processingLogger.debug(`Block ${blockHeight}, Page ${pageNumber}: Added ${newInscriptions} new inscriptions (${duplicateInscriptions} duplicates ignored)`);
-            
-            // If more=false explicitly, we're done
-            if (responseData.hasOwnProperty('more') && !hasMore) {
-                processingLogger.info(`Block ${blockHeight}: API explicitly indicates no more pages (more=false)`);
-                break;
-            }
-            
-            // If we got no new inscriptions, check termination conditions
-            if (newInscriptions === 0) {
-                if (pageNumber === 0) {
-                    // First page with no inscriptions means empty block
-                    processingLogger.info(`Block ${blockHeight}: No inscriptions found in this block`);
-                    break;
-                } else if (duplicateInscriptions > 0) {
-                    // Subsequent page with only duplicates
-                    if (responseData.hasOwnProperty('more') && hasMore) {
-                        // API says there are more pages, but we got only duplicates - continue cautiously
-                        processingLogger.warn(`Block ${blockHeight}: Page ${pageNumber} returned only duplicates, but API indicates more pages. Continuing...`);
-                    } else {
-                        // No more flag or more=false, and only duplicates - stop
-                        processingLogger.info(`Block ${blockHeight}: Page ${pageNumber} returned only duplicates and no more pages indicated. Pagination complete.`);
-                        break;
-                    }
-                } else {
-                    // No new inscriptions and no duplicates - truly empty page
-                    processingLogger.info(`Block ${blockHeight}: Page ${pageNumber} returned no inscriptions. Pagination complete.`);
-                    break;
-                }
-            }
-            
-            // If we have new inscriptions but API says no more, continue for one more page to be safe
-            if (newInscriptions > 0 && responseData.hasOwnProperty('more') && !hasMore) {
-                processingLogger.info(`Block ${blockHeight}: Got ${newInscriptions} new inscriptions but API indicates no more pages. This should be the last page.`);
-            }
-            
-            // Move to next page
-            pageNumber++;
-            
-            // Small delay between requests to avoid overwhelming the API
-            await new Promise(resolve => setTimeout(resolve, 100));
-            
-        } catch (error) {
-            if (error.response && error.response.status === 404) {
-                processingLogger.info(`Block ${blockHeight} not found (404) - likely no inscriptions in this block`);
-                break;
-            } else {
-                processingLogger.error(`Error fetching inscriptions for block ${blockHeight}, page ${pageNumber}: ${error.message}`);
-                throw error;
-            }
-        }
+    const rpcConfig = config.getBitcoinRpcConfig();
+    if (rpcConfig) {
+        providers.push(new DataSourceRouter.BitcoindProvider(new BitcoinRpcClient(rpcConfig, processingLogger)));
+        logger.info(`🔗 Bitcoin Core RPC available at ${rpcConfig.url}`);
     }
     
-    if (pageNumber >= maxPages) {
-        processingLogger.warn(`Block ${blockHeight}: Reached maximum page limit (${maxPages}), stopping pagination`);
+    dataSources = new DataSourceRouter(providers, config.getDataSourceOrder(), processingLogger);
+    for (const capability of DataSourceRouter.CAPABILITIES) {
+        logger.info(`🔌 Data sources for ${capability}: ${dataSources.describe(capability).join(' → ') || 'none'}`);
     }
     
-    processingLogger.info(`Block ${blockHeight}: Retrieved ${allInscriptions.length} total unique inscriptions across ${pageNumber} pages`);
-    return allInscriptions;
+    return dataSources;
+}
+
+async function getInscriptionChildren(inscriptionId) {
+    return getDataSources().call('children', inscriptionId);
+}
+
+// ================================
+// UNLIMITED INSCRIPTION FETCHING
+// ================================
+
+// Get ALL inscriptions for a block (the ord provider follows the block endpoint's pagination)
+async function getInscriptionsForBlock(blockHeight) {
+    return getDataSources().call('inscriptions_in_block', blockHeight);
 }
 
 // ================================
 // FAST CONTENT PREVIEW OPTIMIZATION
 // ================================
 
-// Get just the first 50 characters of inscription content for type detection
+// Get just the first 50 characters of inscription content for type detection. Throws when
+// every source fails: an empty preview would classify the inscription as unknown and skip it.
 async function getInscriptionContentPreview(inscriptionId, previewLength = 50) {
     const cacheKey = `preview_${inscriptionId}_${previewLength}`;
     const cached = apiCache.get(cacheKey);
     if (cached !== null) return cached;
     
-    const endpoints = useLocalAPI ? [
-        `${API_URL}/content/${inscriptionId}`,
-        `${API_URL}/inscription/${inscriptionId}/content`,
-    ] : [
-        `${API_URL}/content/${inscriptionId}`,
-    ];
-    
-    for (const endpoint of endpoints) {
-        try {
-            // Use range header to fetch only the first bytes
-            const response = await robustApiCall(endpoint, {
-                responseType: 'text',
-                headers: {
-                    'Range': `bytes=0-${previewLength + 10}` // Get a bit extra for safety
-                }
-            });
-            
-            let content = response.data || '';
-            if (typeof content !== 'string') {
-                content = String(content);
-            }
-            
-            // Truncate to exact preview length
-            const preview = content.substring(0, previewLength);
-            
-            if (preview.length > 0) {
-                processingLogger.debug(`Fast preview fetched (${preview.length} chars): "${preview}"`);
-                apiCache.set(cacheKey, preview);
-                return preview;
-            }
-        } catch (error) {
-            // Range requests might not be supported, fall back to full content
-            if (error.response && error.response.status === 416) {
-                // Range not satisfiable, try without range
-                try {
-                    const response = await robustApiCall(endpoint, {
-                        responseType: 'text'
-                    });
-                    
-                    let content = response.data || '';
-                    if (typeof content !== 'string') {
-                        content = String(content);
-                    }
-                    
-                    const preview = content.substring(0, previewLength);
-                    apiCache.set(cacheKey, preview);
-                    return preview;
-                } catch (fallbackError) {
-                    processingLogger.debug(`Fallback endpoint ${endpoint} failed: ${fallbackError.message}`);
-                    continue;
-                }
-            } else {
-                processingLogger.debug(`Preview endpoint ${endpoint} failed: ${error.message}`);
-                continue;
-            }
+    try {
+        const preview = await getDataSources().call('content', inscriptionId, { previewLength });
+        processingLogger.debug(`Fast preview fetched (${preview.length} chars): "${preview}"`);
+        apiCache.set(cacheKey, preview);
+        return preview;
+    } catch (error) {
+        if (await hasNoBody(inscriptionId)) {
+            apiCache.set(cacheKey, '');
+            return '';
         }
+        throw error;
     }
-    
-    // If all endpoints fail, return empty string
-    processingLogger.debug(`Could not fetch preview for inscription ${inscriptionId}`);
-    apiCache.set(cacheKey, '');
-    return '';
+}
+
+// ord lists inscriptions without a body but answers 404 for their content; their details say so
+async function hasNoBody(inscriptionId) {
+    const details = await getInscriptionDetailsCached(inscriptionId).catch(() => null);
+    return Boolean(details) && (details.content_length === 0 || details.content_length === null);
 }
 
 // Fast content type detection using preview (optimized based on Python indexer patterns)
@@ -520,22 +401,27 @@ function detectInscriptionType(preview) {
     // Clean whitespace for analysis
     const trimmed = preview.trim();
     
-    // BRC-420 deploy detection (highest priority)
-    if (trimmed.startsWith('{"p":"brc-420","op":"deploy"')) {
+    // BRC-420 deploy detection (highest priority; full schema validation happens later)
+    if (trimmed.startsWith('{') && /"p"\s*:\s*"brc-420"/.test(trimmed) && /"op"\s*:\s*"deploy"/.test(trimmed)) {
         return 'brc420-deploy';
     }
     
-    // BRC-420 mint detection
-    if (trimmed.startsWith('/content/') && trimmed.includes('i')) {
+    // BRC-420 mint detection (recursive reference to a source inscription)
+    if (/^\/content\/[0-9a-f]{64}i\d+$/.test(trimmed)) {
         return 'brc420-mint';
     }
     
-    // OPTIMIZED: Bitmap detection with strict validation (based on Python indexer)
-    if (trimmed.endsWith('.bitmap')) {
-        const bitmapCandidate = trimmed.substring(0, trimmed.length - 7); // Remove '.bitmap'
-        if (isValidBitmapNumber(bitmapCandidate)) {
+    // Bitmap claims are detected loosely (any case, leading zeros) so invalid ones are
+    // recorded with a reason; BitmapProcessor.validateBitmapClaim applies the strict rules
+    if (/\.bitmap$/i.test(trimmed)) {
+        if (/^\d+\.bitmap$/i.test(trimmed)) {
             return 'bitmap';
         }
+        
+        // Parcel detection: P.B.bitmap (parcel number P of bitmap B)
+        if (extractParcelNumbers(trimmed) !== null) {
+            return 'parcel';
+        }
     }
     
     // Binary content detection
@@ -577,26 +463,21 @@ function isValidBitmapNumber(bitmapStr) {
     return true;
 }
 
-// OPTIMIZED: Extract and validate bitmap number from content
-function extractBitmapNumber(content) {
+// Extract parcel and bitmap numbers from P.B.bitmap content
+function extractParcelNumbers(content) {
     if (!content || !content.endsWith('.bitmap')) {
         return null;
     }
     
-    const bitmapStr = content.substring(0, content.length - 7); // Remove '.bitmap'
-    
-    if (!isValidBitmapNumber(bitmapStr)) {
-        return null;
-    }
-    
-    const bitmapNumber = parseInt(bitmapStr, 10);
-    
-    // Additional validation: ensure parsing didn't fail
-    if (isNaN(bitmapNumber) || bitmapNumber < 0) {
+    const parts = content.substring(0, content.length - 7).split('.');
+    if (parts.length !== 2 || !isValidBitmapNumber(parts[0]) || !isValidBitmapNumber(parts[1])) {
         return null;
     }
     
-    return bitmapNumber;
+    return {
+        parcelNumber: parseInt(parts[0], 10),
+        bitmapNumber: parseInt(parts[1], 10)
+    };
 }
 
 // ================================
@@ -698,7 +579,7 @@ class TaskPriorityManager {
         this.taskQueues = {
             'high': [], // BRC-420 deploys (highest priority)
             'medium': [], // BRC-420 mints and bitmaps
-            'low': [], // Other content types
+            'low': [], // Parcels and other content types
             'skip': [] // Binary/non-relevant content
         };
         this.processedCount = 0;
@@ -722,6 +603,7 @@ class TaskPriorityManager {
             case 'bitmap':
                 this.taskQueues.medium.push(task);
                 break;
+            case 'parcel':
             case 'json':
             case 'text':
                 this.taskQueues.low.push(task);
@@ -742,33 +624,25 @@ class TaskPriorityManager {
             'brc420-deploy': 1,
             'brc420-mint': 2,
             'bitmap': 3,
-            'json': 4,
-            'text': 5,
+            'parcel': 4,
+            'json': 5,
+            'text': 6,
             'binary': 99
         };
         return priorities[contentType] || 10;
     }
     
-    // Get next batch of tasks to process, prioritized
+    // Get next batch of tasks to process, prioritized. A batch never mixes priorities, so every
+    // deploy of a block is saved before the block's mints (which look their deploy up) start,
+    // and every bitmap before the parcels that look up their parent.
     getNextBatch(batchSize = 50) {
-        const batch = [];
-        
-        // Process high priority first
-        while (batch.length < batchSize && this.taskQueues.high.length > 0) {
-            batch.push(this.taskQueues.high.shift());
-        }
-        
-        // Then medium priority
-        while (batch.length < batchSize && this.taskQueues.medium.length > 0) {
-            batch.push(this.taskQueues.medium.shift());
-        }
-        
-        // Finally low priority
-        while (batch.length < batchSize && this.taskQueues.low.length > 0) {
-            batch.push(this.taskQueues.low.shift());
+        for (const priority of ['high', 'medium', 'low']) {
+            if (this.taskQueues[priority].length > 0) {
+                return this.taskQueues[priority].splice(0, batchSize);
+            }
         }
         
-        return batch;
+        return [];
     }
     
     hasMoreTasks() {
@@ -797,11 +671,10 @@ class TaskPriorityManager {
 // UNLIMITED INSCRIPTION PROCESSING
 // ================================
 
-// Process all inscriptions with FAST PREVIEW and WORKER-BASED PRIORITIZATION
-async function processAllInscriptionsCompletely(inscriptionIds, blockHeight) {
-    const batchProcessor = new DynamicBatchProcessor();
+// Phases 0 and 1: content-type filtering and FAST PREVIEW categorization.
+// Read-only (API and cache), so the block pipeline runs it for blocks ahead of the one being committed.
+async function prepareBlockInscriptions(inscriptionIds, blockHeight) {
     const taskManager = new TaskPriorityManager();
-    let results = [];
     
     processingLogger.info(`🚀 Starting OPTIMIZED processing of ${inscriptionIds.length} inscriptions in block ${blockHeight}`);
     
@@ -814,9 +687,19 @@ async function processAllInscriptionsCompletely(inscriptionIds, blockHeight) {
     const preFilterTime = Date.now() - preFilterStartTime;
     processingLogger.info(`✅ Phase 0 complete (${preFilterTime}ms): ${relevantInscriptions.length}/${inscriptionIds.length} inscriptions are relevant`);
     
+    const prepared = {
+        blockHeight,
+        taskManager,
+        totalCount: inscriptionIds.length,
+        relevantCount: relevantInscriptions.length,
+        preFilterStartTime,
+        preFilterTime,
+        previewTime: 0
+    };
+    
     if (relevantInscriptions.length === 0) {
         processingLogger.info(`🎯 No relevant inscriptions found in block ${blockHeight}, skipping detailed processing`);
-        return [];
+        return prepared;
     }
     
     // PHASE 1: FAST PREVIEW - Categorize remaining inscriptions by type
@@ -840,10 +723,24 @@ async function processAllInscriptionsCompletely(inscriptionIds, blockHeight) {
         previewPromises.map(promise => concurrencyLimit(() => promise))
     );
     
-    const previewTime = Date.now() - previewStartTime;
+    prepared.previewTime = Date.now() - previewStartTime;
     const stats = taskManager.getStats();
     
-    processingLogger.info(`✅ Phase 1 complete (${previewTime}ms): High=${stats.high}, Medium=${stats.medium}, Low=${stats.low}, Skipped=${stats.skipped}`);
+    processingLogger.info(`✅ Phase 1 complete (${prepared.previewTime}ms): High=${stats.high}, Medium=${stats.medium}, Low=${stats.low}, Skipped=${stats.skipped}`);
+    
+    return prepared;
+}
+
+// Phase 2: process the categorized inscriptions (writes to the database, so blocks must run in height order)
+async function processPreparedInscriptions(prepared) {
+    const { blockHeight, taskManager, preFilterStartTime, preFilterTime, previewTime } = prepared;
+    const batchProcessor = new DynamicBatchProcessor();
+    const stats = taskManager.getStats();
+    let results = [];
+    
+    if (prepared.relevantCount === 0) {
+        return results;
+    }
     
     // PHASE 2: PRIORITIZED PROCESSING - Process tasks in priority order
     processingLogger.info(`⚡ Phase 2: Prioritized processing (skipping ${stats.skipped} binary/irrelevant inscriptions)`);
@@ -855,42 +752,34 @@ async function processAllInscriptionsCompletely(inscriptionIds, blockHeight) {
         
         if (batch.length === 0) break;
         
-        try {
-            // Update concurrency limit dynamically
-            concurrencyLimit = adaptiveConcurrency.getLimit();
-            
-            processingLogger.debug(`Processing batch of ${batch.length} inscriptions (priorities: ${batch.map(t => t.priority).join(',')})`);
-            
-            const batchResults = await Promise.allSettled(
-                batch.map(task => 
-                    concurrencyLimit(() => processInscriptionWithRetry(task.id, task.blockHeight))
-                )
-            );
-            
-            // Mark tasks as processed
-            batch.forEach(() => taskManager.markProcessed());
-            
-            results = results.concat(batchResults);
-            batchProcessor.adjustBatchSize(true);
-            
-            const currentStats = taskManager.getStats();
-            processingLogger.debug(`Progress: ${currentStats.processed}/${currentStats.total} processed, ${taskManager.hasMoreTasks() ? 'continuing' : 'finishing'}`);
-            
-        } catch (error) {
+        // Update concurrency limit dynamically
+        concurrencyLimit = adaptiveConcurrency.getLimit();
+        
+        processingLogger.debug(`Processing batch of ${batch.length} inscriptions (priorities: ${batch.map(t => t.priority).join(',')})`);
+        
+        // Settle the whole batch before failing so no write is still running when the block rolls back
+        const batchResults = await Promise.allSettled(
+            batch.map(task => 
+                concurrencyLimit(() => processInscription(task.id, task.blockHeight))
+            )
+        );
+        
+        // Mark tasks as processed
+        batch.forEach(() => taskManager.markProcessed());
+        
+        // An inscription that could not be processed fails its block, which is rolled back and
+        // retried as a whole; recording it and committing the block would lose it for good
+        const failed = batchResults.find(result => result.status === 'rejected');
+        if (failed) {
             batchProcessor.adjustBatchSize(false);
-            processingLogger.error(`Batch processing error for block ${blockHeight}:`, error.message);
-            
-            // Process failed batch one by one to ensure no data loss
-            for (const task of batch) {
-                try {
-                    const result = await processInscriptionWithRetry(task.id, task.blockHeight);
-                    results.push({ status: 'fulfilled', value: result });
-                } catch (singleError) {
-                    results.push({ status: 'rejected', reason: singleError });
-                }
-                taskManager.markProcessed();
-            }
+            throw new Error(`Block ${blockHeight}: inscription processing failed: ${failed.reason.message}`);
         }
+        
+        results = results.concat(batchResults);
+        batchProcessor.adjustBatchSize(true);
+        
+        const currentStats = taskManager.getStats();
+        processingLogger.debug(`Progress: ${currentStats.processed}/${currentStats.total} processed, ${taskManager.hasMoreTasks() ? 'continuing' : 'finishing'}`);
     }
     
     const processingTime = Date.now() - processingStartTime;
@@ -903,34 +792,11 @@ async function processAllInscriptionsCompletely(inscriptionIds, blockHeight) {
     processingLogger.info(`   ⚡ Phase 1 (Preview): ${previewTime}ms`);
     processingLogger.info(`   🔧 Phase 2 (Processing): ${processingTime}ms`);
     processingLogger.info(`   📈 Total time: ${totalTime}ms`);
-    processingLogger.info(`   🎯 Efficiency: Processed ${relevantInscriptions.length}/${inscriptionIds.length} inscriptions (${((relevantInscriptions.length / inscriptionIds.length) * 100).toFixed(1)}% relevant)`);
+    processingLogger.info(`   🎯 Efficiency: Processed ${prepared.relevantCount}/${prepared.totalCount} inscriptions (${((prepared.relevantCount / prepared.totalCount) * 100).toFixed(1)}% relevant)`);
     
     return results;
 }
 
-// Process inscription with comprehensive retry logic
-async function processInscriptionWithRetry(inscriptionId, blockHeight, maxRetries = 3) {
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-        try {
-            return await processInscription(inscriptionId, blockHeight);
-        } catch (error) {
-            const isLastAttempt = attempt === maxRetries - 1;
-            
-            if (isLastAttempt) {
-                logger.error(`Failed to process inscription ${inscriptionId} after ${maxRetries} attempts:`, { message: error.message });
-                
-                // Save failed inscription for manual review
-                await saveFailedInscription(inscriptionId, blockHeight, error.message);
-                return null;
-            }
-            
-            const delay = 1000 * Math.pow(2, attempt);
-            logger.warn(`Inscription ${inscriptionId} processing attempt ${attempt + 1} failed, retrying in ${delay}ms`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-    }
-}
-
 const apiCache = new AdaptiveMemorySafeCache();
 
 // PERFORMANCE OPTIMIZATION: Cached API functions to reduce redundant calls
@@ -939,29 +805,15 @@ async function getInscriptionDetailsCached(inscriptionId) {
     const cached = apiCache.get(cacheKey);
     if (cached !== null) return cached;
     
-    const endpoints = useLocalAPI ? [
-        `${API_URL}/inscription/${inscriptionId}`,
-        `${API_URL}/inscriptions/${inscriptionId}`,
-    ] : [
-        `${API_URL}/inscription/${inscriptionId}`,
-    ];
-    
-    for (const endpoint of endpoints) {
-        try {
-            const response = await robustApiCall(endpoint);
-            const details = response.data;
-            
-            // Cache the details
-            apiCache.set(cacheKey, details);
-            return details;
-            
-        } catch (error) {
-            processingLogger.debug(`Failed to get inscription details from ${endpoint}: ${error.message}`);
-            continue;
-        }
+    try {
+        const details = await getDataSources().call('inscription', inscriptionId);
+        apiCache.set(cacheKey, details);
+        return details;
+    } catch (error) {
+        processingLogger.debug(`Failed to get inscription details for ${inscriptionId}: ${error.message}`);
     }
     
-    // If all endpoints fail, return basic details structure
+    // If all sources fail, return basic details structure
     processingLogger.warn(`Could not fetch details for inscription ${inscriptionId}`);
     const fallbackDetails = { 
         id: inscriptionId, 
@@ -974,62 +826,342 @@ async function getInscriptionDetailsCached(inscriptionId) {
     return fallbackDetails;
 }
 
-async function getDeployerAddressCached(inscriptionId) {
-    const cacheKey = `deployer_${inscriptionId}`;
+// Get the outputs of a transaction as [{address, value}] (used for royalty verification)
+async function getTransactionOutputsCached(txid) {
+    const cacheKey = `txout_${txid}`;
     const cached = apiCache.get(cacheKey);
     if (cached !== null) return cached;
     
     try {
-        const response = await robustApiCall(`${API_URL}/inscription/${inscriptionId}`, {
-            headers: { 'Accept': 'application/json' }
-        });
-        const address = response.data.address || null;
-        apiCache.set(cacheKey, address);
-        return address;
+        const outputs = await getDataSources().call('transaction_outputs', txid);
+        apiCache.set(cacheKey, outputs);
+        return outputs;
+    } catch (error) {
+        processingLogger.debug(`Transaction lookup failed for ${txid}: ${error.message}`);
+        return null;
+    }
+}
+
+// Get a transaction with input values and confirmation height (used to trace untracked inscriptions back)
+async function getTransactionCached(txid) {
+    const cacheKey = `tx_${txid}`;
+    const cached = apiCache.get(cacheKey);
+    if (cached !== null) return cached;
+    
+    try {
+        const transaction = await getDataSources().call('transaction', txid);
+        // Unconfirmed transactions still change, so only confirmed ones are cached
+        if (transaction.block_height !== null) {
+            apiCache.set(cacheKey, transaction);
+        }
+        return transaction;
     } catch (error) {
-        logger.error(`Error getting deployer address for ${inscriptionId}:`, { message: error.message });
+        processingLogger.debug(`Transaction lookup failed for ${txid}: ${error.message}`);
         return null;
     }
 }
 
+// Address that received an inscription in its reveal transaction (deployer, minter, bitmap and parcel addresses)
+async function getGenesisAddressCached(inscriptionId) {
+    const cacheKey = `genesis_${inscriptionId}`;
+    const cached = apiCache.get(cacheKey);
+    if (cached !== null) return cached;
+    
+    const details = await getInscriptionDetailsCached(inscriptionId);
+    const address = await transferTracker.getGenesisAddress(inscriptionId, details);
+    apiCache.set(cacheKey, address);
+    return address;
+}
+
+// Address holding an inscription at the end of a block: from its transfer history when it is
+// tracked, otherwise traced back from its current location
+async function getAddressAtHeight(inscriptionId, blockHeight) {
+    const tracked = await getTrackedAddressAtHeight(inscriptionId, blockHeight);
+    return tracked !== undefined ? tracked : readLookup('tracedAddress', inscriptionId, blockHeight);
+}
+
+// Address at the end of a block from the transfer history (undefined if untracked or tracking is off)
+async function getTrackedAddressAtHeight(inscriptionId, blockHeight) {
+    return config.TRACK_TRANSFERS
+        ? transferTracker.getTrackedAddressAtHeight(inscriptionId, blockHeight)
+        : undefined;
+}
+
+// Follow an untracked inscription back from its current location to the end of a block
+async function traceAddressAtHeight(inscriptionId, blockHeight) {
+    const details = await getInscriptionDetailsCached(inscriptionId);
+    return transferTracker.traceAddressAtHeight(inscriptionId, blockHeight, details);
+}
+
+// Full inscription content. Throws when every source fails, so the block is retried rather
+// than the inscription processed as empty.
 async function getInscriptionContentCached(inscriptionId) {
     const cacheKey = `content_${inscriptionId}`;
     const cached = apiCache.get(cacheKey);
     if (cached !== null) return cached;
     
-    // Try multiple API endpoints for better content fetching
-    const endpoints = useLocalAPI ? [
-        `${API_URL}/content/${inscriptionId}`,
-        `${API_URL}/inscription/${inscriptionId}/content`,
-    ] : [
-        // When not using local API, still avoid ordinals.com JSON endpoints that return 406
-        // Content endpoints typically work better than JSON endpoints on external APIs
-        `${API_URL}/content/${inscriptionId}`,
-    ];
+    try {
+        const content = await getDataSources().call('content', inscriptionId);
+        processingLogger.debug(`Content fetched successfully (${content.length} chars): ${content.substring(0, 100)}...`);
+        apiCache.set(cacheKey, content);
+        return content;
+    } catch (error) {
+        if (await hasNoBody(inscriptionId)) {
+            apiCache.set(cacheKey, '');
+            return '';
+        }
+        processingLogger.warn(`Could not fetch content for inscription ${inscriptionId}: ${error.message}`);
+        throw error;
+    }
+}
+
+// Get block header info (hash, previous hash, transaction count) for a height
+async function getBlockInfo(blockHeight, { useCache = true } = {}) {
+    const cacheKey = `blockinfo_${blockHeight}`;
+    if (useCache) {
+        const cached = apiCache.get(cacheKey);
+        if (cached !== null) return cached;
+    }
+    
+    try {
+        const blockInfo = await getDataSources().call('block_info', blockHeight);
+        apiCache.set(cacheKey, blockInfo);
+        return blockInfo;
+    } catch (error) {
+        processingLogger.warn(`Could not fetch block info for block ${blockHeight}: ${error.message}`);
+        return null;
+    }
+}
+
+// Get all transactions of a block in order, normalized to {txid, inputs, outputs}
+async function getBlockTransactions(blockHash) {
+    try {
+        return await getDataSources().call('block_transactions', blockHash);
+    } catch (error) {
+        processingLogger.debug(`Block transactions failed for ${blockHash}: ${error.message}`);
+        return null;
+    }
+}
+
+// Total output value of every transaction in a block, in block order (bitmap Mondrian input)
+async function getBlockOutputValues(blockHeight) {
+    const blockInfo = await getBlockInfo(blockHeight);
+    if (!blockInfo || !blockInfo.hash) {
+        return null;
+    }
+    
+    const transactions = await getBlockTransactions(blockInfo.hash);
+    if (!transactions) {
+        return null;
+    }
+    
+    // A partial transaction list would produce a wrong pattern
+    if (blockInfo.transaction_count !== null && transactions.length !== blockInfo.transaction_count) {
+        processingLogger.warn(`Block ${blockHeight}: fetched ${transactions.length} of ${blockInfo.transaction_count} transactions`);
+        return null;
+    }
     
-    for (const endpoint of endpoints) {
+    return transactions.map(tx => tx.outputs.reduce((sum, output) => sum + output.value, 0));
+}
+
+// Get the current chain tip height (ord first, mempool/Esplora as fallback by default)
+async function getChainTipHeight() {
+    try {
+        return await getDataSources().call('tip_height');
+    } catch (error) {
+        processingLogger.debug(`Tip height lookup failed: ${error.message}`);
+        return null;
+    }
+}
+
+// Highest block that has the configured number of confirmations
+async function getTargetHeight() {
+    const tipHeight = await getChainTipHeight();
+    if (tipHeight === null) {
+        throw new Error('Unable to determine chain tip height');
+    }
+    
+    return {
+        tipHeight,
+        targetHeight: tipHeight - (config.CONFIRMATION_DEPTH - 1)
+    };
+}
+
+// Get the number of transactions in a block (needed to validate parcel numbers)
+async function getBlockTransactionCount(blockHeight) {
+    const blockInfo = await getBlockInfo(blockHeight);
+    if (!blockInfo || !Number.isInteger(blockInfo.transaction_count)) {
+        throw new Error(`No transaction count for block ${blockHeight}`);
+    }
+    return blockInfo.transaction_count;
+}
+
+// ================================
+// BLOCK LOOKUPS
+// ================================
+
+// Network data read while a block is committed, by name. prefetchBlock fetches it into the
+// block's lookups so the block's transaction, which holds SQLite's write lock, never waits on
+// the data sources or their retry delays.
+const BLOCK_LOOKUPS = {
+    details: getInscriptionDetailsCached,
+    preview: getInscriptionContentPreview,
+    content: getInscriptionContentCached,
+    transactionOutputs: getTransactionOutputsCached,
+    genesisAddress: getGenesisAddressCached,
+    tracedAddress: traceAddressAtHeight,
+    children: getInscriptionChildren,
+    blockOutputValues: getBlockOutputValues,
+    transactionCount: getBlockTransactionCount
+};
+
+// Preview processInscription classifies inscriptions with
+const CLASSIFY_PREVIEW_LENGTH = 100;
+
+// Lookups of the block whose transaction is open; prefetches of later blocks run outside it
+const commitLookups = new AsyncLocalStorage();
+
+function lookupKey(name, args) {
+    return `${name}:${args.join(':')}`;
+}
+
+// Read a lookup: from the block's fetched lookups while it is committed, from the data sources otherwise
+async function readLookup(name, ...args) {
+    const lookups = commitLookups.getStore();
+    if (!lookups) {
+        return BLOCK_LOOKUPS[name](...args);
+    }
+    
+    const key = lookupKey(name, args);
+    if (!lookups.has(key)) {
+        throw new Error(`${key} was not fetched before the block's transaction opened`);
+    }
+    return lookups.get(key);
+}
+
+// Lookup bound to a name, for the processors
+function lookupFunction(name) {
+    return (...args) => readLookup(name, ...args);
+}
+
+// Fetch a lookup into a block's lookups unless it is there already. A failed lookup is left
+// out, so reading it during the commit fails the block and it is retried.
+async function fetchLookup(lookups, name, ...args) {
+    const key = lookupKey(name, args);
+    if (!lookups.has(key)) {
         try {
-            processingLogger.debug(`Trying content endpoint: ${endpoint.substring(0, 50)}...`);
-            const response = await robustApiCall(endpoint, {
-                responseType: 'text'
-            });
-            
-            const content = response.data || '';
-            if (content && content.length > 0) {
-                processingLogger.debug(`Content fetched successfully (${content.length} chars): ${content.substring(0, 100)}...`);
-                apiCache.set(cacheKey, content);
-                return content;
-            }
+            lookups.set(key, await BLOCK_LOOKUPS[name](...args));
         } catch (error) {
-            processingLogger.debug(`Endpoint ${endpoint} failed: ${error.message}`);
-            continue; // Try next endpoint
+            processingLogger.debug(`Lookup ${key} failed: ${error.message}`);
         }
     }
+    return lookups.get(key);
+}
+
+// Fetch what processInscription and the processors read for one inscription
+async function fetchInscriptionLookups(lookups, inscriptionId, blockHeight) {
+    const details = await fetchLookup(lookups, 'details', inscriptionId);
+    const preview = await fetchLookup(lookups, 'preview', inscriptionId, CLASSIFY_PREVIEW_LENGTH);
+    const type = detectInscriptionType(preview);
+    if (!TRACKED_TYPES[type]) {
+        return { inscriptionId, type, content: null };
+    }
     
-    // If all endpoints fail, log the issue but return empty string to continue processing
-    processingLogger.warn(`Could not fetch content for inscription ${inscriptionId} from any endpoint after all retries`);
-    apiCache.set(cacheKey, '');
-    return '';
+    const content = await fetchLookup(lookups, 'content', inscriptionId);
+    if (content === undefined) {
+        // Not fetched: reading it during the commit fails the block
+        return { inscriptionId, type: null, content: null };
+    }
+    
+    // The reveal transaction gives the genesis location, the genesis address and mint royalties
+    await fetchLookup(lookups, 'transactionOutputs', inscriptionId.substring(0, 64));
+    await fetchLookup(lookups, 'genesisAddress', inscriptionId);
+    
+    if (type === 'brc420-deploy') {
+        const parsed = brc420Processor.parseDeployContent(content);
+        if (parsed && await getTrackedAddressAtHeight(parsed.sourceId, blockHeight) === undefined) {
+            await fetchLookup(lookups, 'tracedAddress', parsed.sourceId, blockHeight);
+        }
+        
+        // Replacing a later deploy of the source judges its mints' royalties again
+        if (parsed && details) {
+            const candidate = {
+                inscription_id: inscriptionId,
+                inscription_number: Number.isInteger(details.number) ? details.number : null,
+                block_height: blockHeight
+            };
+            for (const txid of await brc420Processor.getMintTransactionsToRejudge(parsed.sourceId, candidate)) {
+                await fetchLookup(lookups, 'transactionOutputs', txid);
+            }
+        }
+    }
+    
+    if (type === 'bitmap') {
+        const claim = bitmapProcessor.validateBitmapClaim(content, blockHeight);
+        if (claim && !claim.reason && !(await bitmapProcessor.getBitmapPattern(claim.bitmapNumber))) {
+            await fetchLookup(lookups, 'blockOutputValues', claim.bitmapNumber);
+        }
+    }
+    
+    return { inscriptionId, type, content };
+}
+
+// Fetch a parcel's parent checks: its bitmap block's transaction count and the children of the
+// stored bitmap inscription or of claims in the same block. Parcels of a bitmap above the block
+// are rejected without either.
+async function fetchParcelLookups(lookups, content, bitmapClaims, blockHeight) {
+    const parsed = bitmapProcessor.isValidParcelFormat(content) ? bitmapProcessor.parseParcelContent(content) : null;
+    if (!parsed || parsed.bitmapNumber > blockHeight) {
+        return;
+    }
+    
+    await fetchLookup(lookups, 'transactionCount', parsed.bitmapNumber);
+    
+    const stored = await bitmapProcessor.getBitmapInscriptionId(parsed.bitmapNumber);
+    const parents = new Set([stored, ...(bitmapClaims.get(parsed.bitmapNumber) || [])]);
+    for (const parent of parents) {
+        if (parent) {
+            await fetchLookup(lookups, 'children', parent);
+        }
+    }
+}
+
+// Fetch everything committing a block reads from the network into block.lookups (and the
+// transactions for the transfer scan). Runs when the block is prefetched and again right before
+// it is committed: what depends on earlier blocks (whether a source is tracked, which inscription
+// holds a parcel's bitmap, whether anything is tracked yet) is only settled once they are.
+async function fetchBlockLookups(block) {
+    const { blockHeight, blockInfo, prepared, lookups } = block;
+    const tasks = prepared
+        ? ['high', 'medium', 'low'].flatMap(priority => prepared.taskManager.taskQueues[priority])
+        : [];
+    
+    concurrencyLimit = adaptiveConcurrency.getLimit();
+    const inscriptions = await Promise.all(
+        tasks.map(task => concurrencyLimit(() => fetchInscriptionLookups(lookups, task.id, blockHeight)))
+    );
+    
+    const bitmapClaims = new Map();
+    for (const { inscriptionId, type, content } of inscriptions) {
+        const claim = type === 'bitmap' ? bitmapProcessor.validateBitmapClaim(content, blockHeight) : null;
+        if (claim && !claim.reason) {
+            bitmapClaims.set(claim.bitmapNumber, [...(bitmapClaims.get(claim.bitmapNumber) || []), inscriptionId]);
+        }
+    }
+    
+    await Promise.all(
+        inscriptions
+            .filter(inscription => inscription.type === 'parcel')
+            .map(inscription => concurrencyLimit(() => fetchParcelLookups(lookups, inscription.content.trim(), bitmapClaims, blockHeight)))
+    );
+    
+    // Block transactions are only needed once there is something to track
+    if (!block.transactions && config.TRACK_TRANSFERS && blockInfo && blockInfo.hash) {
+        const registersTracked = inscriptions.some(inscription => TRACKED_TYPES[inscription.type]);
+        if (registersTracked || await transferTracker.hasTrackedInscriptions()) {
+            block.transactions = await getBlockTransactions(blockInfo.hash);
+        }
+    }
 }
 
 // ================================
@@ -1043,27 +1175,29 @@ async function processInscription(inscriptionId, blockHeight) {
         logger.debug(`Processing inscription: ${inscriptionId} from block ${blockHeight}`);
         
         // Get inscription details with hybrid sat extraction
-        const inscriptionDetails = await getInscriptionDetailsCached(inscriptionId);
+        const inscriptionDetails = await readLookup('details', inscriptionId);
         if (!inscriptionDetails) {
             logger.warn(`No details found for inscription ${inscriptionId}`);
             return null;
         }
         
-        // Get content with fast preview
-        const contentPreview = await getInscriptionContentPreview(inscriptionId, 100);
+        // Classify content with the same fast preview used for task categorization
+        const preview = await readLookup('preview', inscriptionId, CLASSIFY_PREVIEW_LENGTH);
+        const inscriptionType = detectInscriptionType(preview);
         
         // Skip binary or non-text content early
-        if (contentPreview.isBinary) {
-            logger.debug(`Skipping binary inscription ${inscriptionId}`);
+        if (inscriptionType === 'binary' || inscriptionType === 'unknown') {
+            logger.debug(`Skipping ${inscriptionType} inscription ${inscriptionId}`);
             return null;
         }
         
-        const fullContent = contentPreview.isBrc420 || contentPreview.isBitmap 
-            ? await getInscriptionContentCached(inscriptionId)
-            : contentPreview.preview;
+        const needsFullContent = ['brc420-deploy', 'brc420-mint', 'bitmap', 'parcel'].includes(inscriptionType);
+        const fullContent = needsFullContent 
+            ? await readLookup('content', inscriptionId)
+            : preview;
         
         // Process BRC-420 deploy
-        if (contentPreview.isBrc420 && fullContent.includes('"op":"deploy"')) {
+        if (inscriptionType === 'brc420-deploy') {
             const deploy = await processBrc420Deploy(inscriptionId, fullContent, inscriptionDetails, blockHeight);
             if (deploy) {
                 logger.info(`✅ Processed BRC-420 deploy: ${inscriptionId}`);
@@ -1072,7 +1206,7 @@ async function processInscription(inscriptionId, blockHeight) {
         }
         
         // Process BRC-420 mint  
-        if (contentPreview.isBrc420 && fullContent.includes('"op":"mint"')) {
+        if (inscriptionType === 'brc420-mint') {
             const mint = await processBrc420Mint(inscriptionId, fullContent, inscriptionDetails, blockHeight);
             if (mint) {
                 logger.info(`✅ Processed BRC-420 mint: ${inscriptionId}`);
@@ -1080,18 +1214,33 @@ async function processInscription(inscriptionId, blockHeight) {
             }
         }
         
-        // Process bitmap
-        if (contentPreview.isBitmap) {
-            const bitmapNumber = extractBitmapNumber(fullContent);
-            if (bitmapNumber !== null) {
-                const bitmap = await processBitmap(inscriptionId, bitmapNumber, inscriptionDetails, blockHeight);
-                if (bitmap) {
-                    logger.info(`✅ Processed bitmap: ${inscriptionId} (#${bitmapNumber})`);
-                    processed = true;
-                }
+        // Process bitmap (the raw content is validated: surrounding whitespace invalidates a claim)
+        if (inscriptionType === 'bitmap') {
+            const bitmap = await processBitmap(inscriptionId, fullContent, blockHeight);
+            if (bitmap) {
+                logger.info(`✅ Processed bitmap: ${inscriptionId} (#${bitmap.bitmap_number})`);
+                processed = true;
+            }
+        }
+        
+        // Process parcel (validated against the parent bitmap and its block's transaction count)
+        if (inscriptionType === 'parcel') {
+            const parcel = await bitmapProcessor.processBitmapOrParcel(
+                fullContent.trim(), inscriptionId, blockHeight, lookupFunction('transactionCount')
+            );
+            if (parcel) {
+                logger.info(`✅ Processed parcel: ${inscriptionId} (${fullContent.trim()})`);
+                processed = true;
             }
         }
         
+        if (processed) {
+            // Ownership is followed from the genesis location for every indexed inscription
+            await transferTracker.recordGenesis(
+                inscriptionId, TRACKED_TYPES[inscriptionType], inscriptionDetails, blockHeight
+            );
+        }
+        
         return processed ? { inscriptionId, type: 'processed' } : null;
         
     } catch (error) {
@@ -1100,188 +1249,43 @@ async function processInscription(inscriptionId, blockHeight) {
     }
 }
 
-// Process BRC-420 deploy transaction
+// Inscription types whose ownership is tracked, keyed by detectInscriptionType result
+const TRACKED_TYPES = {
+    'brc420-deploy': 'deploy',
+    'brc420-mint': 'mint',
+    'bitmap': 'bitmap',
+    'parcel': 'parcel'
+};
+
+// Process BRC-420 deploy (source ownership and first-deploy-wins checks live in Brc420Processor).
+// Invalid deploys return null; errors (e.g. the source could not be traced) propagate so the
+// block is retried rather than the deploy rejected.
 async function processBrc420Deploy(inscriptionId, content, inscriptionDetails, blockHeight) {
-    try {
-        const data = JSON.parse(content);
-        
-        if (data.p !== 'brc-420' || data.op !== 'deploy') {
-            return null;
-        }
-        
-        // Enhanced validation based on Python indexer
-        const deployerAddress = await getDeployerAddressCached(inscriptionId);
-        
-        const deployData = {
-            inscription_id: inscriptionId,
-            tick: data.tick,
-            max: data.max ? parseInt(data.max) : null,
-            lim: data.lim ? parseInt(data.lim) : null,
-            dec: data.dec ? parseInt(data.dec) : 18,
-            deployer: deployerAddress,
-            block_height: blockHeight,
-            sat_number: inscriptionDetails.sat || null,
-            deploy_data: JSON.stringify(data)
-        };
-        
-        // Save to database
-        await saveBrc420Deploy(deployData);
-        return deployData;
-        
-    } catch (error) {
-        logger.debug(`Invalid BRC-420 deploy content for ${inscriptionId}: ${error.message}`);
-        return null;
-    }
+    return brc420Processor.processDeploy(inscriptionId, content, inscriptionDetails, blockHeight);
 }
 
-// Process BRC-420 mint transaction
+// Process BRC-420 mint (deploy lookup and royalty checks live in Brc420Processor; supply is
+// assigned per block once all of its inscriptions are processed). Errors propagate and fail
+// the block, so mints whose transaction could not be fetched are retried with the whole
+// block rather than stored as invalid or dropped.
 async function processBrc420Mint(inscriptionId, content, inscriptionDetails, blockHeight) {
-    try {
-        const data = JSON.parse(content);
-        
-        if (data.p !== 'brc-420' || data.op !== 'mint') {
-            return null;
-        }
-        
-        const mintData = {
-            inscription_id: inscriptionId,
-            tick: data.tick,
-            amt: data.amt ? parseInt(data.amt) : null,
-            block_height: blockHeight,
-            sat_number: inscriptionDetails.sat || null,
-            mint_data: JSON.stringify(data)
-        };
-        
-        await saveBrc420Mint(mintData);
-        return mintData;
-        
-    } catch (error) {
-        logger.debug(`Invalid BRC-420 mint content for ${inscriptionId}: ${error.message}`);
-        return null;
-    }
+    return brc420Processor.processMint(inscriptionId, content, inscriptionDetails, blockHeight);
 }
 
-// Process bitmap inscription with enhanced validation
-async function processBitmap(inscriptionId, bitmapNumber, inscriptionDetails, blockHeight) {
-    try {
-        // Enhanced bitmap validation (Python indexer logic)
-        if (!isValidBitmapNumber(bitmapNumber.toString())) {
-            logger.debug(`Invalid bitmap number format: ${bitmapNumber}`);
-            return null;
-        }
-        
-        // Generate unlimited transaction patterns using BitmapProcessor
-        const transactionPatterns = await bitmapProcessor.generateTransactionPatterns(bitmapNumber);
-        
-        const bitmapData = {
-            inscription_id: inscriptionId,
-            bitmap_number: bitmapNumber,
-            block_height: blockHeight,
-            sat_number: inscriptionDetails.sat || null,
-            transaction_patterns: JSON.stringify(transactionPatterns),
-            pattern_metadata: JSON.stringify({
-                pattern_count: transactionPatterns.length,
-                generated_at: new Date().toISOString(),
-                unlimited_generation: true
-            })
-        };
-        
-        await saveBitmap(bitmapData);
-        return bitmapData;
-        
-    } catch (error) {
-        logger.error(`Error processing bitmap ${bitmapNumber}:`, error.message);
-        return null;
-    }
+// Process bitmap claim. Invalid claims (format, or a number above the inscription's block
+// height) and losing duplicates are recorded in bitmap_rejected_claims with a reason code.
+// Database errors propagate so the block is retried rather than the claim silently dropped.
+async function processBitmap(inscriptionId, content, blockHeight) {
+    return bitmapProcessor.processBitmapInscription(content, inscriptionId, blockHeight);
 }
 
 // ================================
 // DATABASE OPERATIONS
 // ================================
 
-async function saveBrc420Deploy(deployData) {
-    return new Promise((resolve, reject) => {
-        const stmt = db.prepare(`
-            INSERT OR REPLACE INTO brc420_deploys 
-            (inscription_id, tick, max_supply, limit_per_mint, decimals, deployer, 
-             block_height, sat_number, deploy_data, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
-        `);
-        
-        stmt.run([
-            deployData.inscription_id,
-            deployData.tick,
-            deployData.max,
-            deployData.lim,
-            deployData.dec,
-            deployData.deployer,
-            deployData.block_height,
-            deployData.sat_number,
-            deployData.deploy_data
-        ], function(err) {
-            if (err) {
-                reject(err);
-            } else {
-                resolve(this.changes);
-            }
-        });
-    });
-}
-
-async function saveBrc420Mint(mintData) {
-    return new Promise((resolve, reject) => {
-        const stmt = db.prepare(`
-            INSERT OR REPLACE INTO brc420_mints 
-            (inscription_id, tick, amount, block_height, sat_number, mint_data, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
-        `);
-        
-        stmt.run([
-            mintData.inscription_id,
-            mintData.tick,
-            mintData.amt,
-            mintData.block_height,
-            mintData.sat_number,
-            mintData.mint_data
-        ], function(err) {
-            if (err) {
-                reject(err);
-            } else {
-                resolve(this.changes);
-            }
-        });
-    });
-}
-
-async function saveBitmap(bitmapData) {
-    return new Promise((resolve, reject) => {
-        const stmt = db.prepare(`
-            INSERT OR REPLACE INTO bitmaps 
-            (inscription_id, bitmap_number, block_height, sat_number, 
-             transaction_patterns, pattern_metadata, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
-        `);
-        
-        stmt.run([
-            bitmapData.inscription_id,
-            bitmapData.bitmap_number,
-            bitmapData.block_height,
-            bitmapData.sat_number,
-            bitmapData.transaction_patterns,
-            bitmapData.pattern_metadata
-        ], function(err) {
-            if (err) {
-                reject(err);
-            } else {
-                resolve(this.changes);
-            }
-        });
-    });
-}
-
 async function saveFailedInscription(inscriptionId, blockHeight, errorMessage) {
     return new Promise((resolve, reject) => {
-        const stmt = db.prepare(`
+        const stmt = StatementCache.forDatabase(db).prepare(`
             INSERT OR REPLACE INTO failed_inscriptions 
             (inscription_id, block_height, error_message, created_at)
             VALUES (?, ?, ?, datetime('now'))
@@ -1301,45 +1305,107 @@ async function saveFailedInscription(inscriptionId, blockHeight, errorMessage) {
 // BLOCK PROCESSING LOGIC
 // ================================
 
-// Process a single block completely
-async function processBlock(blockHeight) {
-    logger.info(`🔍 Processing block ${blockHeight}`);
+// Fetch everything a block needs from the data sources without writing to the database.
+// The block pipeline runs this for several blocks ahead of the commit position.
+async function prefetchBlock(blockHeight) {
+    // Record the block hash so later blocks can verify the chain links. A block stored without
+    // one would break that check for its successor and the fork search, so it fails instead.
+    const blockInfo = await getBlockInfo(blockHeight, { useCache: false });
+    if (!blockInfo || !blockInfo.hash) {
+        throw new Error(`Block hash unavailable for block ${blockHeight}`);
+    }
+    
+    // Get all inscriptions for this block with unlimited pagination
+    const inscriptionIds = await getInscriptionsForBlock(blockHeight);
+    const prepared = inscriptionIds.length > 0
+        ? await prepareBlockInscriptions(inscriptionIds, blockHeight)
+        : null;
+    
+    const block = { blockHeight, blockInfo, inscriptionIds, prepared, lookups: new Map(), transactions: null };
+    await fetchBlockLookups(block);
+    return block;
+}
+
+// Run a block's writes as one SQLite transaction: either everything including the
+// processed_blocks row is stored, or nothing is and the block is retried
+async function inBlockTransaction(blockHeight, work) {
+    const statements = StatementCache.forDatabase(db);
+    await statements.run('BEGIN IMMEDIATE');
     
     try {
-        // Get all inscriptions for this block with unlimited pagination
-        const inscriptionIds = await getInscriptionsForBlock(blockHeight);
-        
-        if (inscriptionIds.length === 0) {
-            logger.info(`📭 Block ${blockHeight}: No inscriptions found`);
-            await markBlockAsProcessed(blockHeight, 0, 0, 0);
-            return { blockHeight, processed: 0, skipped: 0, errors: 0 };
-        }
-        
-        logger.info(`📋 Block ${blockHeight}: Found ${inscriptionIds.length} inscriptions, starting optimized processing`);
-        
-        // Process all inscriptions with optimized pipeline
-        const results = await processAllInscriptionsCompletely(inscriptionIds, blockHeight);
-        
-        // Count results
-        let processed = 0, skipped = 0, errors = 0;
-        
-        for (const result of results) {
-            if (result.status === 'fulfilled') {
-                if (result.value) {
-                    processed++;
-                } else {
-                    skipped++;
-                }
+        const result = await work();
+        await statements.run('COMMIT');
+        return result;
+    } catch (error) {
+        await statements.run('ROLLBACK').catch(rollbackError => {
+            logger.error(`Rollback failed for block ${blockHeight}:`, { message: rollbackError.message });
+        });
+        throw error;
+    }
+}
+
+// Write a prefetched block: inscriptions, mint ranking, transfers and the processed_blocks row.
+// Must be called in strict height order (bitmap first-wins and parcel tie-breakers depend on it).
+async function commitBlock(block) {
+    // Settle the lookups that depend on blocks committed since this one was prefetched; the
+    // transaction itself only reads what is fetched by now
+    await fetchBlockLookups(block);
+    return commitLookups.run(block.lookups, () => inBlockTransaction(block.blockHeight, () => writeBlock(block)));
+}
+
+async function writeBlock(block) {
+    const { blockHeight, blockInfo, inscriptionIds, prepared, transactions } = block;
+    
+    if (inscriptionIds.length === 0) {
+        logger.info(`📭 Block ${blockHeight}: No inscriptions found`);
+        await trackBlockTransfers(blockHeight, blockInfo, transactions);
+        await markBlockAsProcessed(blockHeight, 0, 0, 0, blockInfo);
+        return { blockHeight, processed: 0, skipped: 0, errors: 0 };
+    }
+    
+    logger.info(`📋 Block ${blockHeight}: Found ${inscriptionIds.length} inscriptions, starting optimized processing`);
+    
+    // Process all inscriptions with optimized pipeline
+    const results = await processPreparedInscriptions(prepared);
+    
+    // Mints are processed concurrently, so supply is assigned in inscription order afterwards
+    await brc420Processor.rankBlockMints(blockHeight);
+    
+    // Bitmap claims race the same way; a claim that lost must not stay tracked
+    await bitmapProcessor.pruneRejectedClaimTracking(blockHeight);
+    
+    // Runs after this block's inscriptions are registered so same-block transfers are seen
+    await trackBlockTransfers(blockHeight, blockInfo, transactions);
+    
+    // Count results
+    let processed = 0, skipped = 0, errors = 0;
+    
+    for (const result of results) {
+        if (result.status === 'fulfilled') {
+            if (result.value) {
+                processed++;
             } else {
-                errors++;
+                skipped++;
             }
+        } else {
+            errors++;
         }
-        
-        // Mark block as processed
-        await markBlockAsProcessed(blockHeight, processed, skipped, errors);
-        
-        logger.info(`✅ Block ${blockHeight} complete: ${processed} processed, ${skipped} skipped, ${errors} errors`);
-        return { blockHeight, processed, skipped, errors };
+    }
+    
+    // Mark block as processed
+    await markBlockAsProcessed(blockHeight, processed, skipped, errors, blockInfo);
+    
+    logger.info(`✅ Block ${blockHeight} complete: ${processed} processed, ${skipped} skipped, ${errors} errors`);
+    return { blockHeight, processed, skipped, errors };
+}
+
+// Process a single block sequentially, from data the pipeline prefetched when given
+async function processBlock(blockHeight, prefetched = null) {
+    logger.info(`🔍 Processing block ${blockHeight}`);
+    
+    try {
+        const block = prefetched || await prefetchBlock(blockHeight);
+        return await commitBlock(block);
         
     } catch (error) {
         logger.error(`❌ Error processing block ${blockHeight}:`, { message: error.message });
@@ -1347,16 +1413,42 @@ async function processBlock(blockHeight) {
     }
 }
 
-async function markBlockAsProcessed(blockHeight, processed, skipped, errors) {
+// Record transfers of tracked inscriptions spent in this block (transactions come from fetchBlockLookups)
+async function trackBlockTransfers(blockHeight, blockInfo, transactions) {
+    if (!config.TRACK_TRANSFERS || !(await transferTracker.hasTrackedInscriptions())) {
+        return 0;
+    }
+    
+    if (!blockInfo || !blockInfo.hash) {
+        throw new Error(`Block hash unavailable for block ${blockHeight}, cannot scan transfers`);
+    }
+    
+    if (!transactions) {
+        throw new Error(`Transactions unavailable for block ${blockHeight}, cannot scan transfers`);
+    }
+    
+    return transferTracker.processBlockTransfers(blockHeight, transactions, blockInfo.timestamp);
+}
+
+async function markBlockAsProcessed(blockHeight, processed, skipped, errors, blockInfo) {
     return new Promise((resolve, reject) => {
-        const stmt = db.prepare(`
+        const stmt = StatementCache.forDatabase(db).prepare(`
             INSERT OR REPLACE INTO processed_blocks 
-            (block_height, inscriptions_processed, inscriptions_skipped, 
-             inscriptions_errors, processed_at)
-            VALUES (?, ?, ?, ?, datetime('now'))
+            (block_height, block_hash, previous_hash, transaction_count, block_timestamp,
+             inscriptions_processed, inscriptions_skipped, inscriptions_errors, processed_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
         `);
         
-        stmt.run([blockHeight, processed, skipped, errors], function(err) {
+        stmt.run([
+            blockHeight,
+            blockInfo.hash,
+            blockInfo.previous_hash,
+            blockInfo.transaction_count,
+            blockInfo.timestamp,
+            processed,
+            skipped,
+            errors
+        ], function(err) {
             if (err) {
                 reject(err);
             } else {
@@ -1366,13 +1458,46 @@ async function markBlockAsProcessed(blockHeight, processed, skipped, errors) {
     });
 }
 
+// ================================
+// CHECKPOINT RESUME AND GAP BACKFILL
+// ================================
+
+// Decide where to resume from processed_blocks. Blocks above a gap are rolled back so the gap
+// and everything after it are indexed again in height order, each checked against its parent
+// hash by the main loop like any new block.
+async function resumeFromCheckpoint(startBlock) {
+    const decision = await checkpointManager.getResumeDecision(startBlock);
+    checkpointManager.logResumeDecision(decision);
+    
+    if (decision.gaps.length > 0) {
+        await reorgManager.rollbackAbove(decision.resume_block - 1);
+        apiCache.clear();
+    }
+    
+    return decision.resume_block;
+}
+
+// ================================
+// CHAIN REORGANIZATION HANDLING
+// ================================
+
+// Roll back everything above the fork point and drop cached block/inscription data
+async function handleReorg(forkHeight) {
+    logger.warn(`🔀 Chain reorganization detected, fork point at block ${forkHeight}`);
+    
+    await reorgManager.rollbackAbove(forkHeight);
+    apiCache.clear();
+    
+    logger.info(`🔁 Re-indexing from block ${forkHeight + 1}`);
+}
+
 // ================================
 // DATABASE INITIALIZATION
 // ================================
 
 function initDatabase() {
     return new Promise((resolve, reject) => {
-        // Check if we have a global database connection from server.js
+        // Check if we have a global database connection from server.js (already migrated there)
         if (global.db) {
             logger.info('📊 Using shared database connection from server');
             db = global.db;
@@ -1390,84 +1515,15 @@ function initDatabase() {
             
             logger.info('📊 Connected to SQLite database');
             
-            // Create tables
-            db.serialize(() => {
-                // BRC-420 deploys table
-                db.run(`
-                    CREATE TABLE IF NOT EXISTS brc420_deploys (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        inscription_id TEXT UNIQUE NOT NULL,
-                        tick TEXT NOT NULL,
-                        max_supply INTEGER,
-                        limit_per_mint INTEGER,
-                        decimals INTEGER DEFAULT 18,
-                        deployer TEXT,
-                        block_height INTEGER,
-                        sat_number INTEGER,
-                        deploy_data TEXT,
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                    )
-                `);
-                
-                // BRC-420 mints table
-                db.run(`
-                    CREATE TABLE IF NOT EXISTS brc420_mints (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        inscription_id TEXT UNIQUE NOT NULL,
-                        tick TEXT NOT NULL,
-                        amount INTEGER,
-                        block_height INTEGER,
-                        sat_number INTEGER,
-                        mint_data TEXT,
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                    )
-                `);
-                
-                // Bitmaps table
-                db.run(`
-                    CREATE TABLE IF NOT EXISTS bitmaps (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        inscription_id TEXT UNIQUE NOT NULL,
-                        bitmap_number INTEGER NOT NULL,
-                        block_height INTEGER,
-                        sat_number INTEGER,
-                        transaction_patterns TEXT,
-                        pattern_metadata TEXT,
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                    )
-                `);
-                
-                // Processed blocks table
-                db.run(`
-                    CREATE TABLE IF NOT EXISTS processed_blocks (
-                        block_height INTEGER PRIMARY KEY,
-                        inscriptions_processed INTEGER DEFAULT 0,
-                        inscriptions_skipped INTEGER DEFAULT 0,
-                        inscriptions_errors INTEGER DEFAULT 0,
-                        processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                    )
-                `);
-                
-                // Failed inscriptions table
-                db.run(`
-                    CREATE TABLE IF NOT EXISTS failed_inscriptions (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        inscription_id TEXT NOT NULL,
-                        block_height INTEGER,
-                        error_message TEXT,
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                    )
-                `);
-                
-                // Create indexes for better performance
-                db.run(`CREATE INDEX IF NOT EXISTS idx_brc420_deploys_tick ON brc420_deploys(tick)`);
-                db.run(`CREATE INDEX IF NOT EXISTS idx_brc420_mints_tick ON brc420_mints(tick)`);
-                db.run(`CREATE INDEX IF NOT EXISTS idx_bitmaps_number ON bitmaps(bitmap_number)`);
-                db.run(`CREATE INDEX IF NOT EXISTS idx_blocks_height ON processed_blocks(block_height)`);
-                
-                logger.info('✅ Database tables initialized');
-                resolve();
-            });
+            // The web server may be migrating the same file concurrently
+            db.configure('busyTimeout', 30000);
+            
+            migrations.migrate(db, logger)
+                .then(() => {
+                    logger.info('✅ Database schema is up to date');
+                    resolve();
+                })
+                .catch(reject);
         });
     });
 }
@@ -1519,28 +1575,55 @@ async function testLocalApiSatIndexing() {
 async function startUnlimitedIndexing() {
     logger.info('🚀 Starting UNLIMITED BRC-420 & Bitmap Indexer for complete Bitcoin indexing');
     logger.info(`📡 API URL: ${API_URL}`);
-    logger.info(`🎯 Starting from block: ${currentBlock}`);
+    logger.info(`🎯 Configured start block: ${currentBlock}`);
     logger.info('♾️ NO LIMITS: Will process all blocks until manually stopped');
     
     try {
         await initDatabase();
         
+        getDataSources();
+        
+        // Network reads go through the block lookups (see readLookup)
         bitmapProcessor = new BitmapProcessor(
-            db, logger, processingLogger, API_URL, 
-            getInscriptionDetailsCached, getDeployerAddressCached
+            db, logger, processingLogger, lookupFunction('children'),
+            lookupFunction('details'), lookupFunction('genesisAddress'), lookupFunction('blockOutputValues')
+        );
+        
+        brc420Processor = new Brc420Processor(
+            db, logger, processingLogger, lookupFunction('details'),
+            lookupFunction('genesisAddress'), getAddressAtHeight, lookupFunction('transactionOutputs')
         );
         
         if (useLocalAPI) {
             await testLocalApiSatIndexing();
         }
         
+        transferTracker = new TransferTracker(db, logger, lookupFunction('transactionOutputs'), getTransactionCached);
+        
+        checkpointManager = new CheckpointManager(db, logger);
+        reorgManager = new ReorgManager(db, logger, getBlockInfo, config.MAX_REORG_DEPTH);
+        syncStatus = new SyncStatus(db, logger);
+        
+        const pipeline = new BlockPipeline(prefetchBlock, config.PIPELINE_LOOKAHEAD, logger);
+        logger.info(`🚚 Block pipeline lookahead: ${config.PIPELINE_LOOKAHEAD} block(s)`);
+        
+        if (config.RESUME_FROM_CHECKPOINT) {
+            currentBlock = await resumeFromCheckpoint(currentBlock);
+        } else {
+            logger.info(`📍 Checkpoint resume disabled, starting at block ${currentBlock}`);
+        }
+        
         let consecutiveErrors = 0;
         let totalProcessed = 0;
         const maxConsecutiveErrors = 10; // Allow more retries for network issues
         const startTime = Date.now();
+        let tipHeight = null;
+        let targetHeight = null;
+        
+        await syncStatus.update({ status: 'syncing', current_block: currentBlock, confirmation_depth: config.CONFIRMATION_DEPTH });
         
         // NO arbitrary limits - run until manually stopped or fatal error
-        while (consecutiveErrors < maxConsecutiveErrors) {
+        while (consecutiveErrors < maxConsecutiveErrors && !global.shutdownRequested) {
             const blockStartTime = Date.now();
             
             try {
@@ -1560,21 +1643,70 @@ async function startUnlimitedIndexing() {
                     await new Promise(resolve => setTimeout(resolve, 5000));
                 }
                 
-                const result = await processBlock(currentBlock);
-                const blockProcessingTime = Date.now() - blockStartTime;
+                // Only refresh the tip once we reach the last known target height
+                if (targetHeight === null || currentBlock > targetHeight) {
+                    ({ tipHeight, targetHeight } = await getTargetHeight());
+                }
                 
-                await markBlockAsProcessed(
-                    currentBlock, 
-                    result.processed || 0, 
-                    result.skipped || 0, 
-                    result.errors || 0,
-                    blockProcessingTime
-                );
+                if (currentBlock > targetHeight) {
+                    // Caught up: wait for new blocks instead of running past the tip
+                    await syncStatus.update({
+                        status: 'live',
+                        current_block: currentBlock - 1,
+                        tip_height: tipHeight,
+                        target_height: targetHeight,
+                        blocks_behind: 0
+                    });
+                    
+                    // Use idle time to retry bitmap patterns whose block data was unavailable
+                    await bitmapProcessor.fillMissingPatterns().catch(error => {
+                        logger.warn(`Pattern backfill failed: ${error.message}`);
+                    });
+                    
+                    await new Promise(resolve => setTimeout(resolve, config.TIP_POLL_INTERVAL));
+                    consecutiveErrors = 0;
+                    continue;
+                }
+                
+                // Verify the new block builds on the stored parent hash before indexing it
+                const reorg = await reorgManager.checkChainLink(currentBlock);
+                if (reorg) {
+                    pipeline.reset();
+                    await handleReorg(reorg.forkHeight);
+                    currentBlock = reorg.forkHeight + 1;
+                    continue;
+                }
+                
+                let prefetched = await pipeline.take(currentBlock, targetHeight);
+                
+                // Data fetched ahead belongs to whatever block held this height at the time. Bypass the
+                // cache: it holds the prefetch's own entry, which would always match. A hash that cannot
+                // be fetched now proves nothing, so the block is fetched again (and fails without one).
+                const currentInfo = await getBlockInfo(currentBlock, { useCache: false });
+                if (!currentInfo || !prefetched.blockInfo || currentInfo.hash !== prefetched.blockInfo.hash) {
+                    logger.warn(currentInfo
+                        ? `⚠️ Block ${currentBlock} changed since it was prefetched, fetching it again`
+                        : `⚠️ Could not confirm block ${currentBlock} is unchanged since it was prefetched, fetching it again`);
+                    pipeline.reset();
+                    prefetched = null;
+                }
+                
+                await processBlock(currentBlock, prefetched);
+                const blockProcessingTime = Date.now() - blockStartTime;
                 
                 consecutiveErrors = 0;
                 totalProcessed++;
                 currentBlock++;
                 
+                const blocksBehind = Math.max(0, targetHeight - currentBlock + 1);
+                await syncStatus.update({
+                    status: blocksBehind > 0 ? 'syncing' : 'live',
+                    current_block: currentBlock - 1,
+                    tip_height: tipHeight,
+                    target_height: targetHeight,
+                    blocks_behind: blocksBehind
+                });
+                
                 // Progress logging (no limits mentioned)
                 if (currentBlock % 100 === 0) {
                     const cacheStats = apiCache.getStats();
@@ -1584,10 +1716,13 @@ async function startUnlimitedIndexing() {
                     logger.info(`📈 Progress: Block ${currentBlock} | Processed: ${totalProcessed} blocks | Runtime: ${runtimeHours.toFixed(1)}h | Speed: ${blocksPerHour.toFixed(0)} blocks/h | Cache: ${cacheStats.size} entries (${cacheStats.hitRate}) | Memory: ${Math.round(memoryMB)}MB`);
                 }
                 
-                // Adaptive delay based on processing time (no fixed limits)
-                const baseDelay = 50; // Faster base delay for efficiency
-                const adaptiveDelay = Math.min(baseDelay + Math.max(0, blockProcessingTime - 1000), 2000);
-                await new Promise(resolve => setTimeout(resolve, adaptiveDelay));
+                // Adaptive delay based on processing time (sequential mode only; the pipeline
+                // already bounds outstanding work through its lookahead window)
+                if (config.PIPELINE_LOOKAHEAD === 0) {
+                    const baseDelay = 50; // Faster base delay for efficiency
+                    const adaptiveDelay = Math.min(baseDelay + Math.max(0, blockProcessingTime - 1000), 2000);
+                    await new Promise(resolve => setTimeout(resolve, adaptiveDelay));
+                }
                 
             } catch (error) {
                 consecutiveErrors++;
@@ -1614,6 +1749,8 @@ async function startUnlimitedIndexing() {
             }
         }
         
+        await syncStatus.update({ status: 'stopped' });
+        
         // Final statistics (no mention of limits)
         const finalRuntime = (Date.now() - startTime) / (1000 * 60);
         const finalMemory = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
@@ -1654,13 +1791,15 @@ async function startUnlimitedIndexing() {
         }
         
         if (db) {
-            // Ensure all pending writes complete before closing
-            db.run('PRAGMA wal_checkpoint(FULL)', (err) => {
-                if (err) logger.warn('WAL checkpoint warning:', err.message);
-                
-                db.close((err) => {
-                    if (err) logger.error('Database close error:', err);
-                    else logger.info('📊 Database closed safely with all data preserved');
+            // Ensure all pending writes complete before closing (cached statements block the close)
+            StatementCache.forDatabase(db).finalize().then(() => {
+                db.run('PRAGMA wal_checkpoint(FULL)', (err) => {
+                    if (err) logger.warn('WAL checkpoint warning:', err.message);
+                    
+                    db.close((err) => {
+                        if (err) logger.error('Database close error:', err);
+                        else logger.info('📊 Database closed safely with all data preserved');
+                    });
                 });
             });
         }
@@ -1718,18 +1857,20 @@ function setupGracefulShutdown() {
             if (db) {
                 // Force WAL checkpoint to ensure all data is written
                 logger.info('📊 Ensuring all database writes are committed...');
-                db.run('PRAGMA wal_checkpoint(FULL)', (err) => {
-                    if (err) logger.warn('WAL checkpoint warning:', err.message);
-                    
-                    db.close((err) => {
-                        if (err) {
-                            logger.error('Database close error:', err);
-                        } else {
-                            logger.info('📊 Database closed safely - all data preserved');
-                        }
+                StatementCache.forDatabase(db).finalize().then(() => {
+                    db.run('PRAGMA wal_checkpoint(FULL)', (err) => {
+                        if (err) logger.warn('WAL checkpoint warning:', err.message);
                         
-                        logger.info('✅ Graceful shutdown complete - indexing progress saved');
-                        process.exit(0);
+                        db.close((err) => {
+                            if (err) {
+                                logger.error('Database close error:', err);
+                            } else {
+                                logger.info('📊 Database closed safely - all data preserved');
+                            }
+                            
+                            logger.info('✅ Graceful shutdown complete - indexing progress saved');
+                            process.exit(0);
+                        });
                     });
                 });
             } else {
@@ -1756,6 +1897,8 @@ module.exports = {
     getInscriptionDetailsCached,
     getInscriptionContentCached,
     getInscriptionContentPreview,
+    getBlockInfo,
+    getBlockTransactionCount,
     AdaptiveMemorySafeCache
 };
 
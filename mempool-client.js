@@ -0,0 +1,232 @@
+// mempool.space / Esplora REST client with failover across the discovered endpoints.
+// Covers blocks and transactions only: the indexer derives every address it records from
+// transaction outputs, and the web API answers address queries from the local database, so
+// nothing would call Esplora's /address endpoints (on the public fallback, a per-request
+// call to a third party).
+const axios = require('axios');
+
+// Esplora pages block transactions 25 at a time
+const BLOCK_TXS_PAGE_SIZE = 25;
+
+// How long an endpoint that failed is skipped before it is tried again
+const ENDPOINT_COOLDOWN_MS = 60000;
+
+class MempoolApiError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'MempoolApiError';
+        this.status = status;
+    }
+}
+
+class MempoolClient {
+    /**
+     * @param {Array<string>} endpoints - Base URLs in preference order (config.getMempoolApiEndpoints())
+     * @param {Object} logger - Logger (defaults to console)
+     * @param {Object} options - {timeout, maxRetries}
+     */
+    constructor(endpoints, logger = console, options = {}) {
+        this.endpoints = [...endpoints];
+        this.logger = logger;
+        this.timeout = options.timeout || 30000;
+        this.maxRetries = options.maxRetries || 2;
+        this.activeIndex = 0;
+        this.failedUntil = new Map();
+    }
+
+    // ================================
+    // TRANSPORT
+    // ================================
+
+    /**
+     * Endpoints in the order they should be tried: the last working one first,
+     * then the rest, with endpoints still cooling down after a failure moved to the end
+     * @returns {Array<string>}
+     */
+    getEndpointOrder() {
+        const now = Date.now();
+        const rotated = [
+            ...this.endpoints.slice(this.activeIndex),
+            ...this.endpoints.slice(0, this.activeIndex)
+        ];
+        const healthy = rotated.filter(endpoint => (this.failedUntil.get(endpoint) || 0) <= now);
+        const coolingDown = rotated.filter(endpoint => (this.failedUntil.get(endpoint) || 0) > now);
+        return [...healthy, ...coolingDown];
+    }
+
+    /**
+     * GETs a path from the first endpoint that answers
+     * @param {string} path - API path starting with /
+     * @param {Object} options - axios options (e.g. responseType)
+     * @returns {Promise<*>} - Response body
+     */
+    async get(path, options = {}) {
+        if (this.endpoints.length === 0) {
+            throw new MempoolApiError('No mempool API endpoints configured');
+        }
+
+        let lastError = null;
+
+        for (const endpoint of this.getEndpointOrder()) {
+            try {
+                const data = await this.getFromEndpoint(endpoint, path, options);
+                this.failedUntil.delete(endpoint);
+
+                const index = this.endpoints.indexOf(endpoint);
+                if (index !== this.activeIndex) {
+                    this.logger.info(`Mempool API now using ${endpoint}`);
+                    this.activeIndex = index;
+                }
+                return data;
+
+            } catch (error) {
+                // Prefer reporting an HTTP answer (e.g. 404) over a later connection failure
+                if (!lastError || !lastError.status) {
+                    lastError = error;
+                }
+                this.failedUntil.set(endpoint, Date.now() + ENDPOINT_COOLDOWN_MS);
+                this.logger.debug(`Mempool endpoint ${endpoint} failed for ${path}: ${error.message}`);
+            }
+        }
+
+        throw new MempoolApiError(`All mempool endpoints failed for ${path}: ${lastError.message}`,
+            lastError.status || null);
+    }
+
+    /**
+     * GETs a path from one endpoint, retrying transient failures
+     * @param {string} endpoint - Base URL
+     * @param {string} path - API path
+     * @param {Object} options - axios options
+     * @returns {Promise<*>} - Response body
+     */
+    async getFromEndpoint(endpoint, path, options = {}) {
+        for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+            try {
+                const response = await axios.get(`${endpoint}${path}`, {
+                    ...options,
+                    timeout: this.timeout,
+                    headers: {
+                        'Accept': 'application/json',
+                        'User-Agent': 'BRC-420-Complete-Indexer/1.0',
+                        ...options.headers
+                    }
+                });
+                return response.data;
+
+            } catch (error) {
+                const status = error.response ? error.response.status : null;
+                // Client errors will not change on retry
+                const retryable = status === null || status === 429 || status >= 500;
+
+                if (!retryable || attempt === this.maxRetries - 1) {
+                    throw new MempoolApiError(error.message, status);
+                }
+
+                const delay = Math.min(1000 * Math.pow(2, attempt), 10000);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // ================================
+    // BLOCKS
+    // ================================
+
+    async getTipHeight() {
+        const data = await this.get('/blocks/tip/height', { responseType: 'text' });
+        return parseInt(String(data).trim(), 10);
+    }
+
+    async getBlockHash(height) {
+        const data = await this.get(`/block-height/${height}`, { responseType: 'text' });
+        return String(data).trim();
+    }
+
+    /**
+     * Block header info in the shape used by the indexer
+     * @param {number} height - Block height
+     * @returns {Promise<Object>} - {height, hash, previous_hash, transaction_count, timestamp}
+     */
+    async getBlockInfo(height) {
+        const hash = await this.getBlockHash(height);
+        const block = await this.get(`/block/${hash}`);
+
+        return {
+            height,
+            hash: block.id,
+            previous_hash: block.previousblockhash || null,
+            transaction_count: Number.isInteger(block.tx_count) ? block.tx_count : null,
+            timestamp: block.timestamp || null
+        };
+    }
+
+    /**
+     * All transactions of a block in order, normalized to {txid, inputs, outputs}
+     * @param {string} blockHash - Block hash
+     * @returns {Promise<Array>} - Normalized transactions
+     */
+    async getBlockTransactions(blockHash) {
+        // Paging stops at the block's transaction count: Esplora answers a start index
+        // past the last transaction with an error, not an empty page
+        const block = await this.get(`/block/${blockHash}`);
+        if (!Number.isInteger(block.tx_count)) {
+            throw new MempoolApiError(`Unexpected response for block ${blockHash}`);
+        }
+
+        const transactions = [];
+
+        for (let startIndex = 0; startIndex < block.tx_count; startIndex += BLOCK_TXS_PAGE_SIZE) {
+            const page = await this.get(`/block/${blockHash}/txs/${startIndex}`);
+            if (!Array.isArray(page) || page.length === 0) {
+                throw new MempoolApiError(`Unexpected response for block ${blockHash} transactions`);
+            }
+
+            transactions.push(...page.map(tx => this.normalizeTransaction(tx)));
+        }
+
+        return transactions;
+    }
+
+    // ================================
+    // TRANSACTIONS
+    // ================================
+
+    async getTransaction(txid) {
+        return this.get(`/tx/${txid}`);
+    }
+
+    /**
+     * Output addresses and values of a transaction
+     * @param {string} txid - Transaction ID
+     * @returns {Promise<Array>} - [{address, value}]
+     */
+    async getTransactionOutputs(txid) {
+        const tx = await this.getTransaction(txid);
+        return this.normalizeTransaction(tx).outputs;
+    }
+
+    /**
+     * Converts an Esplora transaction to the indexer's normalized form
+     * @param {Object} tx - Esplora transaction
+     * @returns {Object} - {txid, inputs: [{txid, vout, value}], outputs: [{address, value}]}
+     */
+    normalizeTransaction(tx) {
+        return {
+            txid: tx.txid,
+            inputs: tx.vin.map(input => ({
+                txid: input.is_coinbase ? null : input.txid,
+                vout: input.is_coinbase ? null : input.vout,
+                value: input.prevout ? input.prevout.value : 0
+            })),
+            outputs: tx.vout.map(output => ({
+                address: output.scriptpubkey_address || null,
+                value: output.value
+            }))
+        };
+    }
+}
+
+MempoolClient.MempoolApiError = MempoolApiError;
+
+module.exports = MempoolClient;
@@ -0,0 +1,245 @@
+// Server-side Mondrian rendering of bitmap patterns to SVG and PNG, matching SVGMondrianGenerator in public/js/svg-mondrian.js
+// Layout comes from the shared engine (mondrian-layout.js, built from public/js/mondrian-layout.mjs)
+const zlib = require('zlib');
+const { MondrianLayout } = require('./mondrian-layout');
+
+// Same defaults as SVGMondrianGenerator.generateSVG and its renderToSVG colors
+const DEFAULT_RENDER_OPTIONS = {
+    size: 400,
+    margin: 20,
+    fill: '#000000',
+    stroke: '#ffffff',
+    background: '#ffffff'
+};
+
+const STROKE_WIDTH = 0.5;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC-32 lookup table for PNG chunk checksums
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class MondrianRenderError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MondrianRenderError';
+    }
+}
+
+class MondrianRenderer {
+    /**
+     * @param {Array<number>} squareSizes - Square sizes (1-9) in transaction order
+     * @param {Object} options - {size, margin, fill, stroke, background}; colors as #rrggbb
+     */
+    constructor(squareSizes, options = {}) {
+        if (!Array.isArray(squareSizes) || squareSizes.length === 0) {
+            throw new MondrianRenderError('No transaction data to render');
+        }
+
+        this.options = { ...DEFAULT_RENDER_OPTIONS, ...options };
+        this.layout = new MondrianLayout(squareSizes);
+
+        const { size, margin } = this.options;
+        const availableSize = size - (margin * 2);
+        this.scale = Math.min(availableSize / this.layout.width, availableSize / this.layout.height);
+    }
+
+    /**
+     * Square geometry in image pixels, rounded to one decimal as in the client-side SVG
+     * @returns {Array<Object>} - [{x, y, size}]
+     */
+    getSquares() {
+        const { margin } = this.options;
+
+        return this.layout.slots.map(slot => ({
+            x: Number((margin + slot.position.x * this.scale).toFixed(1)),
+            y: Number((margin + slot.position.y * this.scale).toFixed(1)),
+            size: Number((slot.size * this.scale).toFixed(1))
+        }));
+    }
+
+    // ================================
+    // SVG
+    // ================================
+
+    /**
+     * Renders the layout as the same optimized SVG markup the web UI generates
+     * @returns {string}
+     */
+    toSVG() {
+        const { size, fill, stroke, background } = this.options;
+
+        const shapes = this.getSquares().map(square => {
+            const x = square.x.toFixed(1);
+            const y = square.y.toFixed(1);
+            const side = square.size.toFixed(1);
+            return `<rect x="${x}" y="${y}" width="${side}" height="${side}" fill="${fill}" stroke="${stroke}" stroke-width="${STROKE_WIDTH}"/>`;
+        }).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">` +
+            `<rect width="100%" height="100%" fill="${background}"/>` +
+            shapes +
+            '</svg>';
+    }
+
+    // ================================
+    // PNG
+    // ================================
+
+    /**
+     * Rasterizes the SVG geometry (fill, then a centered stroke) with area-coverage anti-aliasing
+     * @returns {Buffer} - PNG file contents
+     */
+    toPNG() {
+        const { size, fill, stroke, background } = this.options;
+        const pixels = new Float32Array(size * size * 3);
+        const backgroundRgb = parseHexColor(background);
+        for (let i = 0; i < pixels.length; i += 3) {
+            pixels[i] = backgroundRgb[0];
+            pixels[i + 1] = backgroundRgb[1];
+            pixels[i + 2] = backgroundRgb[2];
+        }
+
+        const fillRgb = parseHexColor(fill);
+        const strokeRgb = parseHexColor(stroke);
+        const half = STROKE_WIDTH / 2;
+
+        for (const square of this.getSquares()) {
+            const left = square.x;
+            const top = square.y;
+            const right = square.x + square.size;
+            const bottom = square.y + square.size;
+
+            blendRect(pixels, size, left, top, right, bottom, fillRgb);
+
+            // Stroke as four non-overlapping bands straddling the square's edges
+            blendRect(pixels, size, left - half, top - half, right + half, top + half, strokeRgb);
+            blendRect(pixels, size, left - half, bottom - half, right + half, bottom + half, strokeRgb);
+            blendRect(pixels, size, left - half, top + half, left + half, bottom - half, strokeRgb);
+            blendRect(pixels, size, right - half, top + half, right + half, bottom - half, strokeRgb);
+        }
+
+        return encodePNG(pixels, size, size);
+    }
+}
+
+/**
+ * Parses #rrggbb into [r, g, b]
+ * @param {string} color - Hex color
+ * @returns {Array<number>}
+ */
+function parseHexColor(color) {
+    return [1, 3, 5].map(offset => parseInt(color.substr(offset, 2), 16));
+}
+
+/**
+ * Normalizes a user-supplied color (#rgb, #rrggbb, with or without #) to lowercase #rrggbb
+ * @param {string} value - Color from the query string
+ * @returns {string|null} - Normalized color or null if invalid
+ */
+function normalizeHexColor(value) {
+    const match = typeof value === 'string' && value.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) {
+        return null;
+    }
+
+    const hex = match[1].length === 3
+        ? match[1].split('').map(digit => digit + digit).join('')
+        : match[1];
+    return `#${hex.toLowerCase()}`;
+}
+
+/**
+ * Blends a solid color over the axis-aligned rectangle [x0, x1) x [y0, y1), weighting each
+ * pixel by the fraction of its area the rectangle covers
+ */
+function blendRect(pixels, width, x0, y0, x1, y1, rgb) {
+    const startX = Math.max(0, Math.floor(x0));
+    const endX = Math.min(width, Math.ceil(x1));
+    const startY = Math.max(0, Math.floor(y0));
+    const endY = Math.min(width, Math.ceil(y1));
+
+    for (let py = startY; py < endY; py++) {
+        const coverY = Math.min(py + 1, y1) - Math.max(py, y0);
+        if (coverY <= 0) continue;
+
+        for (let px = startX; px < endX; px++) {
+            const coverage = coverY * (Math.min(px + 1, x1) - Math.max(px, x0));
+            if (coverage <= 0) continue;
+
+            const index = (py * width + px) * 3;
+            pixels[index] += (rgb[0] - pixels[index]) * coverage;
+            pixels[index + 1] += (rgb[1] - pixels[index + 1]) * coverage;
+            pixels[index + 2] += (rgb[2] - pixels[index + 2]) * coverage;
+        }
+    }
+}
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32BE(crc32(typeAndData));
+
+    return Buffer.concat([length, typeAndData, checksum]);
+}
+
+/**
+ * Encodes an RGB float raster as an 8-bit truecolor PNG
+ * @param {Float32Array} pixels - width * height * 3 channel values (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Buffer}
+ */
+function encodePNG(pixels, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // truecolor RGB
+    header[10] = 0; // deflate
+    header[11] = 0; // adaptive filtering
+    header[12] = 0; // no interlace
+
+    // Every scanline is prefixed with filter type 0 (none)
+    const stride = width * 3 + 1;
+    const raw = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        for (let i = 0; i < width * 3; i++) {
+            raw[y * stride + 1 + i] = Math.round(pixels[y * width * 3 + i]);
+        }
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+MondrianRenderer.DEFAULT_RENDER_OPTIONS = DEFAULT_RENDER_OPTIONS;
+MondrianRenderer.MondrianRenderError = MondrianRenderError;
+MondrianRenderer.normalizeHexColor = normalizeHexColor;
+
+module.exports = MondrianRenderer;
@@ -1,9 +1,11 @@
 /**
  * SVG-First Mondrian Generator
- * Uses the exact MondrianLayout algorithm from mondrian.js
+ * Uses the shared MondrianLayout engine from mondrian-layout.mjs
  * NO COLOR PALETTE - follows original Mondrian pattern structure
  */
 
+import { MondrianLayout } from './mondrian-layout.mjs';
+
 class SVGMondrianGenerator {
     constructor() {
         // No color palette - Mondrian patterns are structural, not colored
@@ -36,7 +38,7 @@ class SVGMondrianGenerator {
                 throw new Error('Invalid txList format');
             }
             
-            // Use the exact MondrianLayout algorithm from mondrian.js
+            // Lay out squares with the shared MondrianLayout engine
             const layout = this.createMondrianLayout(squareSizes);
             
             // Calculate scaling to fit within the SVG bounds
@@ -56,248 +58,11 @@ class SVGMondrianGenerator {
     }
 
     /**
-     * Create Mondrian layout using the exact algorithm from mondrian.js
-     * This replicates the MondrianLayout class behavior in SVG form
+     * Create Mondrian layout with the shared MondrianLayout engine
+     * @returns {Object} Layout with slots, width and height
      */
     createMondrianLayout(squareSizes) {
-        // Initialize layout state
-        let width = 0;
-        let height = 0;
-        let rowOffset = 0;
-        let rows = [];
-        let slots = [];
-
-        // Calculate block weight and initial length (exact MondrianLayout algorithm)
-        let blockWeight = 0;
-        for (const size of squareSizes) {
-            blockWeight += size * size;
-        }
-        const length = Math.ceil(Math.sqrt(blockWeight));
-
-        // Helper functions (replicated from MondrianLayout)
-        const getRow = (position) => {
-            if (position.y - rowOffset < rows.length) {
-                return rows[position.y - rowOffset];
-            }
-            return null;
-        };
-
-        const getSlot = (position) => {
-            const row = getRow(position);
-            if (row !== null && row.map.has(position.x)) {
-                return row.map.get(position.x);
-            }
-            return null;
-        };
-
-        const addRow = () => {
-            const newRow = {
-                y: rows.length + rowOffset,
-                slots: [],
-                map: new Map(),
-                max: 0
-            };
-            rows.push(newRow);
-            return newRow;
-        };
-
-        const addSlot = (slot) => {
-            if (slot.size <= 0) {
-                return null;
-            }
-
-            const existingSlot = getSlot(slot.position);
-            if (existingSlot !== null) {
-                existingSlot.size = Math.max(existingSlot.size, slot.size);
-                return existingSlot;
-            } else {
-                const row = getRow(slot.position);
-                if (row === null) {
-                    return null;
-                }
-
-                const insertAt = row.slots.findIndex(s => s.position.x > slot.position.x);
-                if (insertAt === -1) {
-                    row.slots.push(slot);
-                } else {
-                    row.slots.splice(insertAt, 0, slot);
-                }
-
-                row.map.set(slot.position.x, slot);
-                return slot;
-            }
-        };
-
-        const removeSlot = (slot) => {
-            const row = getRow(slot.position);
-            if (row !== null) {
-                row.map.delete(slot.position.x);
-                const index = row.slots.findIndex(s => s.position.x === slot.position.x);
-                if (index !== -1) {
-                    row.slots.splice(index, 1);
-                }
-            }
-        };
-
-        const fillSlot = (slot, squareWidth) => {
-            const square = {
-                left: slot.position.x,
-                right: slot.position.x + squareWidth,
-                bottom: slot.position.y,
-                top: slot.position.y + squareWidth
-            };
-
-            removeSlot(slot);
-
-            for (let rowIndex = slot.position.y; rowIndex < square.top; rowIndex++) {
-                const row = getRow({x: slot.position.x, y: rowIndex});
-                if (row !== null) {
-                    const collisions = [];
-                    let maxExcess = 0;
-                    for (const testSlot of row.slots) {
-                        if (
-                            !(
-                                testSlot.position.x + testSlot.size < square.left ||
-                                testSlot.position.x >= square.right
-                            )
-                        ) {
-                            collisions.push(testSlot);
-                            const excess = Math.max(
-                                0,
-                                testSlot.position.x + testSlot.size - (slot.position.x + slot.size)
-                            );
-                            maxExcess = Math.max(maxExcess, excess);
-                        }
-                    }
-
-                    if (square.right < length && !row.map.has(square.right)) {
-                        addSlot({
-                            position: {x: square.right, y: rowIndex},
-                            size: slot.size - squareWidth + maxExcess
-                        });
-                    }
-
-                    for (let i = 0; i < collisions.length; i++) {
-                        collisions[i].size = slot.position.x - collisions[i].position.x;
-
-                        if (collisions[i].size === 0) {
-                            removeSlot(collisions[i]);
-                        }
-                    }
-                } else {
-                    addRow();
-                    if (slot.position.x > 0) {
-                        addSlot({
-                            position: {x: 0, y: rowIndex},
-                            size: slot.position.x
-                        });
-                    }
-                    if (square.right < length) {
-                        addSlot({
-                            position: {x: square.right, y: rowIndex},
-                            size: length - square.right
-                        });
-                    }
-                }
-            }
-
-            // Handle vertical adjustments
-            for (
-                let rowIndex = Math.max(0, slot.position.y - squareWidth);
-                rowIndex < slot.position.y;
-                rowIndex++
-            ) {
-                const row = getRow({x: slot.position.x, y: rowIndex});
-                if (row === null || row === undefined) continue;
-
-                for (let i = 0; i < row.slots.length; i++) {
-                    const testSlot = row.slots[i];
-
-                    if (
-                        testSlot.position.x < slot.position.x + squareWidth &&
-                        testSlot.position.x + testSlot.size > slot.position.x &&
-                        testSlot.position.y + testSlot.size >= slot.position.y
-                    ) {
-                        const oldSlotWidth = testSlot.size;
-                        testSlot.size = slot.position.y - testSlot.position.y;
-
-                        const remaining = {
-                            x: testSlot.position.x + testSlot.size,
-                            y: testSlot.position.y,
-                            width: oldSlotWidth - testSlot.size,
-                            height: testSlot.size
-                        };
-
-                        while (remaining.width > 0 && remaining.height > 0) {
-                            if (remaining.width <= remaining.height) {
-                                addSlot({
-                                    position: {x: remaining.x, y: remaining.y},
-                                    size: remaining.width
-                                });
-                                remaining.y += remaining.width;
-                                remaining.height -= remaining.width;
-                            } else {
-                                addSlot({
-                                    position: {x: remaining.x, y: remaining.y},
-                                    size: remaining.height
-                                });
-                                remaining.x += remaining.height;
-                                remaining.width -= remaining.height;
-                            }
-                        }
-                    }
-                }
-            }
-
-            return {position: slot.position, size: squareWidth};
-        };
-
-        const place = (size) => {
-            let found = false;
-            let squareSlot = null;
-
-            for (const row of rows) {
-                for (const slot of row.slots) {
-                    if (slot.size >= size) {
-                        found = true;
-                        squareSlot = fillSlot(slot, size);
-                        break;
-                    }
-                }
-
-                if (found) {
-                    break;
-                }
-            }
-
-            if (!found) {
-                const row = addRow();
-                const slot = addSlot({position: {x: 0, y: row.y}, size: length});
-                squareSlot = fillSlot(slot, size);
-            }
-
-            if (squareSlot.position.x + squareSlot.size > width) {
-                width = squareSlot.position.x + squareSlot.size;
-            }
-
-            if (squareSlot.position.y + squareSlot.size > height) {
-                height = squareSlot.position.y + squareSlot.size;
-            }
-
-            slots.push(squareSlot);
-            return squareSlot;
-        };
-
-        // Place each square using the exact MondrianLayout algorithm
-        for (const size of squareSizes) {
-            place(size);
-        }
-
-        return {
-            slots,
-            width,
-            height
-        };
+        return new MondrianLayout(squareSizes);
     }
 
     /**
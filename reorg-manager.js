@@ -0,0 +1,205 @@
+// Chain reorganization detection and rollback for processed_blocks
+
+// Tables keyed by the height of the block that produced each row; rolled back above a fork point
+const ROLLBACK_TABLES = [
+    'brc420_deploys',
+    'brc420_mints',
+    'parcels',
+    'bitmaps',
+    'bitmap_rejected_claims',
+    'inscription_transfers',
+    'failed_inscriptions',
+    'processed_blocks'
+];
+
+class ReorgManager {
+    constructor(db, logger, getBlockInfo, maxReorgDepth = 100) {
+        this.db = db;
+        this.logger = logger;
+        this.getBlockInfo = getBlockInfo;
+        this.maxReorgDepth = maxReorgDepth;
+    }
+
+    // ================================
+    // DATABASE HELPERS
+    // ================================
+
+    dbGet(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    dbAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    dbRun(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    /**
+     * Gets the stored hash for a processed block
+     * @param {number} blockHeight - The block height
+     * @returns {Promise<string|null>} - Stored block hash or null if unknown
+     */
+    async getStoredHash(blockHeight) {
+        const row = await this.dbGet("SELECT block_hash FROM processed_blocks WHERE block_height = ?", [blockHeight]);
+        return row ? row.block_hash : null;
+    }
+
+    // ================================
+    // REORG DETECTION
+    // ================================
+
+    /**
+     * Verifies that the block at the given height links to the stored hash of its parent
+     * @param {number} blockHeight - The height about to be processed
+     * @returns {Promise<Object|null>} - {forkHeight} when a reorg is detected, otherwise null
+     */
+    async checkChainLink(blockHeight) {
+        const parentHash = await this.getStoredHash(blockHeight - 1);
+        if (!parentHash) {
+            // Nothing recorded for the parent (first block, gap or pre-hash rows) - cannot verify
+            return null;
+        }
+
+        const blockInfo = await this.getBlockInfo(blockHeight, { useCache: false });
+        if (!blockInfo || !blockInfo.previous_hash) {
+            return null;
+        }
+
+        if (blockInfo.previous_hash === parentHash) {
+            return null;
+        }
+
+        this.logger.warn(`⚠️ Chain link mismatch at block ${blockHeight}: expected parent ${parentHash}, got ${blockInfo.previous_hash}`);
+
+        const forkHeight = await this.findForkPoint(blockHeight - 1);
+        return { forkHeight };
+    }
+
+    /**
+     * Walks back from a height until the stored hash matches the current chain
+     * @param {number} fromHeight - The highest height known to be stale
+     * @returns {Promise<number>} - The highest height whose stored hash is still on the best chain
+     */
+    async findForkPoint(fromHeight) {
+        for (let height = fromHeight; height > fromHeight - this.maxReorgDepth; height--) {
+            const storedHash = await this.getStoredHash(height);
+            if (!storedHash) {
+                // No recorded hash at this height (pre-hash rows or a gap) - cannot verify further back
+                return height;
+            }
+
+            const blockInfo = await this.getBlockInfo(height, { useCache: false });
+            if (!blockInfo) {
+                throw new Error(`Unable to fetch block ${height} while searching for fork point`);
+            }
+
+            if (blockInfo.hash === storedHash) {
+                return height;
+            }
+        }
+
+        throw new Error(`Reorg deeper than ${this.maxReorgDepth} blocks below ${fromHeight}, manual intervention required`);
+    }
+
+    // ================================
+    // ROLLBACK
+    // ================================
+
+    /**
+     * Moves inscriptions transferred above the fork back to their last surviving transfer.
+     * Inscriptions created above the fork have no transfers left and are dropped.
+     * @param {number} forkHeight - The last block height that is still valid
+     * @returns {Promise<number>} - Number of locations removed or restored
+     */
+    async restoreLocations(forkHeight) {
+        const moved = await this.dbAll("SELECT inscription_id FROM inscription_locations WHERE block_height > ?", [forkHeight]);
+        await this.dbRun("DELETE FROM inscription_locations WHERE block_height > ?", [forkHeight]);
+
+        for (const { inscription_id: inscriptionId } of moved) {
+            const last = await this.dbGet(`
+                SELECT inscription_type, satpoint, new_address, block_height
+                FROM inscription_transfers
+                WHERE inscription_id = ?
+                ORDER BY block_height DESC, id DESC
+                LIMIT 1
+            `, [inscriptionId]);
+
+            if (!last) {
+                continue;
+            }
+
+            // satpoint is txid:vout:offset (null when spent to fees)
+            const parts = last.satpoint ? last.satpoint.split(':') : null;
+            await this.dbRun(`
+                INSERT INTO inscription_locations
+                (inscription_id, inscription_type, outpoint, sat_offset, address, block_height, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+            `, [
+                inscriptionId,
+                last.inscription_type,
+                parts ? `${parts[0]}:${parts[1]}` : null,
+                parts ? parseInt(parts[2], 10) : null,
+                last.new_address,
+                last.block_height
+            ]);
+        }
+
+        return moved.length;
+    }
+
+    /**
+     * Removes every indexed row produced above the fork point in a single transaction
+     * @param {number} forkHeight - The last block height that is still valid
+     * @returns {Promise<Object>} - Number of rows removed per table
+     */
+    async rollbackAbove(forkHeight) {
+        const removed = {};
+
+        await this.dbRun('BEGIN IMMEDIATE');
+        try {
+            // Patterns are keyed by bitmap number, so remove them before their bitmaps disappear.
+            // A pattern is also derived from block N itself, so bitmaps above the fork lose theirs too.
+            removed.bitmap_patterns = await this.dbRun(`
+                DELETE FROM bitmap_patterns
+                WHERE bitmap_number > ?
+                   OR bitmap_number IN (SELECT bitmap_number FROM bitmaps WHERE block_height > ?)
+            `, [forkHeight, forkHeight]);
+
+            for (const table of ROLLBACK_TABLES) {
+                removed[table] = await this.dbRun(`DELETE FROM ${table} WHERE block_height > ?`, [forkHeight]);
+            }
+
+            removed.inscription_locations = await this.restoreLocations(forkHeight);
+
+            await this.dbRun('COMMIT');
+        } catch (error) {
+            await this.dbRun('ROLLBACK').catch(() => {});
+            throw error;
+        }
+
+        const summary = Object.entries(removed).map(([table, count]) => `${table}=${count}`).join(', ');
+        this.logger.warn(`⏪ Rolled back all data above block ${forkHeight}: ${summary}`);
+        return removed;
+    }
+}
+
+ReorgManager.ROLLBACK_TABLES = ROLLBACK_TABLES;
+
+module.exports = ReorgManager;
@@ -1,7 +1,15 @@
 const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const crypto = require('crypto');
 const config = require('../config');
+const CheckpointManager = require('../checkpoint-manager');
+const SyncStatus = require('../sync-status');
+const BlockAnalytics = require('../block-analytics');
+const AddressPortfolio = require('../address-portfolio');
+const EntitySearch = require('../entity-search');
+const MondrianRenderer = require('../mondrian-renderer');
+const { getPatternArray } = require('../mondrian-layout');
 const router = express.Router();
 
 // Enhanced database connection with retry logic
@@ -156,6 +164,169 @@ function paginate(query, params, page = 1, limit = 100) {
     };
 }
 
+// ==================== CURSOR PAGINATION ====================
+
+// count=exact runs a full COUNT(*); approximate stops counting here and reports total_capped
+const COUNT_MODES = ['exact', 'approximate', 'none'];
+const APPROXIMATE_COUNT_CAP = 10000;
+
+// Opaque cursor: the sort it belongs to and the sort key of the last row returned
+function encodeCursor(sort, key) {
+    return Buffer.from(JSON.stringify({ s: sort, k: key })).toString('base64url');
+}
+
+// Returns the cursor's key, or null if it is malformed or was issued for another sort
+function decodeCursor(cursor, sort) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (decoded.s !== sort || !Array.isArray(decoded.k) || decoded.k.length !== 2) {
+            return null;
+        }
+        const [value, tieValue] = decoded.k;
+        const validValue = value === null || typeof value === 'number' || typeof value === 'string';
+        return validValue && Number.isInteger(tieValue) ? decoded.k : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Seek condition for the rows after a key in ORDER BY column <direction>, tiebreaker <direction>.
+ * column may be NULL (SQLite sorts NULLs first ascending, last descending); tiebreaker must be unique.
+ * A non-NULL key uses a row-value comparison so SQLite can seek the index; it never matches NULL
+ * columns, so descending listings continue into the NULL rows separately (nullsFollow).
+ */
+function keysetCondition(column, tiebreaker, direction, [value, tieValue]) {
+    const op = direction === 'ASC' ? '>' : '<';
+
+    if (value === null) {
+        const sameNull = `(${column} IS NULL AND ${tiebreaker} ${op} ?)`;
+        return direction === 'ASC'
+            ? { sql: `(${sameNull} OR ${column} IS NOT NULL)`, params: [tieValue], nullsFollow: false }
+            : { sql: sameNull, params: [tieValue], nullsFollow: false };
+    }
+
+    return {
+        sql: `(${column}, ${tiebreaker}) ${op} (?, ?)`,
+        params: [value, tieValue],
+        nullsFollow: direction === 'DESC'
+    };
+}
+
+/**
+ * Parses cursor/page/limit/count for a listing sorted by `sort`
+ * @returns {Object} - {cursorKey, page, limit, countMode} or {error}
+ */
+function parseListParams(query, sort) {
+    const { cursor = '', page = 1, limit = 50, count = '' } = query;
+    const cursorKey = cursor ? decodeCursor(cursor, sort) : null;
+
+    if (cursor && !cursorKey) {
+        return { error: 'Invalid cursor' };
+    }
+    if (count && !COUNT_MODES.includes(count)) {
+        return { error: `count must be one of: ${COUNT_MODES.join(', ')}` };
+    }
+
+    return {
+        cursorKey,
+        page: Math.max(1, parseInt(page) || 1),
+        limit: Math.min(Math.max(1, parseInt(limit) || 50), 1000),
+        // Page-number requests keep their exact total; cursor requests skip counting unless asked
+        countMode: count || (cursor ? 'none' : 'exact')
+    };
+}
+
+/**
+ * Runs a listing query with keyset or page-number pagination and the requested count mode
+ * @param {Object} db - SQLite connection
+ * @param {Object} spec - {select, from, conditions, params, column, tiebreaker, direction, keyFields,
+ *                        sort, orderBy (overrides the keyset order, disables cursors)} plus parseListParams output
+ * @param {Function} callback - (err, {rows, total, total_capped, page, limit, totalPages, next_cursor})
+ */
+function runListQuery(db, spec, callback) {
+    const keyset = !spec.orderBy;
+    const seek = keyset && spec.cursorKey
+        ? keysetCondition(spec.column, spec.tiebreaker, spec.direction, spec.cursorKey)
+        : null;
+
+    const whereClause = (conditions) => conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const filterClause = whereClause(spec.conditions);
+    const orderBy = spec.orderBy || ` ORDER BY ${spec.column} ${spec.direction}, ${spec.tiebreaker} ${spec.direction}`;
+    const offset = spec.cursorKey ? 0 : (spec.page - 1) * spec.limit;
+
+    // One extra row tells whether another page follows
+    const query = seek
+        ? `${spec.select} ${spec.from}${whereClause([...spec.conditions, seek.sql])}${orderBy} LIMIT ${spec.limit + 1}`
+        : `${spec.select} ${spec.from}${filterClause}${orderBy} LIMIT ${spec.limit + 1} OFFSET ${offset}`;
+    const params = seek ? [...spec.params, ...seek.params] : spec.params;
+
+    let countQuery = null;
+    if (spec.countMode === 'exact') {
+        countQuery = `SELECT COUNT(*) AS total ${spec.from}${filterClause}`;
+    } else if (spec.countMode === 'approximate') {
+        countQuery = `SELECT COUNT(*) AS total FROM (SELECT 1 ${spec.from}${filterClause} LIMIT ${APPROXIMATE_COUNT_CAP + 1})`;
+    }
+
+    const respond = (rows, countRow) => {
+        const hasMore = rows.length > spec.limit;
+        const pageRows = hasMore ? rows.slice(0, spec.limit) : rows;
+        const last = pageRows[pageRows.length - 1];
+
+        let total = null;
+        let totalCapped = false;
+        if (countRow) {
+            total = Math.min(countRow.total, spec.countMode === 'approximate' ? APPROXIMATE_COUNT_CAP : Infinity);
+            totalCapped = countRow.total > total;
+        }
+
+        callback(null, {
+            rows: pageRows,
+            total,
+            total_capped: totalCapped,
+            page: spec.cursorKey ? null : spec.page,
+            limit: spec.limit,
+            totalPages: total === null ? null : Math.ceil(total / spec.limit),
+            next_cursor: keyset && hasMore
+                ? encodeCursor(spec.sort, spec.keyFields.map(field => last[field]))
+                : null
+        });
+    };
+
+    const runRows = (countRow) => {
+        db.all(query, params, (err, rows) => {
+            if (err) {
+                return callback(err);
+            }
+
+            if (!seek || !seek.nullsFollow || rows.length > spec.limit) {
+                return respond(rows, countRow);
+            }
+
+            // Past the last non-NULL key: fill the page from the NULL rows that sort after it
+            const nullQuery = `${spec.select} ${spec.from}${whereClause([...spec.conditions, `${spec.column} IS NULL`])}` +
+                ` ORDER BY ${spec.tiebreaker} ${spec.direction} LIMIT ${spec.limit + 1 - rows.length}`;
+            db.all(nullQuery, spec.params, (nullErr, nullRows) => {
+                if (nullErr) {
+                    return callback(nullErr);
+                }
+                respond(rows.concat(nullRows), countRow);
+            });
+        });
+    };
+
+    if (!countQuery) {
+        return runRows(null);
+    }
+
+    db.get(countQuery, spec.params, (countErr, countRow) => {
+        if (countErr) {
+            return callback(countErr);
+        }
+        runRows(countRow);
+    });
+}
+
 // Enhanced health check endpoint
 router.get('/health', (req, res) => {
     const health = {
@@ -172,7 +343,21 @@ router.get('/health', (req, res) => {
     };
     
     const statusCode = dbManager.isHealthy() ? 200 : 503;
-    res.status(statusCode).json(health);
+    
+    if (!dbManager.isHealthy()) {
+        return res.status(statusCode).json(health);
+    }
+    
+    // Report whether the indexer is still syncing or following the tip live
+    SyncStatus.load(dbManager.getConnection())
+        .then(sync => {
+            health.sync = sync || { status: 'unknown' };
+        })
+        .catch(err => {
+            console.warn('[API] Failed to load sync status:', err.message);
+            health.sync = { status: 'unknown' };
+        })
+        .then(() => res.status(statusCode).json(health));
 });
 
 // Configuration endpoint for frontend
@@ -188,63 +373,52 @@ router.get('/config', (req, res) => {
 
 // ==================== BRC-420 ENDPOINTS ====================
 
-// Get all BRC-420 deploys with enhanced error handling
+// Get all BRC-420 deploys, newest first; page through with next_cursor (or page numbers)
 router.get('/brc420/deploys', requireDatabase, (req, res) => {
-    const { page = 1, limit = 50, search = '' } = req.query;
-    
-    try {
-        let query = "SELECT * FROM brc420_deploys";
-        let countQuery = "SELECT COUNT(*) as total FROM brc420_deploys";
-        let params = [];
-        
-        if (search) {
-            const whereClause = " WHERE tick LIKE ? OR inscription_id LIKE ?";
-            query += whereClause;
-            countQuery += whereClause;
-            params = [`%${search}%`, `%${search}%`];
+    const { search = '' } = req.query;
+    const listParams = parseListParams(req.query, 'block_height_desc');
+    if (listParams.error) {
+        return res.status(400).json({ error: listParams.error });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (search) {
+        conditions.push("(name LIKE ? OR inscription_id LIKE ? OR source_id LIKE ?)");
+        params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    runListQuery(req.db, {
+        ...listParams,
+        select: "SELECT *",
+        from: "FROM brc420_deploys",
+        conditions,
+        params,
+        column: 'block_height',
+        tiebreaker: 'id',
+        direction: 'DESC',
+        keyFields: ['block_height', 'id'],
+        sort: 'block_height_desc'
+    }, (err, result) => {
+        if (err) {
+            return handleDatabaseError(err, req, res, 'deploys query');
         }
-        
-        query += " ORDER BY block_height DESC";
-        const paginatedQuery = paginate(query, params, page, limit);
 
-        // Get total count first
-        req.db.get(countQuery, params, (countErr, countRow) => {
-            if (countErr) {
-                return handleDatabaseError(countErr, req, res, 'count query');
-            }
-            
-            // Get paginated results
-            req.db.all(paginatedQuery.query, paginatedQuery.params, (err, rows) => {
-                if (err) {
-                    return handleDatabaseError(err, req, res, 'deploys query');
+        // Process deploy data
+        const deploys = result.rows.map(row => {
+            if (row.deploy_data) {
+                try {
+                    row.parsed_deploy_data = JSON.parse(row.deploy_data);
+                } catch (parseErr) {
+                    console.warn('[API] Failed to parse deploy_data for', row.inscription_id);
                 }
-                
-                // Process deploy data
-                const processedRows = rows.map(row => {
-                    if (row.deploy_data) {
-                        try {
-                            row.parsed_deploy_data = JSON.parse(row.deploy_data);
-                        } catch (parseErr) {
-                            console.warn('[API] Failed to parse deploy_data for', row.inscription_id);
-                        }
-                    }
-                    return row;
-                });
-                
-                res.json({
-                    deploys: processedRows,
-                    total: countRow?.total || 0,
-                    page: paginatedQuery.page,
-                    limit: paginatedQuery.limit,
-                    totalPages: Math.ceil((countRow?.total || 0) / paginatedQuery.limit)
-                });
-            });
+            }
+            return row;
         });
-        
-    } catch (error) {
-        console.error('[API] BRC-420 deploys endpoint error:', error.message);
-        res.status(500).json({ error: 'Failed to fetch deploys' });
-    }
+
+        const { rows, ...pagination } = result;
+        res.json({ deploys, ...pagination });
+    });
 });
 
 // Get BRC-420 deploy by inscription ID
@@ -277,78 +451,295 @@ router.get('/brc420/deploy/:inscription_id', requireDatabase, (req, res) => {
     });
 });
 
-// Get all BRC-420 mints
+// Get all BRC-420 mints, newest first; page through with next_cursor (or page numbers)
 router.get('/brc420/mints', requireDatabase, (req, res) => {
-    const { page = 1, limit = 50, tick = '', search = '' } = req.query;
+    const { deploy_id = '', source_id = '', valid = '', search = '' } = req.query;
+    const listParams = parseListParams(req.query, 'block_height_desc');
+    if (listParams.error) {
+        return res.status(400).json({ error: listParams.error });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (deploy_id) {
+        conditions.push("deploy_id = ?");
+        params.push(deploy_id);
+    }
+
+    if (source_id) {
+        conditions.push("source_id = ?");
+        params.push(source_id);
+    }
+
+    // valid=true / valid=false filters on the stored verdict; omitted returns both
+    if (valid === 'true' || valid === 'false') {
+        conditions.push("is_valid = ?");
+        params.push(valid === 'true' ? 1 : 0);
+    }
+
+    if (search) {
+        conditions.push("(inscription_id LIKE ? OR mint_address LIKE ?)");
+        params.push(`%${search}%`, `%${search}%`);
+    }
+
+    runListQuery(req.db, {
+        ...listParams,
+        select: "SELECT *",
+        from: "FROM brc420_mints",
+        conditions,
+        params,
+        column: 'block_height',
+        tiebreaker: 'id',
+        direction: 'DESC',
+        keyFields: ['block_height', 'id'],
+        sort: 'block_height_desc'
+    }, (err, result) => {
+        if (err) {
+            return handleDatabaseError(err, req, res, 'mints query');
+        }
+
+        const { rows, ...pagination } = result;
+        res.json({ mints: rows, ...pagination });
+    });
+});
+
+// Deploy listing for the home page: plain array of deploys with their valid mint counts
+router.get('/deploys/with-mints', requireDatabase, (req, res) => {
+    const { page = 1, limit = 20, order = 'desc', name = '' } = req.query;
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
     
-    try {
-        let query = "SELECT * FROM brc420_mints";
-        let countQuery = "SELECT COUNT(*) as total FROM brc420_mints";
-        let params = [];
-        let whereConditions = [];
+    // Counting per deploy on the current page only uses idx_brc420_mints_deploy
+    let query = `
+        SELECT d.inscription_id AS id, d.name, d.source_id, d.max_supply AS max, d.price,
+               d.deployer_address, d.block_height, d.timestamp,
+               (SELECT COUNT(*) FROM brc420_mints m
+                WHERE m.deploy_id = d.inscription_id AND m.is_valid = 1) AS total_mints
+        FROM brc420_deploys d
+    `;
+    const params = [];
+    
+    if (name) {
+        query += " WHERE d.name LIKE ?";
+        params.push(`%${name}%`);
+    }
+    
+    query += ` ORDER BY d.block_height ${direction}, d.inscription_number ${direction}`;
+    const paginatedQuery = paginate(query, params, page, limit);
+    
+    req.db.all(paginatedQuery.query, paginatedQuery.params, (err, rows) => {
+        if (err) {
+            return handleDatabaseError(err, req, res, 'deploys with mints query');
+        }
         
-        if (tick) {
-            whereConditions.push("tick = ?");
-            params.push(tick);
+        res.json(rows);
+    });
+});
+
+// Deploy page summary: deploy fields plus mint totals, remaining supply and royalties
+router.get('/deploy/:id/summary', requireDatabase, (req, res) => {
+    const deployId = req.params.id;
+    
+    const query = `
+        SELECT d.inscription_id AS id, d.inscription_number, d.name, d.source_id, d.max_supply AS max,
+               d.price, d.price_sats, d.deployer_address, d.block_height, d.timestamp,
+               COUNT(CASE WHEN m.is_valid = 1 THEN 1 END) AS total_mints,
+               COUNT(CASE WHEN m.is_valid = 0 THEN 1 END) AS invalid_mints,
+               COALESCE(SUM(CASE WHEN m.is_valid = 1 THEN m.royalty_paid_sats END), 0) AS royalty_total_sats,
+               MIN(CASE WHEN m.is_valid = 1 THEN m.block_height END) AS first_mint_block,
+               MAX(CASE WHEN m.is_valid = 1 THEN m.block_height END) AS last_mint_block
+        FROM brc420_deploys d
+        LEFT JOIN brc420_mints m ON m.deploy_id = d.inscription_id
+        WHERE d.inscription_id = ?
+        GROUP BY d.inscription_id
+    `;
+    
+    req.db.get(query, [deployId], (err, row) => {
+        if (err) {
+            return handleDatabaseError(err, req, res, 'deploy summary query');
         }
         
-        if (search) {
-            whereConditions.push("(inscription_id LIKE ? OR tick LIKE ?)");
-            params.push(`%${search}%`, `%${search}%`);
+        if (!row) {
+            return res.status(404).json({ error: "BRC-420 deploy not found" });
         }
         
-        if (whereConditions.length > 0) {
-            const whereClause = " WHERE " + whereConditions.join(" AND ");
-            query += whereClause;
-            countQuery += whereClause;
+        res.json({
+            ...row,
+            remaining_supply: Math.max(0, row.max - row.total_mints),
+            royalty_total_btc: row.royalty_total_sats / 100000000
+        });
+    });
+});
+
+// Mints of a deploy for the deploy page (valid only unless include_invalid=true)
+router.get('/deploy/:id/mints', requireDatabase, (req, res) => {
+    const deployId = req.params.id;
+    const { page = 1, limit = 100, order = 'desc', include_invalid = 'false' } = req.query;
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    
+    let query = `
+        SELECT inscription_id AS id, inscription_number, source_id, mint_address, transaction_id,
+               mint_number, is_valid, invalid_reason, royalty_paid_sats, block_height, timestamp
+        FROM brc420_mints
+        WHERE deploy_id = ?
+    `;
+    
+    if (include_invalid !== 'true') {
+        query += " AND is_valid = 1";
+    }
+    
+    query += ` ORDER BY block_height ${direction}, inscription_number ${direction}`;
+    const paginatedQuery = paginate(query, [deployId], page, limit);
+    
+    req.db.all(paginatedQuery.query, paginatedQuery.params, (err, rows) => {
+        if (err) {
+            return handleDatabaseError(err, req, res, 'deploy mints query');
         }
         
-        query += " ORDER BY block_height DESC";
-        const paginatedQuery = paginate(query, params, page, limit);
+        res.json(rows);
+    });
+});
 
-        // Get total count
-        req.db.get(countQuery, params, (countErr, countRow) => {
-            if (countErr) {
-                return handleDatabaseError(countErr, req, res, 'mints count query');
-            }
-            
-            // Get paginated results
-            req.db.all(paginatedQuery.query, paginatedQuery.params, (err, rows) => {
-                if (err) {
-                    return handleDatabaseError(err, req, res, 'mints query');
-                }
-                
-                // Parse mint_data for each row
-                const processedRows = rows.map(row => {
-                    if (row.mint_data) {
-                        try {
-                            row.parsed_mint_data = JSON.parse(row.mint_data);
-                        } catch (parseErr) {
-                            console.warn('[API] Failed to parse mint_data for', row.inscription_id);
-                        }
-                    }
-                    return row;
-                });
-                
-                res.json({
-                    mints: processedRows,
-                    total: countRow?.total || 0,
-                    page: paginatedQuery.page,
-                    limit: paginatedQuery.limit,
-                    totalPages: Math.ceil((countRow?.total || 0) / paginatedQuery.limit)
-                });
-            });
+// ==================== BLOCK ANALYTICS ENDPOINTS ====================
+
+// Parse an optional integer query parameter; undefined when absent, NaN when malformed
+function parseOptionalInt(value) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+// Parse an optional YYYY-MM-DD date to unix seconds (start of day, UTC)
+function parseOptionalDate(value) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+    return Number.isNaN(time) ? NaN : Math.floor(time / 1000);
+}
+
+// Totals across all processed blocks
+router.get('/blocks/summary', requireDatabase, async (req, res) => {
+    try {
+        res.json(await new BlockAnalytics(req.db).getSummary());
+    } catch (error) {
+        handleDatabaseError(error, req, res, 'block summary query');
+    }
+});
+
+// Per-block statistics filtered by height range and block date range (end_date inclusive)
+router.get('/blocks/stats', requireDatabase, async (req, res) => {
+    const { page = 1, limit = 50, sort = 'block_height_desc' } = req.query;
+    const startHeight = parseOptionalInt(req.query.start_height);
+    const endHeight = parseOptionalInt(req.query.end_height);
+    const startTime = parseOptionalDate(req.query.start_date);
+    const endDate = parseOptionalDate(req.query.end_date);
+    
+    if ([startHeight, endHeight, startTime, endDate].some(Number.isNaN)) {
+        return res.status(400).json({ error: 'Heights must be integers and dates must be YYYY-MM-DD' });
+    }
+    
+    try {
+        const stats = await new BlockAnalytics(req.db).getBlockStats({
+            page,
+            limit,
+            sort,
+            startHeight,
+            endHeight,
+            startTime,
+            endTime: endDate === undefined ? undefined : endDate + 86400
         });
+        res.json(stats);
+    } catch (error) {
+        handleDatabaseError(error, req, res, 'block stats query');
+    }
+});
+
+// Top blocks by a metric (inscriptions, transactions, deploys, mints, bitmaps, parcels, errors)
+router.get('/blocks/high-activity', requireDatabase, async (req, res) => {
+    const { metric = 'total_inscriptions', limit = 10 } = req.query;
+    
+    if (!BlockAnalytics.METRICS.includes(metric)) {
+        return res.status(400).json({
+            error: `Unknown metric '${metric}'`,
+            metrics: BlockAnalytics.METRICS
+        });
+    }
+    
+    try {
+        res.json(await new BlockAnalytics(req.db).getHighActivityBlocks(metric, limit));
+    } catch (error) {
+        handleDatabaseError(error, req, res, 'high activity blocks query');
+    }
+});
+
+// ==================== OWNERSHIP ENDPOINTS ====================
+
+// Chronological ownership history of a tracked inscription (first row is the genesis, old_address null)
+router.get('/inscription/:id/address-history', requireDatabase, (req, res) => {
+    const query = `
+        SELECT block_height, old_address, new_address, transaction_id, satpoint, timestamp
+        FROM inscription_transfers
+        WHERE inscription_id = ?
+        ORDER BY block_height ASC, id ASC
+    `;
+    
+    req.db.all(query, [req.params.id], (err, rows) => {
+        if (err) {
+            return handleDatabaseError(err, req, res, 'address history query');
+        }
         
+        res.json(rows);
+    });
+});
+
+// Bitmaps, parcels, BRC-420 deploys and mints currently held by an address, with counts.
+// type limits the lists returned (comma-separated); page/limit apply to each list.
+router.get('/address/:address', requireDatabase, async (req, res) => {
+    const { address } = req.params;
+    const { page = 1, limit = 50, type = '' } = req.query;
+
+    // Base58 and bech32/bech32m addresses are alphanumeric
+    if (!/^[a-zA-Z0-9]{1,90}$/.test(address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    try {
+        // Repeated parameters (?type=a&type=b) arrive as an array; anything else that is not a string is rejected
+        const values = [].concat(type);
+        if (!values.every(value => typeof value === 'string')) {
+            return res.status(400).json({ error: 'Invalid type', valid_types: AddressPortfolio.ASSET_TYPES });
+        }
+
+        const types = values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+        const unknown = types.filter(value => !AddressPortfolio.ASSET_TYPES.includes(value));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                error: `Unknown type: ${unknown.join(', ')}`,
+                valid_types: AddressPortfolio.ASSET_TYPES
+            });
+        }
+
+        res.json(await new AddressPortfolio(req.db, config.TRACK_TRANSFERS).getPortfolio(address, { types, page, limit }));
     } catch (error) {
-        console.error('[API] BRC-420 mints endpoint error:', error.message);
-        res.status(500).json({ error: 'Failed to fetch mints' });
+        handleDatabaseError(error, req, res, 'address portfolio query');
     }
 });
 
 // ==================== BITMAP ENDPOINTS ====================
 
-// Get bitmaps with search functionality
+// Keyset order for each /bitmaps/search sort (id breaks block_height ties)
+const BITMAP_SORTS = {
+    bitmap_number_asc: { column: 'b.bitmap_number', direction: 'ASC', keyFields: ['bitmap_number', 'id'] },
+    bitmap_number_desc: { column: 'b.bitmap_number', direction: 'DESC', keyFields: ['bitmap_number', 'id'] },
+    block_height_asc: { column: 'b.block_height', direction: 'ASC', keyFields: ['block_height', 'id'] },
+    block_height_desc: { column: 'b.block_height', direction: 'DESC', keyFields: ['block_height', 'id'] },
+    // No stable order, so no cursor: paged by page number only
+    random: { orderBy: ' ORDER BY RANDOM()' }
+};
+
+// Get bitmaps with search functionality; page through with next_cursor (or page numbers)
 router.get('/bitmaps/search', (req, res) => {
     // Provide fallback data if database is unavailable
     if (!dbManager.isHealthy()) {
@@ -359,104 +750,70 @@ router.get('/bitmaps/search', (req, res) => {
             page: 1,
             limit: 50,
             totalPages: 0,
+            next_cursor: null,
             message: 'Database temporarily unavailable'
         });
     }
 
-    const { page = 1, limit = 50, sort = 'bitmap_number_desc', search = '' } = req.query;
-    
-    try {
-        let query = `
-            SELECT b.*, bp.pattern_string 
-            FROM bitmaps b 
-            LEFT JOIN bitmap_patterns bp ON b.bitmap_number = bp.bitmap_number
-        `;
-        let countQuery = "SELECT COUNT(*) as total FROM bitmaps b";
-        let params = [];
-
-        if (search) {
-            const whereClause = " WHERE (CAST(b.bitmap_number AS TEXT) LIKE ? OR b.inscription_id LIKE ?)";
-            query += whereClause;
-            countQuery += whereClause;
-            params = [`%${search}%`, `%${search}%`];
-        }
-
-        // Build ORDER BY clause
-        let orderBy = ' ORDER BY b.bitmap_number DESC';
-        switch (sort) {
-            case 'bitmap_number_asc':
-                orderBy = ' ORDER BY b.bitmap_number ASC';
-                break;
-            case 'bitmap_number_desc':
-                orderBy = ' ORDER BY b.bitmap_number DESC';
-                break;
-            case 'block_height_asc':
-                orderBy = ' ORDER BY b.block_height ASC';
-                break;
-            case 'block_height_desc':
-                orderBy = ' ORDER BY b.block_height DESC';
-                break;
-            case 'random':
-                orderBy = ' ORDER BY RANDOM()';
-                break;
+    const { search = '' } = req.query;
+    const sort = BITMAP_SORTS[req.query.sort] ? req.query.sort : 'bitmap_number_desc';
+    const listParams = parseListParams(req.query, sort);
+    if (listParams.error) {
+        return res.status(400).json({ error: listParams.error });
+    }
+    if (listParams.cursorKey && BITMAP_SORTS[sort].orderBy) {
+        return res.status(400).json({ error: `sort=${sort} does not support cursors` });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (search) {
+        conditions.push("(CAST(b.bitmap_number AS TEXT) LIKE ? OR b.inscription_id LIKE ?)");
+        params.push(`%${search}%`, `%${search}%`);
+    }
+
+    runListQuery(dbManager.getConnection(), {
+        ...listParams,
+        ...BITMAP_SORTS[sort],
+        select: "SELECT b.*, bp.pattern_string",
+        from: "FROM bitmaps b LEFT JOIN bitmap_patterns bp ON b.bitmap_number = bp.bitmap_number",
+        conditions,
+        params,
+        tiebreaker: 'b.id',
+        sort
+    }, (err, result) => {
+        if (err) {
+            return handleDatabaseError(err, req, res, 'bitmaps query');
         }
-        
-        query += orderBy;
-        const paginatedQuery = paginate(query, params, page, limit);
 
-        // Get total count
-        req.db.get(countQuery, params, (countErr, countRow) => {
-            if (countErr) {
-                return handleDatabaseError(countErr, req, res, 'bitmaps count query');
+        // Process pattern data for each bitmap
+        const bitmaps = result.rows.map(row => {
+            if (row.pattern_string) {
+                row.pattern = 'mondrian';
+                row.txList = row.pattern_string.split('').map(Number);
+                delete row.pattern_string; // Remove raw string from response
+            } else {
+                row.pattern = null;
+                row.txList = [];
             }
-            
-            // Get paginated results
-            req.db.all(paginatedQuery.query, paginatedQuery.params, (err, rows) => {
-                if (err) {
-                    return handleDatabaseError(err, req, res, 'bitmaps query');
-                }
-                
-                // Process pattern data for each bitmap
-                const processedRows = rows.map(row => {
-                    if (row.pattern_string) {
-                        row.pattern = 'mondrian';
-                        row.txList = row.pattern_string.split('').map(Number);
-                        delete row.pattern_string; // Remove raw string from response
-                    } else {
-                        row.pattern = null;
-                        row.txList = [];
+
+            // Parse JSON fields safely
+            ['transaction_patterns', 'pattern_metadata'].forEach(field => {
+                if (row[field]) {
+                    try {
+                        row[`parsed_${field}`] = JSON.parse(row[field]);
+                    } catch (parseErr) {
+                        console.warn(`[API] Failed to parse ${field} for bitmap`, row.bitmap_number);
                     }
-                    
-                    // Parse JSON fields safely
-                    ['transaction_patterns', 'pattern_metadata'].forEach(field => {
-                        if (row[field]) {
-                            try {
-                                row[`parsed_${field}`] = JSON.parse(row[field]);
-                            } catch (parseErr) {
-                                console.warn(`[API] Failed to parse ${field} for bitmap`, row.bitmap_number);
-                            }
-                        }
-                    });
-                    
-                    return row;
-                });
-                
-                const total = countRow?.total || 0;
-                
-                res.json({
-                    bitmaps: processedRows,
-                    total: total,
-                    page: paginatedQuery.page,
-                    limit: paginatedQuery.limit,
-                    totalPages: Math.ceil(total / paginatedQuery.limit)
-                });
+                }
             });
+
+            return row;
         });
-        
-    } catch (error) {
-        console.error('[API] Bitmaps search endpoint error:', error.message);
-        res.status(500).json({ error: 'Failed to search bitmaps' });
-    }
+
+        const { rows, ...pagination } = result;
+        res.json({ bitmaps, ...pagination });
+    });
 });
 
 // Legacy endpoint for backward compatibility
@@ -516,6 +873,86 @@ router.get('/bitmaps/number/:bitmap_number', requireDatabase, (req, res) => {
     });
 });
 
+// Claims that lost to the canonical bitmap (first inscription wins), newest first
+router.get('/bitmaps/rejected-claims', requireDatabase, (req, res) => {
+    const { page = 1, limit = 50, reason = '' } = req.query;
+
+    let whereClause = "";
+    const params = [];
+
+    if (reason) {
+        whereClause = " WHERE reason = ?";
+        params.push(reason);
+    }
+
+    const countQuery = "SELECT COUNT(*) as total FROM bitmap_rejected_claims" + whereClause;
+    const query = `
+        SELECT inscription_id, inscription_number, bitmap_number, block_height, content, reason, winning_inscription_id, created_at
+        FROM bitmap_rejected_claims
+    ` + whereClause + " ORDER BY block_height DESC, id DESC";
+    const paginatedQuery = paginate(query, params, page, limit);
+
+    req.db.get(countQuery, params, (countErr, countRow) => {
+        if (countErr) {
+            return handleDatabaseError(countErr, req, res, 'rejected bitmap claims count query');
+        }
+
+        req.db.all(paginatedQuery.query, paginatedQuery.params, (err, rows) => {
+            if (err) {
+                return handleDatabaseError(err, req, res, 'rejected bitmap claims query');
+            }
+
+            res.json({
+                claims: rows,
+                total: countRow?.total || 0,
+                page: paginatedQuery.page,
+                limit: paginatedQuery.limit,
+                totalPages: Math.ceil((countRow?.total || 0) / paginatedQuery.limit)
+            });
+        });
+    });
+});
+
+// Every claim for a bitmap number: the canonical one and those rejected in its favour
+router.get('/bitmap/:bitmap_number/claims', requireDatabase, (req, res) => {
+    const bitmapNumber = parseInt(req.params.bitmap_number);
+
+    if (isNaN(bitmapNumber) || bitmapNumber < 0) {
+        return res.status(400).json({ error: 'Invalid bitmap number' });
+    }
+
+    req.db.get(
+        "SELECT inscription_id, inscription_number, block_height FROM bitmaps WHERE bitmap_number = ?",
+        [bitmapNumber],
+        (err, canonical) => {
+            if (err) {
+                return handleDatabaseError(err, req, res, 'bitmap claim lookup');
+            }
+
+            req.db.all(`
+                SELECT inscription_id, inscription_number, block_height, content, reason, winning_inscription_id, created_at
+                FROM bitmap_rejected_claims
+                WHERE bitmap_number = ?
+                ORDER BY block_height ASC, inscription_number ASC
+            `, [bitmapNumber], (rejectedErr, rejected) => {
+                if (rejectedErr) {
+                    return handleDatabaseError(rejectedErr, req, res, 'rejected bitmap claims lookup');
+                }
+
+                if (!canonical && rejected.length === 0) {
+                    return res.status(404).json({ error: "No claims found for this bitmap" });
+                }
+
+                res.json({
+                    bitmap_number: bitmapNumber,
+                    canonical: canonical || null,
+                    rejected_claims: rejected
+                });
+            });
+        }
+    );
+});
+
 // Get bitmap pattern for visualization
 router.get('/bitmap/:bitmap_number/pattern', requireDatabase, (req, res) => {
     const bitmapNumber = parseInt(req.params.bitmap_number);
@@ -550,6 +987,280 @@ router.get('/bitmap/:bitmap_number/pattern', requireDatabase, (req, res) => {
     });
 });
 
+// Bounds for server-rendered bitmap images (pixels, square). PNG rasterization is synchronous,
+// so the largest size is kept where a render takes about a tenth of a second.
+const IMAGE_MIN_SIZE = 16;
+const IMAGE_MAX_SIZE = 1024;
+
+// Rendered images kept by ETag, bounded by their total size
+const IMAGE_CACHE_MAX_BYTES = 32 * 1024 * 1024;
+const renderedImages = new Map();
+let renderedImageBytes = 0;
+
+// Cached rendering for an ETag, marked as most recently used
+function getRenderedImage(etag) {
+    const image = renderedImages.get(etag);
+    if (image) {
+        renderedImages.delete(etag);
+        renderedImages.set(etag, image);
+    }
+    return image;
+}
+
+// Keep a rendering, evicting the least recently used ones over the size budget
+function cacheRenderedImage(etag, image) {
+    renderedImages.set(etag, image);
+    renderedImageBytes += image.length;
+
+    for (const [key, cached] of renderedImages) {
+        if (renderedImageBytes <= IMAGE_CACHE_MAX_BYTES) {
+            break;
+        }
+        renderedImages.delete(key);
+        renderedImageBytes -= cached.length;
+    }
+}
+
+// Bump when rendering output changes so cached images are revalidated
+const IMAGE_RENDER_VERSION = 1;
+
+// Parse size/margin/color query options for the bitmap image endpoints
+function parseImageOptions(query) {
+    const defaults = MondrianRenderer.DEFAULT_RENDER_OPTIONS;
+    const size = parseOptionalInt(query.size);
+    const margin = parseOptionalInt(query.margin);
+    const options = { size: size === undefined ? defaults.size : size };
+
+    if (Number.isNaN(options.size) || options.size < IMAGE_MIN_SIZE || options.size > IMAGE_MAX_SIZE) {
+        return { error: `size must be an integer between ${IMAGE_MIN_SIZE} and ${IMAGE_MAX_SIZE}` };
+    }
+
+    // The default margin keeps the default image's proportions at any size
+    options.margin = margin === undefined
+        ? Math.round(options.size * defaults.margin / defaults.size)
+        : margin;
+    if (Number.isNaN(options.margin) || options.margin * 4 > options.size) {
+        return { error: 'margin must be a non-negative integer no larger than a quarter of size' };
+    }
+
+    for (const name of ['fill', 'stroke', 'background']) {
+        if (query[name] === undefined) {
+            options[name] = defaults[name];
+            continue;
+        }
+        options[name] = MondrianRenderer.normalizeHexColor(query[name]);
+        if (!options[name]) {
+            return { error: `${name} must be a hex color (#rgb or #rrggbb)` };
+        }
+    }
+
+    return { options };
+}
+
+// Bitmap rendered server-side as SVG or PNG with the web UI's Mondrian layout
+router.get('/bitmap/:bitmap_number/image.:format(svg|png)', requireDatabase, (req, res) => {
+    const bitmapNumber = parseInt(req.params.bitmap_number);
+    const format = req.params.format;
+
+    if (isNaN(bitmapNumber) || bitmapNumber < 0) {
+        return res.status(400).json({ error: 'Invalid bitmap number' });
+    }
+
+    const { options, error } = parseImageOptions(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    req.db.get("SELECT pattern_string FROM bitmap_patterns WHERE bitmap_number = ?", [bitmapNumber], (err, row) => {
+        if (err) {
+            return handleDatabaseError(err, req, res, 'bitmap image pattern lookup');
+        }
+
+        const squareSizes = row ? getPatternArray(row.pattern_string) : [];
+        if (squareSizes.length === 0) {
+            return res.status(404).json({ error: "Pattern not found for this bitmap" });
+        }
+
+        // The image is fully determined by the pattern and the render options
+        const etag = '"' + crypto.createHash('sha1')
+            .update(JSON.stringify([IMAGE_RENDER_VERSION, format, row.pattern_string, options]))
+            .digest('hex') + '"';
+
+        res.set('ETag', etag);
+        res.set('Cache-Control', 'public, max-age=3600');
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        const contentType = format === 'svg' ? 'image/svg+xml' : 'image/png';
+        const cached = getRenderedImage(etag);
+        if (cached) {
+            return res.type(contentType).send(cached);
+        }
+
+        try {
+            const renderer = new MondrianRenderer(squareSizes, options);
+            const image = format === 'svg' ? Buffer.from(renderer.toSVG()) : renderer.toPNG();
+            cacheRenderedImage(etag, image);
+            res.type(contentType).send(image);
+        } catch (renderError) {
+            console.error(`[API] Rendering bitmap ${bitmapNumber} as ${format} failed:`, renderError.message);
+            res.status(500).json({ error: 'Failed to render bitmap image' });
+        }
+    });
+});
+
+// ==================== PARCEL ENDPOINTS ====================
+
+// Parcels with their current owner (tracked location, falling back to the address at inscription time)
+const PARCEL_SELECT = `
+    SELECT p.inscription_id, p.parcel_number, p.bitmap_number, p.bitmap_inscription_id, p.content,
+           p.address AS mint_address, COALESCE(l.address, p.address) AS owner,
+           p.block_height, p.timestamp, p.transaction_count, p.is_valid
+    FROM parcels p
+    LEFT JOIN inscription_locations l ON l.inscription_id = p.inscription_id
+`;
+
+// List parcels filtered by bitmap number, current owner and validity
+router.get('/parcels', requireDatabase, (req, res) => {
+    const { page = 1, limit = 50, bitmap_number = '', owner = '', valid = '' } = req.query;
+    
+    const whereConditions = [];
+    const params = [];
+    
+    if (bitmap_number !== '') {
+        if (!/^\d+$/.test(bitmap_number)) {
+            return res.status(400).json({ error: 'Invalid bitmap number' });
+        }
+        whereConditions.push("p.bitmap_number = ?");
+        params.push(parseInt(bitmap_number, 10));
+    }
+    
+    if (owner) {
+        whereConditions.push("COALESCE(l.address, p.address) = ?");
+        params.push(owner);
+    }
+    
+    if (valid === 'true' || valid === 'false') {
+        whereConditions.push("p.is_valid = ?");
+        params.push(valid === 'true' ? 1 : 0);
+    }
+    
+    const whereClause = whereConditions.length > 0 ? " WHERE " + whereConditions.join(" AND ") : "";
+    const countQuery = `
+        SELECT COUNT(*) as total FROM parcels p
+        LEFT JOIN inscription_locations l ON l.inscription_id = p.inscription_id
+    ` + whereClause;
+    const query = PARCEL_SELECT + whereClause + " ORDER BY p.bitmap_number ASC, p.parcel_number ASC";
+    const paginatedQuery = paginate(query, params, page, limit);
+    
+    req.db.get(countQuery, params, (countErr, countRow) => {
+        if (countErr) {
+            return handleDatabaseError(countErr, req, res, 'parcels count query');
+        }
+        
+        req.db.all(paginatedQuery.query, paginatedQuery.params, (err, rows) => {
+            if (err) {
+                return handleDatabaseError(err, req, res, 'parcels query');
+            }
+            
+            res.json({
+                parcels: rows,
+                total: countRow?.total || 0,
+                page: paginatedQuery.page,
+                limit: paginatedQuery.limit,
+                totalPages: Math.ceil((countRow?.total || 0) / paginatedQuery.limit)
+            });
+        });
+    });
+});
+
+// Look up a parcel by inscription ID or by P.B notation (e.g. 12.840000 or 12.840000.bitmap)
+router.get('/parcels/:id', requireDatabase, (req, res) => {
+    const notation = req.params.id.match(/^(\d+)\.(\d+)(?:\.bitmap)?$/);
+    
+    const query = notation
+        ? PARCEL_SELECT + " WHERE p.parcel_number = ? AND p.bitmap_number = ?"
+        : PARCEL_SELECT + " WHERE p.inscription_id = ?";
+    const params = notation
+        ? [parseInt(notation[1], 10), parseInt(notation[2], 10)]
+        : [req.params.id];
+    
+    req.db.get(query, params, (err, row) => {
+        if (err) {
+            return handleDatabaseError(err, req, res, 'parcel lookup');
+        }
+        
+        if (!row) {
+            return res.status(404).json({ error: "Parcel not found" });
+        }
+        
+        res.json(row);
+    });
+});
+
+// Parcel occupancy of a bitmap: claimed, invalid (unverified) and free parcel numbers
+router.get('/bitmap/:bitmap_number/parcels', requireDatabase, (req, res) => {
+    const bitmapNumber = parseInt(req.params.bitmap_number);
+    
+    if (isNaN(bitmapNumber) || bitmapNumber < 0) {
+        return res.status(400).json({ error: 'Invalid bitmap number' });
+    }
+    
+    // Parcel numbers index the transactions of block N; prefer the count recorded for that block
+    const countQuery = `
+        SELECT COALESCE(
+            (SELECT transaction_count FROM processed_blocks WHERE block_height = ?),
+            (SELECT MAX(transaction_count) FROM parcels WHERE bitmap_number = ?)
+        ) AS transaction_count,
+        (SELECT inscription_id FROM bitmaps WHERE bitmap_number = ? ORDER BY block_height ASC LIMIT 1) AS bitmap_inscription_id
+    `;
+    
+    req.db.get(countQuery, [bitmapNumber, bitmapNumber, bitmapNumber], (countErr, info) => {
+        if (countErr) {
+            return handleDatabaseError(countErr, req, res, 'bitmap parcel info');
+        }
+        
+        req.db.all(PARCEL_SELECT + " WHERE p.bitmap_number = ? ORDER BY p.parcel_number ASC", [bitmapNumber], (err, rows) => {
+            if (err) {
+                return handleDatabaseError(err, req, res, 'bitmap parcels query');
+            }
+            
+            const transactionCount = info ? info.transaction_count : null;
+            const claimed = rows.filter(row => row.is_valid);
+            const invalid = rows.filter(row => !row.is_valid);
+            
+            // Free parcel numbers as inclusive ranges (blocks can have thousands of transactions)
+            let freeRanges = null;
+            if (transactionCount !== null) {
+                const taken = new Set(rows.map(row => row.parcel_number));
+                freeRanges = [];
+                for (let n = 0; n < transactionCount; n++) {
+                    if (taken.has(n)) continue;
+                    const last = freeRanges[freeRanges.length - 1];
+                    if (last && last.end === n - 1) {
+                        last.end = n;
+                    } else {
+                        freeRanges.push({ start: n, end: n });
+                    }
+                }
+            }
+            
+            res.json({
+                bitmap_number: bitmapNumber,
+                bitmap_inscription_id: info ? info.bitmap_inscription_id : null,
+                transaction_count: transactionCount,
+                claimed_count: claimed.length,
+                invalid_count: invalid.length,
+                free_count: transactionCount === null ? null : Math.max(0, transactionCount - rows.length),
+                claimed,
+                invalid,
+                free_ranges: freeRanges
+            });
+        });
+    });
+});
+
 // ==================== STATISTICS ENDPOINTS ====================
 
 // Get comprehensive statistics
@@ -600,10 +1311,29 @@ router.get('/stats', (req, res) => {
             
             completed++;
             if (completed === total) {
-                res.json({
-                    indexer_stats: stats,
-                    timestamp: new Date().toISOString()
-                });
+                // Include the resume decision the indexer derives from processed_blocks
+                new CheckpointManager(db).getResumeDecision(config.START_BLOCK)
+                    .then(decision => ({
+                        start_block: decision.start_block,
+                        contiguous_height: decision.contiguous_height,
+                        highest_processed: decision.highest_processed,
+                        resume_block: decision.resume_block,
+                        gap_count: decision.gaps.length,
+                        missing_blocks: decision.missing_blocks,
+                        gaps: decision.gaps.slice(0, 20),
+                        reason: decision.reason
+                    }))
+                    .catch(checkpointErr => {
+                        console.warn('[API] Failed to compute checkpoint:', checkpointErr.message);
+                        return null;
+                    })
+                    .then(checkpoint => {
+                        res.json({
+                            indexer_stats: stats,
+                            checkpoint: checkpoint,
+                            timestamp: new Date().toISOString()
+                        });
+                    });
             }
         });
     });
@@ -611,11 +1341,12 @@ router.get('/stats', (req, res) => {
 
 // ==================== FALLBACK AND ERROR HANDLING ====================
 
-// Global search endpoint with fallback
+// Search deploys, mints, bitmaps and parcels by inscription ID, txid, N.bitmap / P.B parcel notation,
+// number (bitmap, sat, inscription number), address or deploy name/content; results ranked by relevance
 router.get('/search', (req, res) => {
     if (!dbManager.isHealthy()) {
         return res.json({
-            query: req.query.q || '',
+            query: typeof req.query.q === 'string' ? req.query.q : '',
             results: [],
             total_found: 0,
             message: 'Database temporarily unavailable'
@@ -624,52 +1355,16 @@ router.get('/search', (req, res) => {
 
     const { q: query, limit = 20 } = req.query;
     
-    if (!query || query.trim().length === 0) {
+    // A repeated ?q= arrives as an array (and ?q[x]= as an object)
+    if (typeof query !== 'string' || query.trim().length === 0) {
         return res.status(400).json({ error: 'Search query required' });
     }
     
-    const searchTerm = `%${query.trim()}%`;
-    const searchLimit = Math.min(parseInt(limit), 100);
-    
-    const searchQueries = [
-        {
-            type: 'brc420_deploy',
-            query: `SELECT 'brc420_deploy' as type, inscription_id, tick as identifier, block_height FROM brc420_deploys WHERE inscription_id LIKE ? OR tick LIKE ? LIMIT ?`,
-            params: [searchTerm, searchTerm, searchLimit]
-        },
-        {
-            type: 'bitmap',
-            query: `SELECT 'bitmap' as type, inscription_id, CAST(bitmap_number AS TEXT) as identifier, block_height FROM bitmaps WHERE inscription_id LIKE ? OR CAST(bitmap_number AS TEXT) LIKE ? LIMIT ?`,
-            params: [searchTerm, searchTerm, searchLimit]
-        }
-    ];
-    
-    const results = [];
-    let completed = 0;
-    let hasError = false;
-    
-    searchQueries.forEach(({ type, query, params }) => {
-        req.db.all(query, params, (err, rows) => {
-            if (!err && rows && !hasError) {
-                results.push(...rows);
-            } else if (err && !hasError) {
-                hasError = true;
-                return handleDatabaseError(err, req, res, 'search query');
-            }
-            
-            completed++;
-            if (completed === searchQueries.length && !hasError) {
-                // Sort by block height descending
-                results.sort((a, b) => (b.block_height || 0) - (a.block_height || 0));
-                
-                res.json({
-                    query: query,
-                    results: results.slice(0, searchLimit),
-                    total_found: results.length
-                });
-            }
-        });
-    });
+    const searchLimit = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+
+    new EntitySearch(dbManager.getConnection()).search(query, searchLimit)
+        .then(result => res.json(result))
+        .catch(error => handleDatabaseError(error, req, res, 'search query'));
 });
 
 // Catch-all error handler for API routes
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Generates the CommonJS build of the shared Mondrian layout engine (mondrian-layout.js)
+// from its ES module source (public/js/mondrian-layout.mjs).
+//
+//   node scripts/build-mondrian-layout.js          write the build
+//   node scripts/build-mondrian-layout.js --check  exit 1 if the build is out of date
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_PATH = path.join(__dirname, '..', 'public', 'js', 'mondrian-layout.mjs');
+const BUILD_PATH = path.join(__dirname, '..', 'mondrian-layout.js');
+
+const EXPORT_PATTERN = /^export (?:const|let|class|function) (\w+)/gm;
+
+/**
+ * Converts the ES module source to CommonJS: drops the export keywords and
+ * collects the exported names into module.exports
+ * @param {string} source - ES module source
+ * @returns {string} - CommonJS module source
+ */
+function buildCommonJS(source) {
+    const names = [...source.matchAll(EXPORT_PATTERN)].map(match => match[1]);
+    if (names.length === 0) {
+        throw new Error(`No exports found in ${SOURCE_PATH}`);
+    }
+
+    const body = source
+        .replace(/^export (const|let|class|function) /gm, '$1 ')
+        .trimEnd();
+
+    return [
+        '// GENERATED FILE - do not edit. Built from public/js/mondrian-layout.mjs by `npm run build:mondrian`.',
+        '',
+        body,
+        '',
+        'module.exports = {',
+        names.map(name => `    ${name}`).join(',\n'),
+        '};',
+        ''
+    ].join('\n');
+}
+
+function main() {
+    const built = buildCommonJS(fs.readFileSync(SOURCE_PATH, 'utf8'));
+    const current = fs.existsSync(BUILD_PATH) ? fs.readFileSync(BUILD_PATH, 'utf8') : null;
+
+    if (process.argv.includes('--check')) {
+        if (built !== current) {
+            console.error(`${path.relative(process.cwd(), BUILD_PATH)} is out of date; run npm run build:mondrian`);
+            process.exit(1);
+        }
+        console.log(`${path.relative(process.cwd(), BUILD_PATH)} is up to date`);
+        return;
+    }
+
+    fs.writeFileSync(BUILD_PATH, built);
+    console.log(`Wrote ${path.relative(process.cwd(), BUILD_PATH)}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildCommonJS };
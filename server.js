@@ -6,6 +6,8 @@ const fs = require('fs');
 const net = require('net');
 const config = require('./config');
 const routes = require('./routes');
+const StatementCache = require('./statement-cache');
+const migrations = require('./db/migrations');
 
 const app = express();
 const PORT = config.WEB_PORT || 8080;
@@ -118,23 +120,29 @@ function initializeDatabase() {
                     
                     console.log('[DB] Database optimizations applied');
                     
-                    // Create essential tables only (simplified for faster startup)
-                    setupCriticalTables(db, (success) => {
-                        if (!resolved) {
-                            resolved = true;
-                            clearTimeout(timeout);
-                            
-                            if (success) {
-                                global.db = db;
-                                dbInitialized = true;
-                                console.log('[DB] Database initialization completed successfully');
-                                resolve(db);
-                            } else {
-                                console.warn('[DB] Database setup failed - continuing without database');
-                                resolve(null);
+                    // Bring the schema up to date (the indexer shares this connection)
+                    migrations.migrate(db)
+                        .then(() => true)
+                        .catch((migrationError) => {
+                            console.error('[DB] Schema migration failed:', migrationError.message);
+                            return false;
+                        })
+                        .then((success) => {
+                            if (!resolved) {
+                                resolved = true;
+                                clearTimeout(timeout);
+                                
+                                if (success) {
+                                    global.db = db;
+                                    dbInitialized = true;
+                                    console.log('[DB] Database initialization completed successfully');
+                                    resolve(db);
+                                } else {
+                                    console.warn('[DB] Database setup failed - continuing without database');
+                                    resolve(null);
+                                }
                             }
-                        }
-                    });
+                        });
                 });
             });
             
@@ -149,110 +157,6 @@ function initializeDatabase() {
     });
 }
 
-// Setup only critical tables for faster startup
-function setupCriticalTables(db, callback) {
-    const tables = [
-        {
-            name: 'brc420_deploys',
-            sql: `CREATE TABLE IF NOT EXISTS brc420_deploys (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                inscription_id TEXT UNIQUE NOT NULL,
-                tick TEXT NOT NULL,
-                max_supply INTEGER,
-                limit_per_mint INTEGER,
-                decimals INTEGER DEFAULT 18,
-                deployer TEXT,
-                block_height INTEGER,
-                sat_number INTEGER,
-                deploy_data TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`
-        },
-        {
-            name: 'brc420_mints',
-            sql: `CREATE TABLE IF NOT EXISTS brc420_mints (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                inscription_id TEXT UNIQUE NOT NULL,
-                tick TEXT NOT NULL,
-                amount INTEGER,
-                block_height INTEGER,
-                sat_number INTEGER,
-                mint_data TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`
-        },
-        {
-            name: 'bitmaps',
-            sql: `CREATE TABLE IF NOT EXISTS bitmaps (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                inscription_id TEXT UNIQUE NOT NULL,
-                bitmap_number INTEGER NOT NULL,
-                block_height INTEGER,
-                sat_number INTEGER,
-                transaction_patterns TEXT,
-                pattern_metadata TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(bitmap_number)
-            )`
-        },
-        {
-            name: 'bitmap_patterns',
-            sql: `CREATE TABLE IF NOT EXISTS bitmap_patterns (
-                bitmap_number INTEGER PRIMARY KEY,
-                pattern_string TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`
-        },
-        {
-            name: 'processed_blocks',
-            sql: `CREATE TABLE IF NOT EXISTS processed_blocks (
-                block_height INTEGER PRIMARY KEY,
-                inscriptions_processed INTEGER DEFAULT 0,
-                inscriptions_skipped INTEGER DEFAULT 0,
-                inscriptions_errors INTEGER DEFAULT 0,
-                processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`
-        }
-    ];
-    
-    let completed = 0;
-    let hasError = false;
-    
-    tables.forEach((table) => {
-        db.run(table.sql, (err) => {
-            if (err && !hasError) {
-                hasError = true;
-                console.error(`[DB] Error creating table ${table.name}:`, err.message);
-                callback(false);
-                return;
-            }
-            
-            completed++;
-            if (completed === tables.length && !hasError) {
-                console.log('[DB] Critical tables created successfully');
-                
-                // Create essential indexes
-                const indexes = [
-                    'CREATE INDEX IF NOT EXISTS idx_brc420_deploys_tick ON brc420_deploys(tick)',
-                    'CREATE INDEX IF NOT EXISTS idx_bitmaps_number ON bitmaps(bitmap_number)',
-                    'CREATE INDEX IF NOT EXISTS idx_processed_blocks_height ON processed_blocks(block_height)'
-                ];
-                
-                let indexCompleted = 0;
-                indexes.forEach((indexSql) => {
-                    db.run(indexSql, (indexErr) => {
-                        indexCompleted++;
-                        if (indexCompleted === indexes.length) {
-                            console.log('[DB] Essential indexes created');
-                            callback(true);
-                        }
-                    });
-                });
-            }
-        });
-    });
-}
-
 // Setup Express middleware and routes
 function setupExpress() {
     // Security and CORS
@@ -436,8 +340,9 @@ function setupGracefulShutdown(server) {
                 console.log('[SERVER] HTTP server closed');
             });
             
-            // Close database connection
+            // Close database connection (an unfinished block transaction is rolled back by SQLite)
             if (global.db) {
+                await StatementCache.forDatabase(global.db).finalize();
                 global.db.close((err) => {
                     if (err) {
                         console.error('[DB] Error closing database:', err.message);
@@ -0,0 +1,64 @@
+// Prepared statements reused across calls on one SQLite connection, keyed by SQL text
+
+const caches = new WeakMap();
+
+class StatementCache {
+    constructor(db) {
+        this.db = db;
+        this.statements = new Map();
+    }
+
+    /**
+     * Shared cache for a connection, so every writer on it reuses the same statements
+     * @param {Object} db - SQLite database connection
+     * @returns {StatementCache}
+     */
+    static forDatabase(db) {
+        if (!caches.has(db)) {
+            caches.set(db, new StatementCache(db));
+        }
+        return caches.get(db);
+    }
+
+    /**
+     * Returns the prepared statement for a SQL string, preparing it on first use.
+     * sqlite3 queues runs per statement, so concurrent callers can share one.
+     * @param {string} sql - SQL text
+     * @returns {Object} - sqlite3 Statement
+     */
+    prepare(sql) {
+        let statement = this.statements.get(sql);
+        if (!statement) {
+            statement = this.db.prepare(sql);
+            this.statements.set(sql, statement);
+        }
+        return statement;
+    }
+
+    /**
+     * Runs a cached statement
+     * @param {string} sql - SQL text
+     * @param {Array} params - Bound parameters
+     * @returns {Promise<number>} - Number of changed rows
+     */
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.prepare(sql).run(params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    /**
+     * Finalizes every cached statement (required before the connection can close)
+     * @returns {Promise<void>}
+     */
+    async finalize() {
+        const statements = [...this.statements.values()];
+        this.statements.clear();
+        await Promise.all(statements.map(statement => new Promise(resolve => statement.finalize(() => resolve()))));
+    }
+}
+
+module.exports = StatementCache;
@@ -0,0 +1,76 @@
+// Persisted indexer sync status (syncing vs live) shared between the indexer and the API
+
+const STATUS_KEY = 'sync_status';
+
+class SyncStatus {
+    constructor(db, logger = console) {
+        this.db = db;
+        this.logger = logger;
+        this.current = {
+            status: 'starting',
+            current_block: null,
+            tip_height: null,
+            target_height: null,
+            blocks_behind: null,
+            confirmation_depth: null
+        };
+    }
+
+    /**
+     * Merges changes into the current status and persists it
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object>} - The full status after the update
+     */
+    async update(changes) {
+        const previousStatus = this.current.status;
+        this.current = { ...this.current, ...changes };
+
+        if (previousStatus !== this.current.status) {
+            this.logger.info(`📡 Indexer status: ${previousStatus} → ${this.current.status}`);
+        }
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.db.run(`
+                    INSERT OR REPLACE INTO indexer_state (key, value, updated_at)
+                    VALUES (?, ?, datetime('now'))
+                `, [STATUS_KEY, JSON.stringify(this.current)], (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        } catch (error) {
+            // Status reporting must never interrupt indexing
+            this.logger.warn(`Failed to persist sync status: ${error.message}`);
+        }
+
+        return this.current;
+    }
+
+    /**
+     * Reads the last persisted status (used by the API, possibly from another process)
+     * @param {Object} db - SQLite database connection
+     * @returns {Promise<Object|null>} - Status with updated_at, or null if never written
+     */
+    static load(db) {
+        return new Promise((resolve, reject) => {
+            db.get("SELECT value, updated_at FROM indexer_state WHERE key = ?", [STATUS_KEY], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                if (!row) {
+                    resolve(null);
+                    return;
+                }
+                try {
+                    resolve({ ...JSON.parse(row.value), updated_at: row.updated_at });
+                } catch (parseErr) {
+                    reject(parseErr);
+                }
+            });
+        });
+    }
+}
+
+module.exports = SyncStatus;
@@ -0,0 +1,234 @@
+// BitcoinRpcClient against a mock JSON-RPC server: auth, batching, retries and the getblock verbosity fallback
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const BitcoinRpcClient = require('../bitcoin-rpc');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const txid = n => n.toString(16).padStart(64, '0');
+const BLOCK_HASH = 'ab'.repeat(32);
+
+// A block with a coinbase and one transaction spending output 1 of txid(100)
+function blockTransaction(withPrevout) {
+    const input = { txid: txid(100), vout: 1 };
+    if (withPrevout) {
+        input.prevout = { value: 0.0005 };
+    }
+
+    return [
+        { txid: txid(1), vin: [{ coinbase: '03' }], vout: [{ value: 3.125, scriptPubKey: { address: 'bc1miner' } }] },
+        { txid: txid(2), vin: [input], vout: [{ value: 0.0004, scriptPubKey: { address: 'bc1dest' } }] }
+    ];
+}
+
+const RAW_TRANSACTIONS = {
+    [txid(100)]: {
+        txid: txid(100),
+        vin: [{ coinbase: '04' }],
+        vout: [
+            { value: 0.001, scriptPubKey: { address: 'bc1first' } },
+            { value: 0.0005, scriptPubKey: { address: 'bc1second' } }
+        ]
+    }
+};
+
+class MockRpcServer {
+    constructor() {
+        this.requests = [];
+        this.handler = null;
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const payload = JSON.parse(body);
+                this.requests.push({ auth: req.headers.authorization || null, payload });
+                const reply = this.handler(payload, req);
+                if (reply === null) {
+                    req.socket.destroy();
+                    return;
+                }
+                res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(reply.body));
+            });
+        });
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            this.url = `http://127.0.0.1:${this.server.address().port}`;
+            resolve();
+        }));
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    // Method calls seen so far, batches flattened
+    get calls() {
+        return this.requests.flatMap(request => [].concat(request.payload)).map(call => call.method);
+    }
+}
+
+// Answers one JSON-RPC call like bitcoind; coreVersion selects the getblock verbosity behavior
+function answer(call, coreVersion) {
+    const reply = result => ({ result, error: null, id: call.id });
+    const fail = (code, message) => ({ result: null, error: { code, message }, id: call.id });
+
+    switch (call.method) {
+        case 'getblockcount':
+            return reply(840000);
+        case 'getblock': {
+            const verbosity = call.params[1];
+            if (verbosity === 3 && coreVersion < 22) {
+                return fail(-8, 'Verbosity value out of range');
+            }
+            return reply({ hash: BLOCK_HASH, tx: blockTransaction(verbosity === 3 && coreVersion >= 25) });
+        }
+        case 'getrawtransaction': {
+            const tx = RAW_TRANSACTIONS[call.params[0]];
+            return tx ? reply(tx) : fail(-5, 'No such mempool or blockchain transaction');
+        }
+        default:
+            return fail(-32601, 'Method not found');
+    }
+}
+
+function bitcoind(coreVersion) {
+    return payload => {
+        const body = Array.isArray(payload)
+            ? payload.map(call => answer(call, coreVersion))
+            : answer(payload, coreVersion);
+        const failed = !Array.isArray(body) && body.error;
+        return { status: failed ? 500 : 200, body };
+    };
+}
+
+function basicAuth(username, password) {
+    return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+describe('BitcoinRpcClient', () => {
+    const mock = new MockRpcServer();
+
+    before(() => mock.listen());
+    after(() => mock.close());
+    beforeEach(() => {
+        mock.requests = [];
+        mock.handler = bitcoind(25);
+    });
+
+    const createClient = (options = {}) => new BitcoinRpcClient({ url: mock.url, maxRetries: 2, ...options }, silentLogger);
+
+    describe('auth', () => {
+        it('sends user/password as basic auth', async () => {
+            const client = createClient({ username: 'alice', password: 'secret' });
+            assert.strictEqual(await client.getBlockCount(), 840000);
+            assert.strictEqual(mock.requests[0].auth, basicAuth('alice', 'secret'));
+        });
+
+        it('re-reads the cookie file after an authentication failure', async () => {
+            const cookieFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-cookie-')), '.cookie');
+            fs.writeFileSync(cookieFile, '__cookie__:old\n');
+
+            const expected = basicAuth('__cookie__', 'new');
+            mock.handler = (payload, req) => req.headers.authorization === expected
+                ? bitcoind(25)(payload)
+                : { status: 401, body: null };
+
+            const client = createClient({ cookieFile });
+            await client.getBlockCount().catch(() => {});
+            fs.writeFileSync(cookieFile, '__cookie__:new\n');
+
+            assert.strictEqual(await client.getBlockCount(), 840000);
+            assert.deepStrictEqual(mock.requests.map(request => request.auth).slice(-2), [basicAuth('__cookie__', 'old'), expected]);
+        });
+    });
+
+    describe('batching', () => {
+        it('splits requests into batches and keeps request order when answered out of order', async () => {
+            mock.handler = payload => ({ body: payload.map(call => ({ result: call.params[0], error: null, id: call.id })).reverse() });
+
+            const client = createClient({ batchSize: 2 });
+            const results = await client.batch([1, 2, 3, 4, 5].map(n => ({ method: 'echo', params: [n] })));
+
+            assert.deepStrictEqual(results, [1, 2, 3, 4, 5]);
+            assert.deepStrictEqual(mock.requests.map(request => request.payload.length), [2, 2, 1]);
+        });
+
+        it('fails on an error inside a batch', async () => {
+            const client = createClient();
+            await assert.rejects(
+                client.batch([{ method: 'getrawtransaction', params: [txid(100), true] }, { method: 'getrawtransaction', params: [txid(999), true] }]),
+                error => error instanceof BitcoinRpcClient.BitcoinRpcError && error.code === -5
+            );
+        });
+    });
+
+    describe('retries', () => {
+        it('retries a dropped connection', async () => {
+            let dropped = false;
+            mock.handler = payload => {
+                if (!dropped) {
+                    dropped = true;
+                    return null;
+                }
+                return bitcoind(25)(payload);
+            };
+
+            assert.strictEqual(await createClient().getBlockCount(), 840000);
+            assert.strictEqual(mock.requests.length, 2);
+        });
+
+        it('gives up after maxRetries attempts', async () => {
+            mock.handler = () => ({ status: 503, body: {} });
+
+            await assert.rejects(createClient().getBlockCount(), /after 2 attempts/);
+            assert.strictEqual(mock.requests.length, 2);
+        });
+
+        it('does not retry JSON-RPC errors', async () => {
+            await assert.rejects(createClient().call('nosuchmethod'), error => error.code === -32601);
+            assert.strictEqual(mock.requests.length, 1);
+        });
+    });
+
+    describe('getblock verbosity', () => {
+        const expected = [
+            { txid: txid(1), inputs: [{ txid: null, vout: null, value: 0 }], outputs: [{ address: 'bc1miner', value: 312500000 }] },
+            { txid: txid(2), inputs: [{ txid: txid(100), vout: 1, value: 50000 }], outputs: [{ address: 'bc1dest', value: 40000 }] }
+        ];
+
+        it('uses verbosity 3 prevouts without extra lookups (Core 25+)', async () => {
+            const transactions = await createClient().getBlockTransactions(BLOCK_HASH);
+            assert.deepStrictEqual(transactions, expected);
+            assert.deepStrictEqual(mock.calls, ['getblock']);
+        });
+
+        it('looks up input values when verbosity 3 is accepted without prevouts (Core 22 and older)', async () => {
+            mock.handler = bitcoind(22);
+
+            const transactions = await createClient().getBlockTransactions(BLOCK_HASH);
+            assert.deepStrictEqual(transactions, expected);
+            assert.deepStrictEqual(mock.calls, ['getblock', 'getrawtransaction']);
+        });
+
+        it('falls back to verbosity 2 when verbosity 3 is rejected, and stays there', async () => {
+            mock.handler = bitcoind(21);
+            const client = createClient();
+
+            assert.deepStrictEqual(await client.getBlockTransactions(BLOCK_HASH), expected);
+            assert.deepStrictEqual(await client.getBlockTransactions(BLOCK_HASH), expected);
+
+            const verbosities = mock.requests
+                .map(request => request.payload)
+                .filter(call => call.method === 'getblock')
+                .map(call => call.params[1]);
+            assert.deepStrictEqual(verbosities, [3, 2, 2]);
+        });
+    });
+});
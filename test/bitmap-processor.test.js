@@ -0,0 +1,80 @@
+// BitmapProcessor against a migrated in-memory database: parcel checks against the parent bitmap
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const migrations = require('../db/migrations');
+const BitmapProcessor = require('../bitmap-processor');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const inscriptionId = n => `${n.toString(16).padStart(64, '0')}i0`;
+const BITMAP_ID = inscriptionId(1);
+const PARCEL_ID = inscriptionId(2);
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+describe('BitmapProcessor parcels', () => {
+    let db;
+    let processor;
+    let warnings;
+    // Heights whose transaction count was looked up
+    let countLookups;
+
+    const transactionCount = count => async height => {
+        countLookups.push(height);
+        return count;
+    };
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        await migrations.migrate(db, silentLogger);
+
+        warnings = [];
+        countLookups = [];
+        processor = new BitmapProcessor(
+            db, { ...silentLogger, warn: message => warnings.push(message) }, silentLogger,
+            async id => (id === BITMAP_ID ? [PARCEL_ID] : []),
+            async () => ({ number: 1 }),
+            async () => 'bc1owner',
+            async () => null
+        );
+        await processor.claimBitmap({ inscription_id: BITMAP_ID, inscription_number: 1, bitmap_number: 800000, block_height: 800000 });
+    });
+
+    afterEach(() => new Promise(resolve => db.close(resolve)));
+
+    it('saves a child parcel numbered within its bitmap block', async () => {
+        const result = await processor.processParcelInscription('2.800000.bitmap', PARCEL_ID, 800001, transactionCount(3));
+
+        assert.deepStrictEqual(result, { type: 'parcel', id: PARCEL_ID });
+        const parcels = await all(db, 'SELECT bitmap_inscription_id, transaction_count, is_valid FROM parcels');
+        assert.deepStrictEqual(parcels, [{ bitmap_inscription_id: BITMAP_ID, transaction_count: 3, is_valid: 1 }]);
+    });
+
+    it('fails without the bitmap block\'s transaction count instead of saving the parcel', async () => {
+        await assert.rejects(
+            processor.processParcelInscription('2.800000.bitmap', PARCEL_ID, 800001, transactionCount(null)),
+            /transaction count/
+        );
+        assert.deepStrictEqual(await all(db, 'SELECT inscription_id FROM parcels'), []);
+    });
+
+    it('rejects a parcel of a bitmap above its block height', async () => {
+        const result = await processor.processParcelInscription('0.900000.bitmap', PARCEL_ID, 800001, transactionCount(3));
+
+        assert.strictEqual(result, null);
+        assert.deepStrictEqual(countLookups, []);
+        assert.match(warnings.join('\n'), /bitmap 900000 is above block height 800001/);
+    });
+
+    it('logs a parcel whose bitmap has no indexed claim', async () => {
+        const result = await processor.processParcelInscription('0.799999.bitmap', PARCEL_ID, 800001, transactionCount(3));
+
+        assert.strictEqual(result, null);
+        assert.match(warnings.join('\n'), /bitmap 799999 has no indexed claim/);
+    });
+});
@@ -0,0 +1,120 @@
+// Brc420Processor against a migrated in-memory database: first-deploy-wins and replaced deploys' mints
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const migrations = require('../db/migrations');
+const Brc420Processor = require('../brc420-processor');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const txid = n => n.toString(16).padStart(64, '0');
+const inscriptionId = n => `${txid(n)}i0`;
+const SOURCE_ID = inscriptionId(1);
+
+const deployContent = price => JSON.stringify({ p: 'brc-420', op: 'deploy', id: SOURCE_ID, name: 'Test', max: '10', price });
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+describe('Brc420Processor', () => {
+    let db;
+    let processor;
+    // Deployer and mint transactions: genesis address and outputs per inscription / txid
+    let genesisAddresses;
+    let transactionOutputs;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        await migrations.migrate(db, silentLogger);
+
+        genesisAddresses = new Map();
+        transactionOutputs = new Map();
+        processor = new Brc420Processor(
+            db, silentLogger, silentLogger,
+            async () => null,
+            async id => genesisAddresses.get(id) || null,
+            async () => 'bc1source',
+            async id => transactionOutputs.get(id) || null
+        );
+    });
+
+    afterEach(() => new Promise(resolve => db.close(resolve)));
+
+    it('keeps the lower inscription number when two deploys of a source in one block race', async () => {
+        const earlier = inscriptionId(5);
+        const later = inscriptionId(7);
+        genesisAddresses.set(earlier, 'bc1source');
+        genesisAddresses.set(later, 'bc1source');
+
+        // Both look the source up before either inserts, and the later deploy inserts first
+        const lookups = [];
+        let releaseLookups;
+        const bothLookedUp = new Promise(resolve => { releaseLookups = resolve; });
+        const getDeployBySource = processor.getDeployBySource.bind(processor);
+        processor.getDeployBySource = async sourceId => {
+            const deploy = await getDeployBySource(sourceId);
+            lookups.push(deploy);
+            if (lookups.length === 2) releaseLookups();
+            await bothLookedUp;
+            return deploy;
+        };
+
+        let laterSaved;
+        const laterSaving = new Promise(resolve => { laterSaved = resolve; });
+        const saveDeploy = processor.saveDeploy.bind(processor);
+        processor.saveDeploy = async deploy => {
+            if (deploy.inscription_id === earlier) await laterSaving;
+            const saved = await saveDeploy(deploy);
+            if (deploy.inscription_id === later) laterSaved();
+            return saved;
+        };
+
+        await Promise.all([
+            processor.processDeploy(later, deployContent('0'), { number: 7 }, 800000),
+            processor.processDeploy(earlier, deployContent('0'), { number: 5 }, 800000)
+        ]);
+
+        const deploys = await all(db, 'SELECT inscription_id FROM brc420_deploys');
+        assert.deepStrictEqual(deploys, [{ inscription_id: earlier }]);
+    });
+
+    it('moves the mints of a replaced deploy to the earlier deploy and judges them again', async () => {
+        const laterDeploy = inscriptionId(20);
+        const earlierDeploy = inscriptionId(10);
+        genesisAddresses.set(laterDeploy, 'bc1source');
+        genesisAddresses.set(earlierDeploy, 'bc1source');
+
+        await processor.processDeploy(laterDeploy, deployContent('0'), { number: 20 }, 800010);
+
+        // Both mints are free under the later deploy; only the first pays the earlier deploy's price
+        const paying = inscriptionId(30);
+        const notPaying = inscriptionId(31);
+        transactionOutputs.set(txid(30), [{ address: 'bc1source', value: 10000 }]);
+        transactionOutputs.set(txid(31), [{ address: 'bc1other', value: 10000 }]);
+        await processor.processMint(paying, `/content/${SOURCE_ID}`, { number: 30 }, 800011);
+        await processor.processMint(notPaying, `/content/${SOURCE_ID}`, { number: 31 }, 800011);
+        await processor.rankBlockMints(800011);
+
+        assert.deepStrictEqual(
+            await processor.getMintTransactionsToRejudge(SOURCE_ID, { inscription_id: earlierDeploy, inscription_number: 10, block_height: 800005 }),
+            [txid(30), txid(31)]
+        );
+
+        await processor.processDeploy(earlierDeploy, deployContent('0.0001'), { number: 10 }, 800005);
+
+        const deploys = await all(db, 'SELECT inscription_id FROM brc420_deploys');
+        assert.deepStrictEqual(deploys, [{ inscription_id: earlierDeploy }]);
+
+        const mints = await all(db, `
+            SELECT inscription_id, deploy_id, is_valid, invalid_reason, mint_number
+            FROM brc420_mints ORDER BY inscription_number
+        `);
+        assert.deepStrictEqual(mints, [
+            { inscription_id: paying, deploy_id: earlierDeploy, is_valid: 1, invalid_reason: null, mint_number: 1 },
+            { inscription_id: notPaying, deploy_id: earlierDeploy, is_valid: 0, invalid_reason: 'ROYALTY_NOT_PAID', mint_number: null }
+        ]);
+    });
+});
@@ -0,0 +1,258 @@
+// The indexer end to end against mock ord and Esplora servers. Each run is a separate process:
+// index-runner keeps its database, caches and timers in module state.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const migrations = require('../db/migrations');
+
+const START = 100;
+const TIP = 102;
+const TRANSACTIONS_PER_BLOCK = 3;
+
+const hash = height => height.toString(16).padStart(64, '0');
+const txid = (height, index) => (height * 1000 + index).toString(16).padStart(64, 'a');
+const inscriptionId = (height, index) => `${txid(height, index)}i0`;
+
+const BITMAP_ID = inscriptionId(START, 1);
+
+function esploraTransactions(height) {
+    return Array.from({ length: TRANSACTIONS_PER_BLOCK }, (_, index) => ({
+        txid: txid(height, index),
+        vin: [index === 0
+            ? { is_coinbase: true, prevout: null }
+            : { txid: txid(height - 1, index), vout: 0, prevout: { value: 1000 } }],
+        vout: [{ value: 900 + index, scriptpubkey_address: `bc1addr${index}` }],
+        status: { confirmed: true, block_height: height }
+    }));
+}
+
+// ord and Esplora (under /api) for blocks START..TIP. chain.inscriptions maps a height to
+// [{id, content}]; a full content request for an ID in chain.failContent answers 500, and so
+// does every block header request for a height in chain.failBlockInfo.
+function startMock(chain) {
+    const failBlockInfo = chain.failBlockInfo || new Set();
+    const failContent = chain.failContent || new Set();
+    const inscriptions = new Map();
+    for (const [height, list] of Object.entries(chain.inscriptions)) {
+        list.forEach((inscription, number) => inscriptions.set(inscription.id, { ...inscription, height: Number(height), number }));
+    }
+
+    const server = http.createServer((req, res) => {
+        const json = body => {
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify(body));
+        };
+        const notFound = () => {
+            res.statusCode = 404;
+            res.end();
+        };
+        const failed = () => {
+            res.statusCode = 500;
+            res.end();
+        };
+        const url = req.url;
+        let match;
+
+        if (url === '/blockheight' || url === '/api/blocks/tip/height') {
+            return res.end(String(TIP));
+        }
+        if ((match = url.match(/^\/r\/blockinfo\/(\d+)$/))) {
+            const height = Number(match[1]);
+            if (failBlockInfo.has(height)) return failed();
+            return json({ hash: hash(height), previous_blockhash: hash(height - 1), transaction_count: TRANSACTIONS_PER_BLOCK, timestamp: 1700000000 + height });
+        }
+        if ((match = url.match(/^\/inscriptions\/block\/(\d+)$/))) {
+            return json({ ids: (chain.inscriptions[match[1]] || []).map(inscription => inscription.id), more: false, page_index: 0 });
+        }
+        if ((match = url.match(/^\/inscription\/(\w+)$/))) {
+            const inscription = inscriptions.get(match[1]);
+            if (!inscription) return notFound();
+            return json({
+                id: inscription.id,
+                number: inscription.number,
+                content_type: 'text/plain;charset=utf-8',
+                content_length: inscription.content.length,
+                address: 'bc1addr0',
+                height: inscription.height,
+                timestamp: 1700000000 + inscription.height,
+                satpoint: `${inscription.id.slice(0, 64)}:0:0`,
+                sat: null
+            });
+        }
+        if ((match = url.match(/^\/content\/(\w+)$/))) {
+            const inscription = inscriptions.get(match[1]);
+            if (!inscription) return notFound();
+            if (!req.headers.range && failContent.has(inscription.id)) return failed();
+            return res.end(inscription.content);
+        }
+        if (url.startsWith('/children/')) {
+            return json({ ids: [], more: false, page_index: 0 });
+        }
+        if ((match = url.match(/^\/api\/block-height\/(\d+)$/))) {
+            if (failBlockInfo.has(Number(match[1]))) return failed();
+            return res.end(hash(Number(match[1])));
+        }
+        if ((match = url.match(/^\/api\/block\/(\w+)$/))) {
+            const height = parseInt(match[1], 16);
+            return json({ id: match[1], height, previousblockhash: hash(height - 1), tx_count: TRANSACTIONS_PER_BLOCK, timestamp: 1700000000 + height });
+        }
+        if ((match = url.match(/^\/api\/block\/(\w+)\/txs\/(\d+)$/))) {
+            return json(esploraTransactions(parseInt(match[1], 16)).slice(Number(match[2]), Number(match[2]) + 25));
+        }
+        if ((match = url.match(/^\/api\/tx\/(\w+)$/))) {
+            const height = Math.floor(parseInt(match[1].replace(/^a+/, ''), 16) / 1000);
+            const transaction = esploraTransactions(height).find(tx => tx.txid === match[1]);
+            return transaction ? json(transaction) : notFound();
+        }
+        return notFound();
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Run the indexer from START until its output matches `until`, then stop it
+function runIndexer(workDir, apiUrl, until) {
+    const script = `require(${JSON.stringify(path.join(__dirname, '..', 'index-runner.js'))}).startIndexer()`;
+    const child = spawn(process.execPath, ['-e', script], {
+        cwd: workDir,
+        env: {
+            ...process.env,
+            NODE_ENV: 'development',
+            DB_PATH: path.join(workDir, 'index.db'),
+            ORD_API_URL: apiUrl,
+            API_WALLET_URL: `${apiUrl}/api`,
+            USE_LOCAL_APIS_ONLY: 'true',
+            START_BLOCK: String(START),
+            TRACK_TRANSFERS: 'false',
+            PIPELINE_LOOKAHEAD: '0',
+            TIP_POLL_INTERVAL: '500'
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Indexer output never matched ${until}:\n${output.slice(-2000)}`));
+        }, 90000);
+
+        const onData = data => {
+            output += data;
+            if (until.test(output)) {
+                clearTimeout(timer);
+                child.kill();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('exit', () => {
+            clearTimeout(timer);
+            resolve(output);
+        });
+    });
+}
+
+// A database left by an earlier run: processed_blocks rows are [height, hash], rows are [sql, params]
+async function seedIndex(workDir, processed, rows = []) {
+    const db = new sqlite3.Database(path.join(workDir, 'index.db'));
+    const run = (sql, params) => new Promise((resolve, reject) => db.run(sql, params, err => (err ? reject(err) : resolve())));
+    try {
+        await migrations.migrate(db, { debug() {}, info() {}, warn() {}, error() {} });
+        for (const [height, blockHash] of processed) {
+            await run('INSERT INTO processed_blocks (block_height, block_hash, previous_hash) VALUES (?, ?, ?)', [height, blockHash, hash(height - 1)]);
+        }
+        for (const [sql, params] of rows) {
+            await run(sql, params);
+        }
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+}
+
+function queryIndex(workDir, sql) {
+    const db = new sqlite3.Database(path.join(workDir, 'index.db'));
+    return new Promise((resolve, reject) => {
+        db.all(sql, (err, rows) => db.close(() => (err ? reject(err) : resolve(rows))));
+    });
+}
+
+describe('indexer', () => {
+    let workDir;
+
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'index-runner-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('indexes a bitmap and marks its block processed', async () => {
+        const dir = fs.mkdtempSync(path.join(workDir, 'ok-'));
+        const server = await startMock({ inscriptions: { [START]: [{ id: BITMAP_ID, content: '5.bitmap' }] } });
+        try {
+            await runIndexer(dir, `http://127.0.0.1:${server.address().port}`, /Indexer status: syncing → live/);
+        } finally {
+            server.close();
+        }
+
+        const bitmaps = await queryIndex(dir, 'SELECT inscription_id, bitmap_number FROM bitmaps');
+        assert.deepStrictEqual(bitmaps, [{ inscription_id: BITMAP_ID, bitmap_number: 5 }]);
+        const processed = await queryIndex(dir, 'SELECT block_height FROM processed_blocks ORDER BY block_height');
+        assert.deepStrictEqual(processed.map(row => row.block_height), [100, 101, 102]);
+    });
+
+    it('does not mark a block processed when an inscription\'s content cannot be fetched', async () => {
+        const dir = fs.mkdtempSync(path.join(workDir, 'fail-'));
+        const server = await startMock({ inscriptions: { [START]: [{ id: BITMAP_ID, content: '5.bitmap' }] }, failContent: new Set([BITMAP_ID]) });
+        try {
+            await runIndexer(dir, `http://127.0.0.1:${server.address().port}`, new RegExp(`Error processing block ${START}`));
+        } finally {
+            server.close();
+        }
+
+        const processed = await queryIndex(dir, 'SELECT block_height FROM processed_blocks');
+        assert.deepStrictEqual(processed, []);
+        const bitmaps = await queryIndex(dir, 'SELECT inscription_id FROM bitmaps');
+        assert.deepStrictEqual(bitmaps, []);
+    });
+
+    it('indexes the blocks above a gap again, checking each against its parent', async () => {
+        const dir = fs.mkdtempSync(path.join(workDir, 'gap-'));
+        // Block 100 was indexed from a chain that has since been replaced; 102 holds a claim the chain no longer has
+        const stale = inscriptionId(TIP, 2);
+        await seedIndex(dir, [[START, 'ff'.repeat(32)], [TIP, hash(TIP)]], [
+            ['INSERT INTO bitmaps (inscription_id, inscription_number, bitmap_number, block_height) VALUES (?, 9, 8, ?)', [stale, TIP]]
+        ]);
+
+        const server = await startMock({ inscriptions: { [START + 1]: [{ id: inscriptionId(START + 1, 1), content: '7.bitmap' }] } });
+        try {
+            await runIndexer(dir, `http://127.0.0.1:${server.address().port}`, /Indexer status: syncing → live/);
+        } finally {
+            server.close();
+        }
+
+        const processed = await queryIndex(dir, 'SELECT block_height, block_hash FROM processed_blocks ORDER BY block_height');
+        assert.deepStrictEqual(processed, [START, START + 1, TIP].map(height => ({ block_height: height, block_hash: hash(height) })));
+        const bitmaps = await queryIndex(dir, 'SELECT inscription_id, bitmap_number FROM bitmaps');
+        assert.deepStrictEqual(bitmaps, [{ inscription_id: inscriptionId(START + 1, 1), bitmap_number: 7 }]);
+    });
+
+    it('does not mark a block processed without its hash', async () => {
+        const dir = fs.mkdtempSync(path.join(workDir, 'nohash-'));
+        const server = await startMock({ inscriptions: {}, failBlockInfo: new Set([START]) });
+        try {
+            await runIndexer(dir, `http://127.0.0.1:${server.address().port}`, new RegExp(`Error processing block ${START}`));
+        } finally {
+            server.close();
+        }
+
+        const processed = await queryIndex(dir, 'SELECT block_height FROM processed_blocks');
+        assert.deepStrictEqual(processed, []);
+    });
+});
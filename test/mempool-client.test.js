@@ -0,0 +1,64 @@
+// MempoolClient against a mock Esplora server: block transaction paging
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const MempoolClient = require('../mempool-client');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const BLOCK_HASH = 'ab'.repeat(32);
+const TX_COUNT = 50;
+
+const txid = n => n.toString(16).padStart(64, '0');
+const transactions = Array.from({ length: TX_COUNT }, (_, index) => ({
+    txid: txid(index),
+    vin: [{ is_coinbase: index === 0, txid: txid(index + 1000), vout: 0, prevout: { value: 2000 } }],
+    vout: [{ value: 1000 + index, scriptpubkey_address: 'bc1dest' }]
+}));
+
+describe('MempoolClient', () => {
+    let server;
+    let client;
+    let requests;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            let match;
+
+            if (req.url === `/block/${BLOCK_HASH}`) {
+                res.setHeader('content-type', 'application/json');
+                return res.end(JSON.stringify({ id: BLOCK_HASH, tx_count: TX_COUNT }));
+            }
+            if ((match = req.url.match(/^\/block\/\w+\/txs\/(\d+)$/))) {
+                const start = Number(match[1]);
+                // Esplora rejects a start index past the last transaction
+                if (start >= TX_COUNT) {
+                    res.statusCode = 400;
+                    return res.end('start index out of range');
+                }
+                res.setHeader('content-type', 'application/json');
+                return res.end(JSON.stringify(transactions.slice(start, start + 25)));
+            }
+            res.statusCode = 404;
+            res.end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        client = new MempoolClient([`http://127.0.0.1:${server.address().port}`], silentLogger, { maxRetries: 1 });
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('pages a block whose transaction count is a multiple of the page size', async () => {
+        requests = [];
+        const result = await client.getBlockTransactions(BLOCK_HASH);
+
+        assert.strictEqual(result.length, TX_COUNT);
+        assert.deepStrictEqual(result[49].outputs, [{ address: 'bc1dest', value: 1049 }]);
+        assert.deepStrictEqual(requests, [
+            `/block/${BLOCK_HASH}`,
+            `/block/${BLOCK_HASH}/txs/0`,
+            `/block/${BLOCK_HASH}/txs/25`
+        ]);
+    });
+});
@@ -0,0 +1,273 @@
+// Schema migrations against a database written by the original (unversioned) setup script
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const migrations = require('../db/migrations');
+const CheckpointManager = require('../checkpoint-manager');
+const Brc420Processor = require('../brc420-processor');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const inscriptionId = n => `${n.toString(16).padStart(64, '0')}i0`;
+const SOURCE_ID = inscriptionId(1);
+const DEPLOY_ID = inscriptionId(2);
+
+// Tables as the original db/setup.js created them (BRC-20 style deploys and mints)
+const LEGACY_SCHEMA_SQL = [
+    `CREATE TABLE brc420_deploys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        inscription_id TEXT UNIQUE NOT NULL,
+        tick TEXT NOT NULL,
+        max_supply INTEGER,
+        limit_per_mint INTEGER,
+        decimals INTEGER DEFAULT 18,
+        deployer TEXT,
+        block_height INTEGER,
+        sat_number INTEGER,
+        deploy_data TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE brc420_mints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        inscription_id TEXT UNIQUE NOT NULL,
+        tick TEXT NOT NULL,
+        amount INTEGER,
+        block_height INTEGER,
+        sat_number INTEGER,
+        mint_data TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE bitmaps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        inscription_id TEXT UNIQUE NOT NULL,
+        bitmap_number INTEGER NOT NULL,
+        block_height INTEGER,
+        sat_number INTEGER,
+        transaction_patterns TEXT,
+        pattern_metadata TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(bitmap_number)
+    )`,
+    `CREATE TABLE processed_blocks (
+        block_height INTEGER PRIMARY KEY,
+        inscriptions_processed INTEGER DEFAULT 0,
+        inscriptions_skipped INTEGER DEFAULT 0,
+        inscriptions_errors INTEGER DEFAULT 0,
+        processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE failed_inscriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        inscription_id TEXT NOT NULL,
+        block_height INTEGER,
+        error_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE bitmap_patterns (
+        bitmap_number INTEGER PRIMARY KEY,
+        pattern_string TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+];
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+describe('migration 3 (replace_legacy_brc420_tables)', () => {
+    let db;
+
+    before(async () => {
+        db = new sqlite3.Database(':memory:');
+        for (const sql of LEGACY_SCHEMA_SQL) {
+            await run(db, sql);
+        }
+
+        for (let height = 800000; height <= 800010; height++) {
+            await run(db, 'INSERT INTO processed_blocks (block_height, inscriptions_processed) VALUES (?, 1)', [height]);
+        }
+        await run(db, `INSERT INTO brc420_deploys (inscription_id, tick, max_supply, block_height)
+                       VALUES (?, 'tick', 21, 800005)`, [DEPLOY_ID]);
+        await run(db, `INSERT INTO brc420_mints (inscription_id, tick, amount, block_height)
+                       VALUES (?, 'tick', 1, 800007)`, [inscriptionId(3)]);
+        // Numbered like the bitmaps the current indexer stores, so migration 12 does not re-check them
+        await run(db, 'ALTER TABLE bitmaps ADD COLUMN inscription_number INTEGER');
+        await run(db, `INSERT INTO bitmaps (inscription_id, inscription_number, bitmap_number, block_height, pattern_metadata)
+                       VALUES (?, 4, 2, 800002, '{"source_block":2}'), (?, 5, 6, 800006, '{"source_block":6}')`,
+        [inscriptionId(4), inscriptionId(5)]);
+        await run(db, "INSERT INTO bitmap_patterns (bitmap_number, pattern_string) VALUES (2, '1'), (6, '1')");
+
+        await migrations.migrate(db, silentLogger);
+    });
+
+    after(() => new Promise(resolve => db.close(resolve)));
+
+    it('keeps the legacy rows in a renamed table', async () => {
+        const tables = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'brc420_deploys_legacy_%'");
+        assert.strictEqual(tables.length, 1);
+
+        const legacy = await all(db, `SELECT inscription_id FROM ${tables[0].name}`);
+        assert.deepStrictEqual(legacy.map(row => row.inscription_id), [DEPLOY_ID]);
+    });
+
+    it('rewinds the checkpoint to the first block with a legacy deploy or mint', async () => {
+        const processed = await all(db, 'SELECT block_height FROM processed_blocks ORDER BY block_height');
+        assert.deepStrictEqual(processed.map(row => row.block_height), [800000, 800001, 800002, 800003, 800004]);
+
+        const decision = await new CheckpointManager(db, silentLogger).getResumeDecision(800000);
+        assert.strictEqual(decision.resume_block, 800005);
+        assert.deepStrictEqual(decision.gaps, []);
+    });
+
+    it('drops data derived from the rewound blocks only', async () => {
+        const bitmaps = await all(db, 'SELECT bitmap_number FROM bitmaps ORDER BY bitmap_number');
+        assert.deepStrictEqual(bitmaps.map(row => row.bitmap_number), [2]);
+
+        const patterns = await all(db, 'SELECT bitmap_number FROM bitmap_patterns ORDER BY bitmap_number');
+        assert.deepStrictEqual(patterns.map(row => row.bitmap_number), [2]);
+    });
+
+    it('stores the deploy again when its block is re-indexed', async () => {
+        const processor = new Brc420Processor(
+            db, silentLogger, silentLogger,
+            async () => null,
+            async () => 'bc1deployer',
+            async () => 'bc1deployer',
+            async () => null
+        );
+        const content = JSON.stringify({ p: 'brc-420', op: 'deploy', id: SOURCE_ID, name: 'tick', max: '21', price: '0.0001' });
+
+        const saved = await processor.processDeploy(DEPLOY_ID, content, { number: 5 }, 800005);
+        assert.ok(saved);
+
+        const deploys = await all(db, 'SELECT inscription_id, source_id, block_height FROM brc420_deploys');
+        assert.deepStrictEqual(deploys, [{ inscription_id: DEPLOY_ID, source_id: SOURCE_ID, block_height: 800005 }]);
+    });
+
+    it('leaves a database without legacy rows where it was', async () => {
+        const fresh = new sqlite3.Database(':memory:');
+        try {
+            for (const sql of LEGACY_SCHEMA_SQL) {
+                await run(fresh, sql);
+            }
+            await run(fresh, 'INSERT INTO processed_blocks (block_height) VALUES (800000), (800001)');
+
+            await migrations.migrate(fresh, silentLogger);
+
+            const processed = await all(fresh, 'SELECT block_height FROM processed_blocks ORDER BY block_height');
+            assert.deepStrictEqual(processed.map(row => row.block_height), [800000, 800001]);
+        } finally {
+            await new Promise(resolve => fresh.close(resolve));
+        }
+    });
+});
+
+describe('migration 11 (drop_synthetic_bitmap_patterns)', () => {
+    let db;
+
+    before(async () => {
+        db = new sqlite3.Database(':memory:');
+        for (const sql of LEGACY_SCHEMA_SQL) {
+            await run(db, sql);
+        }
+
+        const synthetic = JSON.stringify({ pattern_count: 3, unlimited_generation: true, has_synthetic_data: true });
+        const fromBlock = JSON.stringify({ pattern_count: 2, source_block: 20, generated_at: '2026-01-01T00:00:00.000Z' });
+        await run(db, 'ALTER TABLE bitmaps ADD COLUMN inscription_number INTEGER');
+        await run(db, `INSERT INTO bitmaps (inscription_id, inscription_number, bitmap_number, block_height, transaction_patterns, pattern_metadata)
+                       VALUES (?, 10, 10, 800000, '[]', ?), (?, 20, 20, 800000, '[]', ?), (?, 30, 30, 800000, '[]', 'not json')`,
+        [inscriptionId(10), synthetic, inscriptionId(20), fromBlock, inscriptionId(30)]);
+        await run(db, "INSERT INTO bitmap_patterns (bitmap_number, pattern_string) VALUES (10, '123'), (20, '11'), (30, '1'), (40, '9')");
+
+        await migrations.migrate(db, silentLogger);
+    });
+
+    after(() => new Promise(resolve => db.close(resolve)));
+
+    it('keeps only patterns built from their block\'s transactions', async () => {
+        const patterns = await all(db, 'SELECT bitmap_number FROM bitmap_patterns ORDER BY bitmap_number');
+        assert.deepStrictEqual(patterns.map(row => row.bitmap_number), [20]);
+    });
+
+    it('clears the dropped patterns\' transaction data so they are regenerated', async () => {
+        const bitmaps = await all(db, 'SELECT bitmap_number, transaction_patterns IS NOT NULL AS has_patterns FROM bitmaps ORDER BY bitmap_number');
+        assert.deepStrictEqual(bitmaps, [
+            { bitmap_number: 10, has_patterns: 0 },
+            { bitmap_number: 20, has_patterns: 1 },
+            { bitmap_number: 30, has_patterns: 0 }
+        ]);
+    });
+});
+
+describe('migration 12 (reject_invalid_bitmaps)', () => {
+    // A database at version 11, so only migration 12 runs on the rows below
+    async function atVersion11() {
+        const db = new sqlite3.Database(':memory:');
+        await migrations.migrate(db, silentLogger);
+        await run(db, 'DELETE FROM schema_version WHERE version = 12');
+        for (let height = 800000; height <= 800010; height++) {
+            await run(db, 'INSERT INTO processed_blocks (block_height) VALUES (?)', [height]);
+        }
+        return db;
+    }
+
+    it('moves bitmaps numbered above their block height to the rejected claims', async () => {
+        const db = await atVersion11();
+        try {
+            await run(db, `INSERT INTO bitmaps (inscription_id, inscription_number, bitmap_number, block_height)
+                           VALUES (?, 1, 5, 800001), (?, 2, 900000, 800002)`, [inscriptionId(1), inscriptionId(2)]);
+            await run(db, `INSERT INTO parcels (inscription_id, parcel_number, bitmap_number, bitmap_inscription_id, content, address, block_height, timestamp)
+                           VALUES (?, 0, 900000, ?, '0.900000.bitmap', 'bc1owner', 800003, 0)`, [inscriptionId(3), inscriptionId(2)]);
+            await run(db, "INSERT INTO bitmap_patterns (bitmap_number, pattern_string) VALUES (5, '1'), (900000, '1')");
+
+            await migrations.migrate(db, silentLogger);
+
+            const bitmaps = await all(db, 'SELECT bitmap_number FROM bitmaps');
+            assert.deepStrictEqual(bitmaps, [{ bitmap_number: 5 }]);
+            const rejected = await all(db, 'SELECT inscription_id, bitmap_number, block_height, content, reason FROM bitmap_rejected_claims');
+            assert.deepStrictEqual(rejected, [{
+                inscription_id: inscriptionId(2),
+                bitmap_number: 900000,
+                block_height: 800002,
+                content: '900000.bitmap',
+                reason: 'NUMBER_ABOVE_BLOCK_HEIGHT'
+            }]);
+            assert.deepStrictEqual(await all(db, 'SELECT inscription_id FROM parcels'), []);
+            const patterns = await all(db, 'SELECT bitmap_number FROM bitmap_patterns');
+            assert.deepStrictEqual(patterns, [{ bitmap_number: 5 }]);
+
+            const processed = await all(db, 'SELECT COUNT(*) AS count FROM processed_blocks');
+            assert.deepStrictEqual(processed, [{ count: 11 }]);
+        } finally {
+            await new Promise(resolve => db.close(resolve));
+        }
+    });
+
+    it('rewinds to claims that lost to a moved bitmap and to bitmaps never checked against the format', async () => {
+        const db = await atVersion11();
+        try {
+            // 900000 lost to a bitmap that is moved; 7 was stored by the original indexer
+            await run(db, `INSERT INTO bitmaps (inscription_id, inscription_number, bitmap_number, block_height)
+                           VALUES (?, 1, 900000, 800002), (?, NULL, 7, 800006)`, [inscriptionId(1), inscriptionId(2)]);
+            await run(db, `INSERT INTO bitmap_rejected_claims (inscription_id, inscription_number, bitmap_number, block_height, content, reason, winning_inscription_id)
+                           VALUES (?, 3, 900000, 800004, '900000.bitmap', 'DUPLICATE_LATER_BLOCK', ?)`, [inscriptionId(3), inscriptionId(1)]);
+
+            await migrations.migrate(db, silentLogger);
+
+            const processed = await all(db, 'SELECT block_height FROM processed_blocks ORDER BY block_height');
+            assert.deepStrictEqual(processed.map(row => row.block_height), [800000, 800001, 800002, 800003]);
+            assert.deepStrictEqual(await all(db, 'SELECT bitmap_number FROM bitmaps'), []);
+            const rejected = await all(db, 'SELECT inscription_id FROM bitmap_rejected_claims');
+            assert.deepStrictEqual(rejected, [{ inscription_id: inscriptionId(1) }]);
+        } finally {
+            await new Promise(resolve => db.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,77 @@
+// Golden Mondrian layouts: the shared engine must place every square exactly where the canvas and
+// server copies did before they were merged (fixtures recorded from those implementations).
+// After an intended layout change, rewrite the fixtures from the CommonJS build with
+//   UPDATE_MONDRIAN_FIXTURES=1 node --test test/mondrian-layout.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const commonJS = require('../mondrian-layout');
+
+const FIXTURES_PATH = path.join(__dirname, 'fixtures', 'mondrian-layouts.json');
+const SOURCE_URL = new URL(`file://${path.join(__dirname, '..', 'public', 'js', 'mondrian-layout.mjs')}`);
+
+// Layout reduced to plain [x, y, size] triples
+function describeLayout(engine, pattern) {
+    const layout = new engine.MondrianLayout(engine.getPatternArray(pattern));
+    const triples = slots => slots.map(slot => [slot.position.x, slot.position.y, slot.size]);
+    return {
+        pattern,
+        width: layout.width,
+        height: layout.height,
+        slots: triples(layout.slots),
+        filled: triples(layout.fillEmptySpaces())
+    };
+}
+
+// One square per line, so a layout change shows up as a readable diff
+function formatFixtures(fixtures) {
+    const list = triples => triples.length === 0
+        ? '[]'
+        : `[\n${triples.map(triple => `            ${JSON.stringify(triple)}`).join(',\n')}\n        ]`;
+
+    const entries = Object.entries(fixtures).map(([name, fixture]) => [
+        `    ${JSON.stringify(name)}: {`,
+        `        "pattern": ${JSON.stringify(fixture.pattern)},`,
+        `        "width": ${fixture.width},`,
+        `        "height": ${fixture.height},`,
+        `        "slots": ${list(fixture.slots)},`,
+        `        "filled": ${list(fixture.filled)}`,
+        '    }'
+    ].join('\n'));
+
+    return `{\n${entries.join(',\n')}\n}\n`;
+}
+
+let fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8'));
+
+if (process.env.UPDATE_MONDRIAN_FIXTURES) {
+    fixtures = Object.fromEntries(
+        Object.entries(fixtures).map(([name, fixture]) => [name, describeLayout(commonJS, fixture.pattern)])
+    );
+    fs.writeFileSync(FIXTURES_PATH, formatFixtures(fixtures));
+}
+
+describe('Mondrian layout', () => {
+    let esModule;
+
+    before(async () => {
+        esModule = await import(SOURCE_URL);
+    });
+
+    for (const [name, fixture] of Object.entries(fixtures)) {
+        it(`places ${name} as recorded (CommonJS build)`, () => {
+            assert.deepStrictEqual(describeLayout(commonJS, fixture.pattern), fixture);
+        });
+
+        it(`places ${name} as recorded (browser module)`, () => {
+            assert.deepStrictEqual(describeLayout(esModule, fixture.pattern), fixture);
+        });
+    }
+
+    it('maps transaction values to square sizes', () => {
+        const sizes = [0, 1000000, 10000000, 100000000, 1000000000, 10000000000, 1e11, 1e12, 1e13, 1e14, 1e15]
+            .map(commonJS.getSquareSize);
+        assert.deepStrictEqual(sizes, [1, 1, 2, 3, 4, 5, 6, 7, 8, 9, 9]);
+    });
+});
@@ -0,0 +1,401 @@
+// Ownership tracking for indexed inscriptions: genesis locations plus every transfer found in later blocks
+
+const StatementCache = require('./statement-cache');
+
+// Outpoints are looked up in chunks to stay below SQLite's bound-parameter limit
+const LOOKUP_CHUNK_SIZE = 500;
+
+// Transactions followed back from an untracked inscription's current location before giving up
+const MAX_TRACE_HOPS = 100;
+
+class TransferTracker {
+    /**
+     * @param {Object} db - SQLite database
+     * @param {Object} logger - Logger
+     * @param {Function} getTransactionOutputs - (txid) => Promise<[{address, value}]|null>
+     * @param {Function} getTransaction - (txid) => Promise<{block_height, inputs, outputs}|null>
+     */
+    constructor(db, logger, getTransactionOutputs, getTransaction) {
+        this.db = db;
+        this.logger = logger;
+        this.getTransactionOutputs = getTransactionOutputs;
+        this.getTransaction = getTransaction;
+        this.statements = StatementCache.forDatabase(db);
+    }
+
+    // ================================
+    // DATABASE HELPERS
+    // ================================
+
+    dbGet(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    dbAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    dbRun(sql, params = []) {
+        return this.statements.run(sql, params);
+    }
+
+    // ================================
+    // LOCATION BOOKKEEPING
+    // ================================
+
+    /**
+     * Parses a satpoint of the form txid:vout:offset
+     * @param {string} satpoint - The satpoint string
+     * @returns {Object|null} - {txid, vout, offset} or null if malformed
+     */
+    parseSatpoint(satpoint) {
+        const match = typeof satpoint === 'string' && satpoint.match(/^([0-9a-f]{64}):(\d+):(\d+)$/);
+        if (!match) {
+            return null;
+        }
+
+        return { txid: match[1], vout: parseInt(match[2], 10), offset: parseInt(match[3], 10) };
+    }
+
+    /**
+     * Stores a transfer row and moves the inscription's current location
+     * @param {Object} transfer - Transfer fields (satpoint null when the inscription went to fees)
+     */
+    async saveTransfer(transfer) {
+        await this.dbRun(`
+            INSERT INTO inscription_transfers
+            (inscription_id, inscription_type, block_height, transaction_id, old_address, new_address,
+             satpoint, timestamp, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        `, [
+            transfer.inscription_id,
+            transfer.inscription_type,
+            transfer.block_height,
+            transfer.transaction_id,
+            transfer.old_address,
+            transfer.new_address,
+            transfer.satpoint,
+            transfer.timestamp
+        ]);
+
+        const location = this.parseSatpoint(transfer.satpoint);
+        await this.dbRun(`
+            INSERT OR REPLACE INTO inscription_locations
+            (inscription_id, inscription_type, outpoint, sat_offset, address, block_height, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+        `, [
+            transfer.inscription_id,
+            transfer.inscription_type,
+            location ? `${location.txid}:${location.vout}` : null,
+            location ? location.offset : null,
+            transfer.new_address,
+            transfer.block_height
+        ]);
+    }
+
+    /**
+     * Records where a newly indexed inscription was created
+     * @param {string} inscriptionId - The inscription ID
+     * @param {string} inscriptionType - deploy, mint, bitmap or parcel
+     * @param {Object} inscriptionDetails - Inscription details from the ord API
+     * @param {number} blockHeight - The genesis block height
+     */
+    async recordGenesis(inscriptionId, inscriptionType, inscriptionDetails, blockHeight) {
+        const existing = await this.dbGet("SELECT 1 FROM inscription_locations WHERE inscription_id = ?", [inscriptionId]);
+        if (existing) {
+            return;
+        }
+
+        const genesis = this.getGenesisSatpoint(inscriptionId, inscriptionDetails);
+        const outputs = await this.getTransactionOutputs(genesis.txid);
+        const output = outputs && outputs[genesis.vout];
+
+        await this.saveTransfer({
+            inscription_id: inscriptionId,
+            inscription_type: inscriptionType,
+            block_height: blockHeight,
+            transaction_id: genesis.txid,
+            old_address: null,
+            new_address: output ? output.address : (inscriptionDetails.address || null),
+            satpoint: `${genesis.txid}:${genesis.vout}:${genesis.offset}`,
+            timestamp: Number.isInteger(inscriptionDetails.timestamp) ? inscriptionDetails.timestamp : null
+        });
+    }
+
+    /**
+     * Where an inscription was created. ord reports the current satpoint, which is only the
+     * genesis location while the inscription is still in its reveal transaction; otherwise
+     * ord's default placement (first output, offset 0) is assumed.
+     * @param {string} inscriptionId - The inscription ID
+     * @param {Object} inscriptionDetails - Inscription details from the ord API
+     * @returns {Object} - {txid, vout, offset}
+     */
+    getGenesisSatpoint(inscriptionId, inscriptionDetails) {
+        const txid = inscriptionId.substring(0, 64);
+        const current = this.parseSatpoint(inscriptionDetails ? inscriptionDetails.satpoint : null);
+        return current && current.txid === txid ? current : { txid, vout: 0, offset: 0 };
+    }
+
+    /**
+     * Address that received an inscription in its reveal transaction
+     * @param {string} inscriptionId - The inscription ID
+     * @param {Object} inscriptionDetails - Inscription details from the ord API
+     * @returns {Promise<string|null>} - The address (null for outputs without one); throws if the
+     *                                   reveal transaction is unavailable so the caller can retry
+     */
+    async getGenesisAddress(inscriptionId, inscriptionDetails) {
+        const genesis = this.getGenesisSatpoint(inscriptionId, inscriptionDetails);
+        const outputs = await this.getTransactionOutputs(genesis.txid);
+        if (!outputs) {
+            throw new Error(`Reveal transaction ${genesis.txid} unavailable`);
+        }
+
+        const output = outputs[genesis.vout];
+        return output ? output.address : null;
+    }
+
+    // ================================
+    // OWNERSHIP AT A HEIGHT
+    // ================================
+
+    /**
+     * Address holding a tracked inscription at the end of a block, from its transfer history
+     * @param {string} inscriptionId - The inscription ID
+     * @param {number} blockHeight - The block height
+     * @returns {Promise<string|null|undefined>} - The address, null if it did not exist yet,
+     *                                             undefined if the inscription is not tracked
+     */
+    async getTrackedAddressAtHeight(inscriptionId, blockHeight) {
+        const transfer = await this.dbGet(`
+            SELECT new_address FROM inscription_transfers
+            WHERE inscription_id = ? AND block_height <= ?
+            ORDER BY block_height DESC, id DESC
+            LIMIT 1
+        `, [inscriptionId, blockHeight]);
+        if (transfer) {
+            return transfer.new_address;
+        }
+
+        const tracked = await this.dbGet("SELECT 1 FROM inscription_transfers WHERE inscription_id = ? LIMIT 1", [inscriptionId]);
+        return tracked ? null : undefined;
+    }
+
+    /**
+     * Address holding an untracked inscription at the end of a block: follows it back from
+     * ord's current satpoint, one spending transaction at a time, to the first output that was
+     * already confirmed at that height
+     * @param {string} inscriptionId - The inscription ID
+     * @param {number} blockHeight - The block height
+     * @param {Object} inscriptionDetails - Inscription details from the ord API (current satpoint)
+     * @returns {Promise<string|null>} - The address, or null if the inscription did not exist yet
+     */
+    async traceAddressAtHeight(inscriptionId, blockHeight, inscriptionDetails) {
+        const genesisTxid = inscriptionId.substring(0, 64);
+        let location = this.parseSatpoint(inscriptionDetails ? inscriptionDetails.satpoint : null);
+        if (!location) {
+            throw new Error(`Current location of inscription ${inscriptionId} unavailable`);
+        }
+
+        for (let hop = 0; hop < MAX_TRACE_HOPS; hop++) {
+            const tx = await this.getTransaction(location.txid);
+            if (!tx) {
+                throw new Error(`Transaction ${location.txid} unavailable while tracing ${inscriptionId}`);
+            }
+
+            if (tx.block_height !== null && tx.block_height <= blockHeight) {
+                const output = tx.outputs[location.vout];
+                return output ? output.address : null;
+            }
+
+            if (location.txid === genesisTxid) {
+                return null;
+            }
+
+            location = this.findSatSource(tx, location.vout, location.offset);
+            if (!location) {
+                throw new Error(`Could not trace inscription ${inscriptionId} back through ${tx.txid}`);
+            }
+        }
+
+        throw new Error(`Gave up tracing inscription ${inscriptionId} after ${MAX_TRACE_HOPS} transactions`);
+    }
+
+    /**
+     * Reverse of traceSat: the spent outpoint (and offset within it) a sat in an output came from
+     * @param {Object} tx - Normalized transaction with input values
+     * @param {number} vout - Output holding the sat
+     * @param {number} offset - Sat offset within that output
+     * @returns {Object|null} - {txid, vout, offset} or null if the sat is newly mined
+     */
+    findSatSource(tx, vout, offset) {
+        let position = offset;
+        for (let i = 0; i < vout; i++) {
+            position += tx.outputs[i].value;
+        }
+
+        for (const input of tx.inputs) {
+            if (position < input.value) {
+                return input.txid ? { txid: input.txid, vout: input.vout, offset: position } : null;
+            }
+            position -= input.value;
+        }
+
+        return null;
+    }
+
+    // ================================
+    // BLOCK SCANNING
+    // ================================
+
+    /**
+     * Finds tracked inscriptions sitting on any of the given outpoints
+     * @param {Array<string>} outpoints - txid:vout strings
+     * @returns {Promise<Map>} - outpoint -> array of location rows
+     */
+    async findTrackedOutpoints(outpoints) {
+        const tracked = new Map();
+
+        for (let i = 0; i < outpoints.length; i += LOOKUP_CHUNK_SIZE) {
+            const chunk = outpoints.slice(i, i + LOOKUP_CHUNK_SIZE);
+            const placeholders = chunk.map(() => '?').join(',');
+            const rows = await this.dbAll(`
+                SELECT inscription_id, inscription_type, outpoint, sat_offset, address
+                FROM inscription_locations
+                WHERE outpoint IN (${placeholders})
+            `, chunk);
+
+            for (const row of rows) {
+                if (!tracked.has(row.outpoint)) {
+                    tracked.set(row.outpoint, []);
+                }
+                tracked.get(row.outpoint).push(row);
+            }
+        }
+
+        return tracked;
+    }
+
+    /**
+     * Follows an inscribed sat through a transaction (first-in-first-out, as ord does)
+     * @param {Object} tx - Normalized transaction {txid, inputs: [{txid, vout, value}], outputs: [{address, value}]}
+     * @param {number} inputIndex - Index of the spent input carrying the inscription
+     * @param {number} offset - Sat offset within that input
+     * @returns {Object|null} - {vout, offset, address} or null if the sat went to fees
+     */
+    traceSat(tx, inputIndex, offset) {
+        let position = offset;
+        for (let i = 0; i < inputIndex; i++) {
+            position += tx.inputs[i].value;
+        }
+
+        let outputStart = 0;
+        for (let vout = 0; vout < tx.outputs.length; vout++) {
+            const output = tx.outputs[vout];
+            if (position < outputStart + output.value) {
+                return { vout, offset: position - outputStart, address: output.address };
+            }
+            outputStart += output.value;
+        }
+
+        return null;
+    }
+
+    /**
+     * Records transfers of tracked inscriptions spent in a block's transactions.
+     * Must run after the block's own inscriptions are indexed so same-block moves are seen.
+     * @param {number} blockHeight - The block height
+     * @param {Array} transactions - Normalized transactions in block order
+     * @param {number|null} timestamp - Block timestamp (seconds)
+     * @returns {Promise<number>} - Number of transfers recorded
+     */
+    async processBlockTransfers(blockHeight, transactions, timestamp = null) {
+        const spent = [];
+        for (const tx of transactions) {
+            for (const input of tx.inputs) {
+                if (input.txid) {
+                    spent.push(`${input.txid}:${input.vout}`);
+                }
+            }
+        }
+
+        if (spent.length === 0) {
+            return 0;
+        }
+
+        const tracked = await this.findTrackedOutpoints(spent);
+        let transfers = 0;
+
+        // Transactions are applied in block order; moves into outputs created earlier in the
+        // same block are picked up through the tracked map
+        for (const tx of transactions) {
+            for (let inputIndex = 0; inputIndex < tx.inputs.length; inputIndex++) {
+                const input = tx.inputs[inputIndex];
+                const outpoint = `${input.txid}:${input.vout}`;
+                const locations = tracked.get(outpoint);
+                if (!locations) {
+                    continue;
+                }
+                tracked.delete(outpoint);
+
+                for (const location of locations) {
+                    const destination = this.traceSat(tx, inputIndex, location.sat_offset || 0);
+                    const satpoint = destination ? `${tx.txid}:${destination.vout}:${destination.offset}` : null;
+
+                    await this.saveTransfer({
+                        inscription_id: location.inscription_id,
+                        inscription_type: location.inscription_type,
+                        block_height: blockHeight,
+                        transaction_id: tx.txid,
+                        old_address: location.address,
+                        new_address: destination ? destination.address : null,
+                        satpoint,
+                        timestamp
+                    });
+                    transfers++;
+
+                    if (destination) {
+                        const newOutpoint = `${tx.txid}:${destination.vout}`;
+                        if (!tracked.has(newOutpoint)) {
+                            tracked.set(newOutpoint, []);
+                        }
+                        tracked.get(newOutpoint).push({
+                            ...location,
+                            outpoint: newOutpoint,
+                            sat_offset: destination.offset,
+                            address: destination.address
+                        });
+                    } else {
+                        this.logger.warn(`Inscription ${location.inscription_id} was spent to fees in ${tx.txid}`);
+                    }
+                }
+            }
+        }
+
+        if (transfers > 0) {
+            this.logger.info(`🔁 Block ${blockHeight}: recorded ${transfers} inscription transfer(s)`);
+        }
+
+        return transfers;
+    }
+
+    /**
+     * Whether any inscription is tracked yet (lets the indexer skip fetching block transactions)
+     * @returns {Promise<boolean>}
+     */
+    async hasTrackedInscriptions() {
+        const row = await this.dbGet("SELECT 1 AS found FROM inscription_locations WHERE outpoint IS NOT NULL LIMIT 1");
+        return !!row;
+    }
+}
+
+module.exports = TransferTracker;